@@ -0,0 +1,188 @@
+import { findElement } from "../utils/domUtils.js";
+import { t } from "../utils/i18n.js";
+import { consent } from "../utils/consent.js";
+
+/**
+ * Banner de consentimiento (no modal). Se muestra solo si todavía no hay una
+ * decisión guardada; los botones [data-consent-open] lo vuelven a abrir con
+ * las opciones por categoría desplegadas.
+ *
+ * "Aceptar" y "Rechazar" tienen el mismo peso visual a propósito.
+ */
+export function consentBanner({
+  selector = ".consent-banner",
+  selectorOpen = "[data-consent-open]",
+  claseVisible = "consent-banner--visible",
+  autoInit = true,
+} = {}) {
+  // --- Estado interno ---
+  let banner = null;
+  let options = null;
+  let customizeButton = null;
+  let saveButton = null;
+  let openButtons = [];
+  let opener = null;
+
+  const handlers = {
+    onBannerClick: null,
+    onBannerKeyDown: null,
+    onOpenClick: null,
+    onLanguageChanged: null,
+  };
+
+  // Una casilla por categoría de scripts/data/consent.js
+  function renderOptions() {
+    if (!options) return;
+    const current = consent.get();
+
+    options.replaceChildren(
+      ...consent.categories.map((category) => {
+        const id = `consent-${category.id}`;
+        const wrapper = document.createElement("div");
+        wrapper.className = "consent-banner__option";
+
+        const input = document.createElement("input");
+        input.type = "checkbox";
+        input.id = id;
+        input.name = category.id;
+        input.checked = current[category.id];
+        input.setAttribute("aria-describedby", `${id}-desc`);
+
+        const label = document.createElement("label");
+        label.htmlFor = id;
+        label.textContent = t(`consent.categories.${category.i18nKey}.label`);
+
+        const description = document.createElement("p");
+        description.id = `${id}-desc`;
+        description.className = "consent-banner__option-desc";
+        description.textContent = t(`consent.categories.${category.i18nKey}.description`);
+
+        wrapper.append(input, label, description);
+        return wrapper;
+      })
+    );
+  }
+
+  function setExpanded(expanded) {
+    if (!options) return;
+    if (expanded) renderOptions();
+    options.hidden = !expanded;
+    customizeButton?.setAttribute("aria-expanded", expanded ? "true" : "false");
+    if (customizeButton) customizeButton.hidden = expanded;
+    if (saveButton) saveButton.hidden = !expanded;
+  }
+
+  function show({ expanded = false, focus = false } = {}) {
+    banner.hidden = false;
+    banner.classList.add(claseVisible);
+    setExpanded(expanded);
+    if (focus) {
+      const first = expanded ? options?.querySelector("input") : null;
+      (first || banner).focus();
+    }
+  }
+
+  function hide() {
+    const hadFocus = banner.contains(document.activeElement);
+    banner.classList.remove(claseVisible);
+    banner.hidden = true;
+    setExpanded(false);
+
+    if (hadFocus && opener?.isConnected) opener.focus();
+    opener = null;
+  }
+
+  function saveSelection() {
+    const selection = Object.fromEntries(
+      [...options.querySelectorAll("input[type='checkbox']")].map((input) => [input.name, input.checked])
+    );
+    consent.set(selection);
+  }
+
+  // --- Event handlers ---
+
+  function onBannerClick(e) {
+    const action = e.target.closest("[data-consent-action]")?.dataset.consentAction;
+    if (!action) return;
+
+    switch (action) {
+      case "accept":
+        consent.acceptAll();
+        hide();
+        break;
+      case "reject":
+        consent.rejectAll();
+        hide();
+        break;
+      case "customize":
+        setExpanded(true);
+        options?.querySelector("input")?.focus();
+        break;
+      case "save":
+        saveSelection();
+        hide();
+        break;
+    }
+  }
+
+  // Escape solo cierra si ya hay una decisión; si no, el banner debe quedar
+  function onBannerKeyDown(e) {
+    if (e.key === "Escape" && consent.hasDecided()) {
+      e.preventDefault();
+      hide();
+    }
+  }
+
+  function onOpenClick(e) {
+    opener = e.currentTarget;
+    show({ expanded: true, focus: true });
+  }
+
+  function onLanguageChanged() {
+    if (options && !options.hidden) renderOptions();
+  }
+
+  // --- INIT ---
+  function init() {
+    consent.init();
+
+    banner = findElement(selector);
+    if (!banner) return;
+
+    if (!banner.hasAttribute("tabindex")) banner.setAttribute("tabindex", "-1");
+    options = banner.querySelector(".consent-banner__options");
+    customizeButton = banner.querySelector('[data-consent-action="customize"]');
+    saveButton = banner.querySelector('[data-consent-action="save"]');
+    openButtons = [...document.querySelectorAll(selectorOpen)];
+
+    handlers.onBannerClick = onBannerClick;
+    handlers.onBannerKeyDown = onBannerKeyDown;
+    handlers.onOpenClick = onOpenClick;
+    handlers.onLanguageChanged = onLanguageChanged;
+
+    banner.addEventListener("click", handlers.onBannerClick);
+    banner.addEventListener("keydown", handlers.onBannerKeyDown);
+    openButtons.forEach((btn) => btn.addEventListener("click", handlers.onOpenClick));
+    document.addEventListener("language-changed", handlers.onLanguageChanged);
+
+    if (!consent.hasDecided()) show();
+  }
+
+  // --- DESTROY ---
+  function destroy() {
+    banner?.removeEventListener("click", handlers.onBannerClick);
+    banner?.removeEventListener("keydown", handlers.onBannerKeyDown);
+    openButtons.forEach((btn) => btn.removeEventListener("click", handlers.onOpenClick));
+    openButtons = [];
+    document.removeEventListener("language-changed", handlers.onLanguageChanged);
+  }
+
+  if (autoInit) init();
+
+  return {
+    init,
+    open: () => show({ expanded: true, focus: true }),
+    close: hide,
+    destroy,
+  };
+}
@@ -0,0 +1,443 @@
+import { findElement } from "../utils/domUtils.js";
+import { t, getCurrentLanguage } from "../utils/i18n.js";
+import { formatLocales } from "../data/locales.js";
+import { offlineQueue } from "../utils/offlineQueue.js";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Request Timeout y Too Many Requests: el mensaje está bien, hay que volver a intentar
+const RETRYABLE_STATUS = new Set([408, 429]);
+// setTimeout no acepta más que esto
+const MAX_DELAY = 2 ** 31 - 1;
+
+// "https://formsubmit.co/<id>" -> "https://formsubmit.co/ajax/<id>"
+function toAjaxEndpoint(action) {
+  try {
+    const url = new URL(action, window.location.href);
+    if (url.hostname === "formsubmit.co" && !url.pathname.startsWith("/ajax/")) {
+      url.pathname = `/ajax${url.pathname}`;
+    }
+    return url.href;
+  } catch {
+    return action;
+  }
+}
+
+// Retry-After en segundos o como fecha HTTP -> ms; null si no viene o no se entiende
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Formulario de contacto enviado con fetch, sin salir de la página.
+ *
+ * Valida nombre, email y largo del mensaje con textos de contact_form.* en
+ * las traducciones, y muestra los estados de envío, éxito y error en una
+ * región aria-live (.footer__form-status).
+ *
+ * El destino es, en orden: la opción `endpoint`, el atributo data-endpoint
+ * del formulario, o su action convertido al endpoint AJAX de FormSubmit.
+ * Para probar en local: npm run mock:form y data-endpoint="http://localhost:8787/ajax/test".
+ *
+ * Si el campo trampa (honeypot) llega completo se simula el éxito sin enviar.
+ *
+ * Sin conexión (o con un 408, 429 o 5xx) el mensaje se guarda en IndexedDB
+ * (utils/offlineQueue.js) y se reintenta al volver "online" o en la próxima
+ * visita; si el servidor manda Retry-After, no antes de ese momento, y con
+ * un reintento programado para entonces. Los pendientes se listan en
+ * .footer__form-pending y se pueden cancelar; se borran solos pasado
+ * `offlineTtl`. Si al reenviarlo el servidor lo rechaza (otro 4xx) se borra
+ * y se avisa, sin volver a intentarlo.
+ */
+export function contactForm({
+  selector = ".footer__form",
+  selectorStatus = ".footer__form-status",
+  endpoint = null,
+  honeypotName = "_honey",
+  minNameLength = 2,
+  minMessageLength = 10,
+  maxMessageLength = 5000,
+  fetchImpl = (...args) => window.fetch(...args),
+  offline = true,
+  offlineTtl = 3 * 24 * 60 * 60 * 1000,
+  selectorPending = ".footer__form-pending",
+  autoInit = true,
+} = {}) {
+  // --- Estado interno ---
+  let form = null;
+  let status = null;
+  let submitButton = null;
+  let fields = {};
+  let isSending = false;
+  let queue = null;
+  let pending = null;
+  let retryTimeoutId = null;
+  // Campo -> { code, args } del error visible, para re-traducirlo
+  const errors = new Map();
+  let currentState = null;
+
+  const handlers = {
+    onSubmit: null,
+    onFieldBlur: null,
+    onFieldInput: null,
+    onLanguageChanged: null,
+    onOnline: null,
+    onPendingClick: null,
+  };
+
+  // --- Validación ---
+
+  function validateField(name) {
+    const value = fields[name].value.trim();
+
+    switch (name) {
+      case "name":
+        if (!value) return { code: "name_required" };
+        if (value.length < minNameLength) {
+          return { code: "name_short", args: { min: minNameLength } };
+        }
+        return null;
+      case "email":
+        if (!value) return { code: "email_required" };
+        if (!EMAIL_PATTERN.test(value)) return { code: "email_invalid" };
+        return null;
+      case "message":
+        if (!value) return { code: "message_required" };
+        if (value.length < minMessageLength) {
+          return { code: "message_short", args: { min: minMessageLength } };
+        }
+        if (value.length > maxMessageLength) {
+          return { code: "message_long", args: { max: maxMessageLength } };
+        }
+        return null;
+      default:
+        return null;
+    }
+  }
+
+  function getErrorElement(name) {
+    const field = fields[name];
+    const id = `${field.id}-error`;
+    let el = document.getElementById(id);
+
+    if (!el) {
+      el = document.createElement("p");
+      el.id = id;
+      el.className = "footer__form-error";
+      field.insertAdjacentElement("afterend", el);
+    }
+    return el;
+  }
+
+  function showFieldError(name, error) {
+    const field = fields[name];
+    const el = getErrorElement(name);
+
+    if (error) {
+      errors.set(name, error);
+      el.textContent = t(`contact_form.errors.${error.code}`, error.args);
+      field.setAttribute("aria-invalid", "true");
+      field.setAttribute("aria-describedby", el.id);
+    } else {
+      errors.delete(name);
+      el.textContent = "";
+      field.removeAttribute("aria-invalid");
+      field.removeAttribute("aria-describedby");
+    }
+  }
+
+  function validate() {
+    let firstInvalid = null;
+
+    Object.keys(fields).forEach((name) => {
+      const error = validateField(name);
+      showFieldError(name, error);
+      if (error && !firstInvalid) firstInvalid = fields[name];
+    });
+
+    return firstInvalid;
+  }
+
+  // --- Estados ---
+
+  // state: "invalid" | "sending" | "success" | "error" | "queued"
+  //        | "sent_from_queue" | "rejected_from_queue" | "cancel_error"
+  function setStatus(state) {
+    currentState = state;
+    form.dataset.state = state;
+    form.setAttribute("aria-busy", state === "sending" ? "true" : "false");
+    if (submitButton) submitButton.disabled = state === "sending";
+
+    if (status) {
+      status.textContent = t(`contact_form.status.${state}`);
+      status.dataset.state = state;
+    }
+  }
+
+  function getPayload() {
+    const data = Object.fromEntries(new FormData(form));
+    // FormSubmit no muestra captcha en los envíos por AJAX
+    delete data._captcha;
+    delete data[honeypotName];
+    return data;
+  }
+
+  // Rechaza con error.retryable = true si conviene reintentar más tarde
+  async function sendPayload(payload) {
+    let response;
+    try {
+      response = await fetchImpl(endpoint || form.dataset.endpoint || toAjaxEndpoint(form.action), {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "application/json",
+        },
+        body: JSON.stringify(payload),
+      });
+    } catch (error) {
+      // fetch solo rechaza por fallas de red
+      error.retryable = true;
+      throw error;
+    }
+
+    const result = await response.json().catch(() => ({}));
+
+    // FormSubmit responde 200 con success: "false" cuando rechaza el envío
+    if (!response.ok || String(result.success) === "false") {
+      const error = new Error(result.message || `HTTP ${response.status}`);
+      error.retryable = RETRYABLE_STATUS.has(response.status) || response.status >= 500;
+      const retryAfter = parseRetryAfter(response.headers.get("Retry-After"));
+      if (error.retryable && retryAfter !== null) error.retryAfter = retryAfter;
+      throw error;
+    }
+
+    return result;
+  }
+
+  // --- Pendientes (cola offline) ---
+
+  function formatDate(timestamp) {
+    const lang = getCurrentLanguage();
+    return new Intl.DateTimeFormat(formatLocales[lang] || lang, {
+      dateStyle: "medium",
+      timeStyle: "short",
+    }).format(new Date(timestamp));
+  }
+
+  async function renderPending() {
+    if (!queue || !pending) return;
+
+    let items = [];
+    try {
+      items = await queue.list();
+    } catch (error) {
+      console.warn("No se pudo leer la cola de mensajes pendientes:", error);
+    }
+
+    pending.hidden = items.length === 0;
+    const title = pending.querySelector(".footer__form-pending-title");
+    const list = pending.querySelector(".footer__form-pending-list");
+    if (title) title.textContent = t("contact_form.pending.title", { count: items.length });
+    if (!list) return;
+
+    list.replaceChildren(
+      ...items.map((item) => {
+        const li = document.createElement("li");
+        li.className = "footer__form-pending-item";
+
+        const text = document.createElement("span");
+        const date = formatDate(item.createdAt);
+        // Solo la fecha, nada del contenido: el dispositivo puede ser compartido
+        text.textContent = t("contact_form.pending.item", { date });
+
+        const cancel = document.createElement("button");
+        cancel.type = "button";
+        cancel.className = "footer__form-pending-cancel underline";
+        cancel.dataset.pendingId = String(item.id);
+        cancel.textContent = t("contact_form.pending.cancel");
+        cancel.setAttribute("aria-label", t("contact_form.pending.cancel_label", { date }));
+
+        li.append(text, cancel);
+        return li;
+      })
+    );
+  }
+
+  // Cuando el servidor pidió esperar no hay evento "online" que avise
+  function scheduleRetry(delay) {
+    clearTimeout(retryTimeoutId);
+    retryTimeoutId = setTimeout(retryPending, Math.min(delay, MAX_DELAY));
+  }
+
+  // Envío desde la cola: si el servidor pide esperar, programa el próximo intento
+  async function sendQueued(payload) {
+    try {
+      return await sendPayload(payload);
+    } catch (error) {
+      if (error.retryAfter !== undefined) scheduleRetry(error.retryAfter);
+      throw error;
+    }
+  }
+
+  async function retryPending() {
+    if (!queue) return;
+    try {
+      const { sent, rejected } = await queue.flush();
+      // El rechazo importa más: ese mensaje no llegó y ya no está guardado
+      if (rejected > 0) setStatus("rejected_from_queue");
+      else if (sent > 0) setStatus("sent_from_queue");
+    } catch (error) {
+      console.warn("No se pudieron reenviar los mensajes pendientes:", error);
+    }
+  }
+
+  async function submit() {
+    if (isSending) return;
+
+    const firstInvalid = validate();
+    if (firstInvalid) {
+      setStatus("invalid");
+      firstInvalid.focus();
+      return;
+    }
+
+    const honeypot = form.elements[honeypotName];
+    if (honeypot && honeypot.value) {
+      form.reset();
+      setStatus("success");
+      return;
+    }
+
+    isSending = true;
+    setStatus("sending");
+    const payload = getPayload();
+
+    try {
+      await sendPayload(payload);
+      form.reset();
+      setStatus("success");
+    } catch (error) {
+      if (error.retryable && queue) {
+        try {
+          await queue.add(payload, { retryAfter: error.retryAfter });
+          if (error.retryAfter !== undefined) scheduleRetry(error.retryAfter);
+          form.reset();
+          setStatus("queued");
+          return;
+        } catch (queueError) {
+          console.warn("No se pudo guardar el mensaje para reintentar:", queueError);
+        }
+      }
+      console.error("No se pudo enviar el formulario de contacto:", error);
+      setStatus("error");
+    } finally {
+      isSending = false;
+    }
+  }
+
+  // --- Event handlers ---
+
+  function onSubmit(e) {
+    e.preventDefault();
+    submit();
+  }
+
+  // Se valida al salir del campo y se corrige mientras se escribe
+  function onFieldBlur(e) {
+    const name = e.target.name;
+    if (fields[name] && e.target.value.trim()) showFieldError(name, validateField(name));
+  }
+
+  function onFieldInput(e) {
+    const name = e.target.name;
+    if (errors.has(name)) showFieldError(name, validateField(name));
+  }
+
+  function onLanguageChanged() {
+    errors.forEach((error, name) => showFieldError(name, error));
+    if (currentState) setStatus(currentState);
+    renderPending();
+  }
+
+  function onOnline() {
+    retryPending();
+  }
+
+  async function onPendingClick(e) {
+    const button = e.target.closest("[data-pending-id]");
+    if (!button) return;
+    try {
+      await queue.remove(Number(button.dataset.pendingId));
+    } catch (error) {
+      console.warn("No se pudo cancelar el mensaje pendiente:", error);
+      setStatus("cancel_error");
+      return;
+    }
+    await renderPending();
+    // El foco no puede quedar en un botón que ya no existe
+    if (!pending.hidden) pending.querySelector("[data-pending-id]")?.focus();
+    else fields.message?.focus();
+  }
+
+  // --- INIT ---
+  function init() {
+    form = findElement(selector);
+    if (!form) return;
+
+    fields = {};
+    ["name", "email", "message"].forEach((name) => {
+      if (form.elements[name]) fields[name] = form.elements[name];
+    });
+    status = form.querySelector(selectorStatus);
+    submitButton = form.querySelector('[type="submit"]');
+
+    // La validación la hace este componente, con mensajes traducidos
+    form.setAttribute("novalidate", "");
+    form.removeAttribute("target");
+
+    handlers.onSubmit = onSubmit;
+    handlers.onFieldBlur = onFieldBlur;
+    handlers.onFieldInput = onFieldInput;
+    handlers.onLanguageChanged = onLanguageChanged;
+    handlers.onOnline = onOnline;
+    handlers.onPendingClick = onPendingClick;
+
+    form.addEventListener("submit", handlers.onSubmit);
+    form.addEventListener("focusout", handlers.onFieldBlur);
+    form.addEventListener("input", handlers.onFieldInput);
+    document.addEventListener("language-changed", handlers.onLanguageChanged);
+
+    pending = form.querySelector(selectorPending);
+    if (offline && typeof indexedDB !== "undefined") {
+      queue = offlineQueue({ send: sendQueued, ttl: offlineTtl, onChange: renderPending });
+      window.addEventListener("online", handlers.onOnline);
+      pending?.addEventListener("click", handlers.onPendingClick);
+      renderPending();
+      // Lo que quedó pendiente de una visita anterior
+      if (navigator.onLine !== false) retryPending();
+    }
+  }
+
+  // --- DESTROY ---
+  function destroy() {
+    form?.removeEventListener("submit", handlers.onSubmit);
+    form?.removeEventListener("focusout", handlers.onFieldBlur);
+    form?.removeEventListener("input", handlers.onFieldInput);
+    document.removeEventListener("language-changed", handlers.onLanguageChanged);
+    window.removeEventListener("online", handlers.onOnline);
+    pending?.removeEventListener("click", handlers.onPendingClick);
+    clearTimeout(retryTimeoutId);
+    retryTimeoutId = null;
+    queue = null;
+    form?.removeAttribute("novalidate");
+    errors.clear();
+    currentState = null;
+  }
+
+  if (autoInit) init();
+
+  return { init, submit, validate, retryPending, destroy };
+}
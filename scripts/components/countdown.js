@@ -0,0 +1,142 @@
+import { findElement } from "../utils/domUtils.js";
+import { getCurrentLanguage } from "../utils/i18n.js";
+import { formatLocales } from "../data/locales.js";
+
+const UNIT_MS = {
+  day: 24 * 60 * 60 * 1000,
+  hour: 60 * 60 * 1000,
+  minute: 60 * 1000,
+  second: 1000,
+};
+
+/**
+ * Cuenta regresiva hasta `target` (Date o fecha ISO).
+ *
+ * Los nombres de las unidades salen de Intl ("3 days", "3 jours") en el
+ * idioma activo. El elemento queda con role="timer", que los lectores de
+ * pantalla no anuncian en cada segundo. Al llegar a cero agrega
+ * data-countdown-ended, emite "countdown-end" y llama a onEnd.
+ */
+export function countdown({
+  selector = ".countdown",
+  target,
+  units = ["day", "hour", "minute", "second"],
+  onEnd = null,
+  autoInit = true,
+} = {}) {
+  // --- Estado interno ---
+  let element = null;
+  let timeoutId = null;
+  let ended = false;
+  const targetTime = new Date(target).getTime();
+
+  const handlers = {
+    onLanguageChanged: null,
+  };
+
+  function getRemaining() {
+    return Math.max(0, targetTime - Date.now());
+  }
+
+  // { day: 3, hour: 4, ... } con las unidades pedidas
+  function split(ms) {
+    let rest = ms;
+    return Object.fromEntries(
+      units.map((unit) => {
+        const value = Math.floor(rest / UNIT_MS[unit]);
+        rest -= value * UNIT_MS[unit];
+        return [unit, value];
+      })
+    );
+  }
+
+  function renderPart(unit, value, locale) {
+    const parts = new Intl.NumberFormat(locale, {
+      style: "unit",
+      unit,
+      unitDisplay: "long",
+    }).formatToParts(value);
+
+    const part = document.createElement("span");
+    part.className = "countdown__part";
+
+    const number = document.createElement("span");
+    number.className = "countdown__value";
+    number.textContent = parts
+      .filter((p) => p.type !== "unit" && p.type !== "literal")
+      .map((p) => p.value)
+      .join("");
+
+    const label = document.createElement("span");
+    label.className = "countdown__unit";
+    label.textContent = parts.filter((p) => p.type === "unit").map((p) => p.value).join("");
+
+    part.append(number, " ", label);
+    return part;
+  }
+
+  function render() {
+    if (!element) return;
+    const lang = getCurrentLanguage();
+    const locale = formatLocales[lang] || lang;
+    const values = split(getRemaining());
+
+    element.replaceChildren(...units.map((unit) => renderPart(unit, values[unit], locale)));
+  }
+
+  function finish() {
+    ended = true;
+    element.setAttribute("data-countdown-ended", "");
+    onEnd?.();
+    element.dispatchEvent(new CustomEvent("countdown-end", { bubbles: true }));
+  }
+
+  // Se reprograma al cambio de segundo para no acumular desfase
+  function tick() {
+    timeoutId = null;
+    render();
+
+    const remaining = getRemaining();
+    if (remaining === 0) {
+      if (!ended) finish();
+      return;
+    }
+    timeoutId = setTimeout(tick, remaining % 1000 || 1000);
+  }
+
+  function onLanguageChanged() {
+    render();
+  }
+
+  // --- INIT ---
+  function init() {
+    element = findElement(selector);
+    if (!element) return;
+
+    if (Number.isNaN(targetTime)) {
+      console.warn("Fecha inválida para la cuenta regresiva:", target);
+      return;
+    }
+
+    element.setAttribute("role", "timer");
+    handlers.onLanguageChanged = onLanguageChanged;
+    document.addEventListener("language-changed", handlers.onLanguageChanged);
+    tick();
+  }
+
+  // --- DESTROY ---
+  function destroy() {
+    clearTimeout(timeoutId);
+    timeoutId = null;
+    document.removeEventListener("language-changed", handlers.onLanguageChanged);
+  }
+
+  if (autoInit) init();
+
+  return {
+    init,
+    destroy,
+    getRemaining,
+    isEnded: () => ended,
+  };
+}
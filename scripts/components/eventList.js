@@ -0,0 +1,264 @@
+import { findElement } from "../utils/domUtils.js";
+import { t, getCurrentLanguage, translateElement } from "../utils/i18n.js";
+import {
+  eventsUrl,
+  loadEvents,
+  localize,
+  splitEvents,
+  isHappening,
+  formatEventDate,
+  formatLocation,
+} from "../utils/events.js";
+import { createIcsUrl, icsFileName, googleCalendarUrl } from "../utils/calendar.js";
+import { countdown } from "./countdown.js";
+
+// setTimeout no acepta esperas de más de ~24,8 días
+const MAX_DELAY = 2 ** 31 - 1;
+
+/**
+ * Página de eventos: próximos y pasados a partir de scripts/data/events.json,
+ * con "Agregar al calendario" (.ics y Google Calendar) y una cuenta
+ * regresiva para el próximo.
+ *
+ * Cada tarjeta sale del <template> `template`; sus campos se marcan con
+ * data-event-text, data-event-list, data-event-link y data-event-calendar.
+ * Lo marcado con data-event-upcoming no se muestra en eventos pasados.
+ */
+export function eventList({
+  selector = ".events",
+  selectorUpcoming = ".events__upcoming",
+  selectorPast = ".events__past",
+  selectorPastSection = ".events__section--past",
+  selectorNext = ".events__next",
+  selectorStatus = ".events__status",
+  template = "event-card-template",
+  url = eventsUrl,
+  fetchImpl,
+  pastLimit = 6,
+  autoInit = true,
+} = {}) {
+  // --- Estado interno ---
+  let root, upcomingList, pastList, pastSection, nextSection, status, cardTemplate;
+  let events = null;
+  let nextCountdown = null;
+  let endTimeoutId = null;
+  // URLs blob: de los .ics, para liberarlas al volver a dibujar
+  let objectUrls = [];
+  let destroyed = false;
+
+  const handlers = {
+    onLanguageChanged: null,
+  };
+
+  // state: "loading" | "none" | "error" | "" (sin mensaje)
+  function setStatus(state) {
+    if (!status) return;
+    status.dataset.state = state;
+    status.textContent = state ? t(`events.status.${state}`) || "" : "";
+    status.hidden = !state;
+  }
+
+  function releaseObjectUrls() {
+    objectUrls.forEach((objectUrl) => URL.revokeObjectURL(objectUrl));
+    objectUrls = [];
+  }
+
+  // --- Tarjetas ---
+
+  function fillTexts(card, event, lang) {
+    const texts = {
+      title: localize(event.title, lang),
+      summary: localize(event.summary, lang),
+      date: formatEventDate(event, lang),
+      location: formatLocation(event, lang),
+    };
+
+    card.querySelectorAll("[data-event-text]").forEach((el) => {
+      const text = texts[el.getAttribute("data-event-text")];
+      if (!text) {
+        el.hidden = true;
+        return;
+      }
+      el.textContent = text;
+      if (el.tagName === "TIME") el.setAttribute("datetime", event.start);
+    });
+  }
+
+  // El primer hijo de la lista sirve de molde para cada elemento
+  function fillLists(card, event, lang) {
+    card.querySelectorAll("[data-event-list]").forEach((list) => {
+      const items = localize(event[list.getAttribute("data-event-list")], lang) || [];
+      const itemTemplate = list.firstElementChild;
+
+      list.replaceChildren(
+        ...items.map((text) => {
+          const item = itemTemplate.cloneNode(false);
+          item.textContent = text;
+          return item;
+        })
+      );
+      list.hidden = items.length === 0;
+    });
+  }
+
+  function fillLinks(card, event, lang) {
+    card.querySelectorAll("[data-event-link]").forEach((el) => {
+      const href = event.links?.[el.getAttribute("data-event-link")];
+      if (href) el.setAttribute("href", href);
+      else el.remove();
+    });
+
+    card.querySelectorAll("[data-event-calendar]").forEach((el) => {
+      if (el.getAttribute("data-event-calendar") === "google") {
+        el.setAttribute("href", googleCalendarUrl(event, { lang }));
+        return;
+      }
+
+      const objectUrl = createIcsUrl(event, { lang });
+      objectUrls.push(objectUrl);
+      el.setAttribute("href", objectUrl);
+      el.setAttribute("download", icsFileName(event));
+    });
+  }
+
+  function renderCard(event, { upcoming }) {
+    const lang = getCurrentLanguage();
+    const card = cardTemplate.content.firstElementChild.cloneNode(true);
+    card.id = `event-${event.id}`;
+    card.dataset.eventId = event.id;
+
+    if (!upcoming) {
+      card.classList.add("event-card--past");
+      card.querySelectorAll("[data-event-upcoming]").forEach((el) => el.remove());
+    }
+
+    fillTexts(card, event, lang);
+    fillLists(card, event, lang);
+    fillLinks(card, event, lang);
+
+    const title = card.querySelector('[data-event-text="title"]');
+    if (title) {
+      title.id = `${card.id}-title`;
+      card.setAttribute("aria-labelledby", title.id);
+    }
+
+    translateElement(card);
+    return card;
+  }
+
+  // --- Próximo evento ---
+
+  // Al terminar el evento en curso se vuelve a dibujar sin "en curso";
+  // si falta más que MAX_DELAY, render() lo vuelve a programar
+  function scheduleEnd(event) {
+    const remaining = event.endDate.getTime() - Date.now() + 1;
+    endTimeoutId = setTimeout(render, Math.min(remaining, MAX_DELAY));
+  }
+
+  function clearEnd() {
+    clearTimeout(endTimeoutId);
+    endTimeoutId = null;
+  }
+
+  function renderNext(event) {
+    nextCountdown?.destroy();
+    nextCountdown = null;
+    clearEnd();
+    if (!nextSection) return;
+
+    nextSection.hidden = !event;
+    if (!event) return;
+
+    const lang = getCurrentLanguage();
+    const happening = isHappening(event);
+    const title = nextSection.querySelector('[data-event-next="title"]');
+    const state = nextSection.querySelector('[data-event-next="status"]');
+    const timer = nextSection.querySelector(".countdown");
+
+    if (title) {
+      title.textContent = localize(event.title, lang);
+      if (title.tagName === "A") title.setAttribute("href", `#event-${event.id}`);
+    }
+    if (state) state.textContent = (happening ? t("events.happening_now") : t("events.starts_in")) || "";
+
+    if (timer) {
+      timer.hidden = happening;
+      // Al empezar el evento se vuelve a dibujar con "en curso"
+      if (!happening) nextCountdown = countdown({ selector: timer, target: event.start, onEnd: render });
+    }
+    if (happening) scheduleEnd(event);
+  }
+
+  function render() {
+    if (!events || destroyed) return;
+    releaseObjectUrls();
+
+    const { upcoming, past } = splitEvents(events);
+    upcomingList?.replaceChildren(...upcoming.map((event) => renderCard(event, { upcoming: true })));
+    pastList?.replaceChildren(...past.slice(0, pastLimit).map((event) => renderCard(event, { upcoming: false })));
+    if (pastSection) pastSection.hidden = past.length === 0;
+
+    setStatus(upcoming.length === 0 ? "none" : "");
+    renderNext(upcoming[0]);
+  }
+
+  function onLanguageChanged() {
+    if (events) render();
+    else if (status?.dataset.state) setStatus(status.dataset.state);
+  }
+
+  // --- INIT ---
+  function init() {
+    root = findElement(selector);
+    cardTemplate = document.getElementById(template);
+    if (!root || !cardTemplate) {
+      console.warn("No se encontraron los elementos de la lista de eventos.");
+      return;
+    }
+
+    upcomingList = root.querySelector(selectorUpcoming);
+    pastList = root.querySelector(selectorPast);
+    pastSection = root.querySelector(selectorPastSection);
+    nextSection = root.querySelector(selectorNext);
+    status = root.querySelector(selectorStatus);
+    destroyed = false;
+
+    handlers.onLanguageChanged = onLanguageChanged;
+    document.addEventListener("language-changed", handlers.onLanguageChanged);
+
+    setStatus("loading");
+    root.setAttribute("aria-busy", "true");
+
+    loadEvents({ url, fetchImpl })
+      .then((list) => {
+        events = list;
+        render();
+      })
+      .catch((error) => {
+        console.error("No se pudieron cargar los eventos:", error);
+        if (!destroyed) setStatus("error");
+      })
+      .finally(() => {
+        root.removeAttribute("aria-busy");
+      });
+  }
+
+  // --- DESTROY ---
+  function destroy() {
+    destroyed = true;
+    document.removeEventListener("language-changed", handlers.onLanguageChanged);
+    nextCountdown?.destroy();
+    nextCountdown = null;
+    clearEnd();
+    releaseObjectUrls();
+  }
+
+  if (autoInit) init();
+
+  return {
+    init,
+    destroy,
+    render,
+    getEvents: () => events,
+  };
+}
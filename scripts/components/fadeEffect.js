@@ -1,14 +1,55 @@
 import { findElement } from "../utils/domUtils.js";
 
+// Curvas para el progreso de la animación (t de 0 a 1)
+export const easings = {
+  linear: (t) => t,
+  easeIn: (t) => t * t * t,
+  easeOut: (t) => 1 - Math.pow(1 - t, 3),
+  easeInOut: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+};
+
+/**
+ * Transiciones entre páginas: fundido de entrada al cargar y de salida al
+ * seguir un enlace del mismo sitio.
+ *
+ * Si el navegador soporta View Transitions entre documentos, las hace el CSS
+ * (@view-transition en _animations.scss) y acá no se anima nada.
+ * Al volver con atrás/adelante (bfcache) se restaura la opacidad.
+ *
+ * Un enlace con data-no-transition navega sin fundido.
+ */
 export function fadeEffect({
   selector = "body",
   duration = 500,
+  exitDuration = 250,
+  // Nombre de `easings` o una función t => t
+  easing = "linear",
+  pageTransitions = true,
   autoInit = true,
 } = {}) {
   let element = null;
   let rafId = null;
   let startTime = null;
+  let navigateTimeout = null;
   const dur = Math.max(0, duration);
+  const ease = typeof easing === "function" ? easing : easings[easing] || easings.linear;
+
+  const handlers = {
+    onDocumentClick: null,
+    onPageShow: null,
+  };
+
+  function prefersReducedMotion() {
+    const media =
+      window.matchMedia &&
+      window.matchMedia("(prefers-reduced-motion: reduce)");
+    return Boolean(media && media.matches);
+  }
+
+  // El navegador hace la transición entre documentos
+  function supportsViewTransitions() {
+    return "PageRevealEvent" in window && typeof document.startViewTransition === "function";
+  }
 
   function cleanupStyle() {
     if (!element) return;
@@ -16,40 +57,118 @@ export function fadeEffect({
     element.style.opacity = "1";
   }
 
-  function start() {
-    element = findElement(selector);
-    if (!element) return;
-    element.style.opacity = "0";
+  function cancelAnimation() {
+    if (rafId) {
+      window.cancelAnimationFrame(rafId);
+      rafId = null;
+    }
+  }
+
+  // Anima la opacidad de `from` a `to`; onDone se llama al terminar
+  function animate(from, to, time, onDone) {
+    cancelAnimation();
+    element.style.opacity = String(from);
     element.style.willChange = "opacity";
     startTime = null;
 
     function step(timestamp) {
       if (!startTime) startTime = timestamp;
       const elapsed = timestamp - startTime;
-      const progress = Math.min(1, elapsed / Math.max(1, dur));
+      const progress = Math.min(1, elapsed / Math.max(1, time));
 
-      element.style.opacity = String(progress);
+      element.style.opacity = String(from + (to - from) * ease(progress));
 
       if (progress < 1) {
         rafId = window.requestAnimationFrame(step);
       } else {
-        cleanupStyle();
+        rafId = null;
+        onDone?.();
       }
     }
 
     rafId = window.requestAnimationFrame(step);
   }
 
+  function start() {
+    element = findElement(selector);
+    if (!element) return;
+    animate(0, 1, dur, cleanupStyle);
+  }
+
+  function fadeOut(onDone) {
+    element = element || findElement(selector);
+    if (!element) {
+      onDone?.();
+      return;
+    }
+    animate(Number(element.style.opacity || 1), 0, Math.max(0, exitDuration), onDone);
+  }
+
+  function navigate(url) {
+    clearTimeout(navigateTimeout);
+    let done = false;
+    const go = () => {
+      if (done) return;
+      done = true;
+      clearTimeout(navigateTimeout);
+      window.location.assign(url);
+    };
+
+    fadeOut(go);
+    // rAF no corre con la pestaña oculta; no quedarse sin navegar
+    navigateTimeout = setTimeout(go, exitDuration + 100);
+  }
+
+  // Solo enlaces normales a otra página del mismo origen
+  function getTransitionUrl(e) {
+    if (e.defaultPrevented || e.button !== 0) return null;
+    if (e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return null;
+
+    const link = e.target.closest?.("a[href]");
+    if (!link || link.hasAttribute("download") || link.hasAttribute("data-no-transition")) return null;
+    if (link.target && link.target !== "_self") return null;
+
+    const url = new URL(link.href, window.location.href);
+    if (url.origin !== window.location.origin) return null;
+
+    // Anclas dentro de la misma página (incluido href="#")
+    const here = window.location;
+    if (url.pathname === here.pathname && url.search === here.search) return null;
+
+    return url.href;
+  }
+
+  function onDocumentClick(e) {
+    const url = getTransitionUrl(e);
+    if (!url) return;
+    e.preventDefault();
+    navigate(url);
+  }
+
+  // Restaurada desde bfcache: el body quedó en el último cuadro del fundido
+  function onPageShow(e) {
+    if (!e.persisted) return;
+    cancelAnimation();
+    clearTimeout(navigateTimeout);
+    element = element || findElement(selector);
+    cleanupStyle();
+  }
+
   function init() {
-    const media =
-      window.matchMedia &&
-      window.matchMedia("(prefers-reduced-motion: reduce)");
-    if (media && media.matches) {
+    handlers.onPageShow = onPageShow;
+    window.addEventListener("pageshow", handlers.onPageShow);
+
+    if (prefersReducedMotion() || supportsViewTransitions()) {
       const el = findElement(selector);
       if (el) el.style.opacity = 1;
       return;
     }
 
+    if (pageTransitions) {
+      handlers.onDocumentClick = onDocumentClick;
+      document.addEventListener("click", handlers.onDocumentClick);
+    }
+
     if (document.readyState === "loading") {
       document.addEventListener("DOMContentLoaded", start, { once: true });
     } else {
@@ -58,15 +177,20 @@ export function fadeEffect({
   }
 
   function destroy() {
-    if (rafId) {
-      cancelAnimationFrame(rafId);
-      rafId = null;
+    cancelAnimation();
+    clearTimeout(navigateTimeout);
+    navigateTimeout = null;
+    window.removeEventListener("pageshow", handlers.onPageShow);
+    if (handlers.onDocumentClick) {
+      document.removeEventListener("click", handlers.onDocumentClick);
+      handlers.onDocumentClick = null;
     }
+    cleanupStyle();
     element = null;
     startTime = null;
   }
 
   if (autoInit) init();
 
-  return { init, start, destroy };
+  return { init, start, fadeOut, navigate, destroy };
 }
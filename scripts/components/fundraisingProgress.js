@@ -0,0 +1,153 @@
+import { findElement } from "../utils/domUtils.js";
+import { t, getCurrentLanguage } from "../utils/i18n.js";
+import { formatLocales } from "../data/locales.js";
+import { fundraisingUrl, loadFundraising, getProgress } from "../utils/fundraising.js";
+
+/**
+ * Barra de avance de una campaña de donación (ver utils/fundraising.js).
+ *
+ * El marcado está en el HTML: la barra lleva data-fundraising-bar y los
+ * textos data-fundraising-text (raised, percent, donors, deadline, updated).
+ * El relleno crece hasta --fundraising-progress cuando ScrollAnimations
+ * agrega .scrolled al elemento (ver _fundraising.scss).
+ *
+ * Sin meta o sin monto el elemento queda oculto y el CTA sigue solo; con
+ * datos viejos se muestra igual, con data-stale y la fecha de los datos.
+ */
+export function fundraisingProgress({
+  selector = ".fundraising",
+  campaign,
+  url = fundraisingUrl,
+  fetchImpl,
+  staleAfterDays = 7,
+  autoInit = true,
+} = {}) {
+  // --- Estado interno ---
+  let element = null;
+  let data = null;
+  let destroyed = false;
+
+  const handlers = {
+    onLanguageChanged: null,
+  };
+
+  // Sin una moneda válida (ver getProgress) el monto va como número
+  function formatAmount(value, currency, locale) {
+    return new Intl.NumberFormat(locale, {
+      ...(currency && { style: "currency", currency }),
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0,
+    }).format(value);
+  }
+
+  function deadlineText(progress) {
+    if (progress.ended) return t("fundraising.ended");
+    if (progress.daysLeft === null) return null;
+    return t("fundraising.days_left", { count: progress.daysLeft });
+  }
+
+  function updatedText(progress) {
+    if (!progress.updatedAt) return null;
+    if (progress.stale) return t("fundraising.stale", { date: progress.updatedAt });
+    return t("fundraising.updated", { date: progress.updatedAt });
+  }
+
+  function getTexts(progress, locale) {
+    const { currency } = progress;
+    return {
+      raised: t("fundraising.raised", {
+        raised: formatAmount(progress.raised, currency, locale),
+        goal: formatAmount(progress.goal, currency, locale),
+      }),
+      percent: t("fundraising.percent", { ratio: progress.ratio }),
+      donors: progress.donors === null ? null : t("fundraising.donors", { count: progress.donors }),
+      deadline: deadlineText(progress),
+      updated: updatedText(progress),
+    };
+  }
+
+  // state: "loading" | "missing" | "ready"
+  function setState(state) {
+    element.dataset.state = state;
+    element.hidden = state !== "ready";
+  }
+
+  function render() {
+    if (!element || !data || destroyed) return;
+
+    const progress = getProgress(data, { staleAfterDays });
+    if (!progress) {
+      setState("missing");
+      return;
+    }
+
+    const lang = getCurrentLanguage();
+    const texts = getTexts(progress, formatLocales[lang] || lang);
+
+    element.querySelectorAll("[data-fundraising-text]").forEach((el) => {
+      const text = texts[el.getAttribute("data-fundraising-text")];
+      el.textContent = text || "";
+      el.hidden = !text;
+    });
+
+    element.querySelectorAll("[data-fundraising-bar]").forEach((bar) => {
+      bar.setAttribute("aria-valuemin", "0");
+      bar.setAttribute("aria-valuemax", String(progress.goal));
+      bar.setAttribute("aria-valuenow", String(Math.min(progress.raised, progress.goal)));
+      bar.setAttribute("aria-valuetext", texts.raised);
+    });
+
+    element.style.setProperty("--fundraising-progress", String(Math.min(progress.ratio, 1)));
+    element.toggleAttribute("data-stale", progress.stale);
+    element.toggleAttribute("data-ended", progress.ended);
+    setState("ready");
+  }
+
+  function onLanguageChanged() {
+    render();
+  }
+
+  // --- INIT ---
+  function init() {
+    element = findElement(selector);
+    if (!element) return;
+    destroyed = false;
+
+    if (!campaign) {
+      console.warn("Falta la campaña (data-campaign) de la barra de donaciones.", element);
+      setState("missing");
+      return;
+    }
+
+    setState("loading");
+    handlers.onLanguageChanged = onLanguageChanged;
+    document.addEventListener("language-changed", handlers.onLanguageChanged);
+
+    loadFundraising(campaign, { url, fetchImpl })
+      .then((raw) => {
+        if (destroyed) return;
+        data = raw;
+        if (data) render();
+        else setState("missing");
+      })
+      .catch((error) => {
+        console.warn(`No se pudo cargar el avance de la campaña "${campaign}":`, error);
+        if (!destroyed) setState("missing");
+      });
+  }
+
+  // --- DESTROY ---
+  function destroy() {
+    destroyed = true;
+    document.removeEventListener("language-changed", handlers.onLanguageChanged);
+  }
+
+  if (autoInit) init();
+
+  return {
+    init,
+    destroy,
+    render,
+    getProgress: () => (data ? getProgress(data, { staleAfterDays }) : null),
+  };
+}
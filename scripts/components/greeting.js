@@ -1,32 +1,110 @@
 import { findElement } from "../utils/domUtils.js";
+import { t } from "../utils/i18n.js";
 
-export function actualizarSaludo(selector = ".main__intro-salutations") {
+// Horas (0-23) en que empieza cada período si el idioma no define las suyas
+const limitesPorDefecto = { afternoon: 12, evening: 18 };
+
+// Hora y minutos actuales, opcionalmente en otra zona horaria
+function obtenerHora(timeZone) {
+  const ahora = new Date();
+  if (!timeZone) return { hora: ahora.getHours(), minutos: ahora.getMinutes() };
+
+  const partes = new Intl.DateTimeFormat("en-US", {
+    hour: "numeric",
+    minute: "numeric",
+    hourCycle: "h23",
+    timeZone,
+  }).formatToParts(ahora);
+  const valor = (tipo) => Number(partes.find((p) => p.type === tipo).value);
+
+  return { hora: valor("hour"), minutos: valor("minute") };
+}
+
+function obtenerLimites(limites) {
+  return { ...limitesPorDefecto, ...(t("greeting.hours") || {}), ...limites };
+}
+
+function obtenerPeriodo(hora, limites) {
+  if (hora < limites.afternoon) return "morning";
+  if (hora < limites.evening) return "afternoon";
+  return "evening";
+}
+
+/**
+ * Muestra el saludo del período actual (morning, afternoon, evening) en el
+ * idioma activo. Los textos y las horas de corte salen de greeting.* en las
+ * traducciones; `limites` permite sobrescribir las horas.
+ * Devuelve el período mostrado.
+ */
+export function actualizarSaludo(
+  selector = ".main__intro-salutations",
+  { timeZone, limites } = {}
+) {
   const elementoIntro = findElement(selector);
-  
+
   if (!elementoIntro) {
-    return;
+    return null;
   }
 
-  const lang = document.documentElement.lang || "es";
-  const esIngles = lang.toLowerCase().startsWith("en");
+  const { hora } = obtenerHora(timeZone);
+  const periodo = obtenerPeriodo(hora, obtenerLimites(limites));
+  const textoSaludo = t(`greeting.${periodo}`);
 
-  const hora = new Date().getHours();
-  let textoSaludo = "";
+  // Sin traducciones cargadas todavía se conserva el texto del HTML
+  if (textoSaludo) elementoIntro.textContent = textoSaludo;
 
-  if (esIngles) {
-    if (hora < 12) textoSaludo = "Good morning";
-    else if (hora < 18) textoSaludo = "Good afternoon";
-    else textoSaludo = "Good evening";
-  } else {
-    if (hora < 12) textoSaludo = "Buenos días";
-    else if (hora < 19) textoSaludo = "Buenas tardes"; 
-    else textoSaludo = "Buenas noches";
-  }
+  return periodo;
+}
+
+// Milisegundos hasta la próxima hora de corte
+function msHastaProximoCambio({ timeZone, limites }) {
+  const { hora, minutos } = obtenerHora(timeZone);
+  const cortes = Object.values(obtenerLimites(limites)).sort((a, b) => a - b);
+  const proximo = cortes.find((c) => c > hora) ?? cortes[0] + 24;
 
-  elementoIntro.textContent = textoSaludo;
+  return ((proximo - hora) * 60 - minutos) * 60 * 1000;
 }
 
-export const saludo = ({ selector = ".main__intro-salutations" } = {}) => {
-    actualizarSaludo(selector);
-    return { mostrarSaludo: () => actualizarSaludo(selector) };
-};
\ No newline at end of file
+export const saludo = ({
+  selector = ".main__intro-salutations",
+  timeZone,
+  limites,
+  autoInit = true,
+} = {}) => {
+  const opciones = { timeZone, limites };
+  let timeoutId = null;
+
+  function mostrarSaludo() {
+    return actualizarSaludo(selector, opciones);
+  }
+
+  // Se reprograma en cada cambio para seguir al reloj aunque la pestaña quede abierta
+  function programarCambio() {
+    clearTimeout(timeoutId);
+    timeoutId = setTimeout(() => {
+      mostrarSaludo();
+      programarCambio();
+    }, msHastaProximoCambio(opciones) + 1000);
+  }
+
+  function onLanguageChanged() {
+    mostrarSaludo();
+    programarCambio();
+  }
+
+  function init() {
+    mostrarSaludo();
+    programarCambio();
+    document.addEventListener("language-changed", onLanguageChanged);
+  }
+
+  function destroy() {
+    clearTimeout(timeoutId);
+    timeoutId = null;
+    document.removeEventListener("language-changed", onLanguageChanged);
+  }
+
+  if (autoInit) init();
+
+  return { mostrarSaludo, init, destroy };
+};
@@ -0,0 +1,62 @@
+/**
+ * Componentes disponibles para data-component. Cualquier página que importe
+ * este módulo y llame a startComponents() (ver main.js) puede usarlos.
+ *
+ * Las opciones de cada uno son las de su factory, escritas como data-*:
+ *   <header data-component="navbar" data-scroll-spy="false">
+ */
+import ScrollAnimations from "./scrollAnimations.js";
+import { saludo } from "./greeting.js";
+import { fadeEffect } from "./fadeEffect.js";
+import { barraNavegacion } from "./navbar.js";
+import { typewriter } from "./typewriter.js";
+import { initPopup } from "./popup.js";
+import { scrollEffects } from "./scrollEffects.js";
+import { contactForm } from "./contactForm.js";
+import { consentBanner } from "./consentBanner.js";
+import { eventList } from "./eventList.js";
+import { countdown } from "./countdown.js";
+import { fundraisingProgress } from "./fundraisingProgress.js";
+import { statisticsDashboard } from "./statisticsDashboard.js";
+import { registerComponent } from "../utils/components.js";
+import { t } from "../utils/i18n.js";
+
+registerComponent("page-transition", (el, options) => fadeEffect({ ...options, selector: el }));
+
+registerComponent("scroll-animations", (el, options) =>
+  new ScrollAnimations({ observarCambios: true, ...options })
+);
+
+registerComponent("scroll-effects", (el, options) => scrollEffects(options));
+
+registerComponent("navbar", (el, options) => barraNavegacion({ ...options, selectorHeader: el }));
+
+registerComponent("campaign-popup", () => initPopup());
+
+registerComponent("greeting", (el, options) => saludo({ ...options, selector: el }));
+
+registerComponent("contact-form", (el, options) => contactForm({ ...options, selector: el }));
+
+registerComponent("consent-banner", (el, options) => consentBanner({ ...options, selector: el }));
+
+registerComponent("event-list", (el, options) => eventList({ ...options, selector: el }));
+
+// data-threshold solo puede subir el umbral de supresión
+registerComponent("statistics-dashboard", (el, options) => statisticsDashboard({ ...options, selector: el }));
+
+// <div data-component="fundraising-progress" data-campaign="first-responders">
+registerComponent("fundraising-progress", (el, options) => fundraisingProgress({ ...options, selector: el }));
+
+// <div data-component="countdown" data-target="2026-06-14T10:00:00-06:00">
+registerComponent("countdown", (el, options) => countdown({ ...options, selector: el }));
+
+// Las palabras salen de las traducciones (data-words-key) o de data-words='["a","b"]'
+registerComponent(
+  "typewriter",
+  (el, { words, wordsKey, ...options }) => {
+    const list = words || (wordsKey ? t(wordsKey) : null);
+    if (!Array.isArray(list) || list.length === 0) return null;
+    return typewriter(el, list, options);
+  },
+  { localized: true }
+);
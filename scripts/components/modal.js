@@ -0,0 +1,221 @@
+const FOCUSABLE = [
+  "a[href]",
+  "area[href]",
+  "button:not([disabled])",
+  "input:not([disabled]):not([type='hidden'])",
+  "select:not([disabled])",
+  "textarea:not([disabled])",
+  "iframe",
+  "[contenteditable]",
+  "[tabindex]:not([tabindex='-1'])",
+].join(",");
+
+/**
+ * Controlador de diálogos modales reutilizable.
+ *
+ * Al abrir: mueve el foco adentro, lo atrapa con Tab/Shift+Tab, marca el
+ * resto de la página como inert + aria-hidden y bloquea el scroll.
+ * Al cerrar: deshace todo y devuelve el foco a quien lo abrió.
+ *
+ * Emite "modal-open" y "modal-close" (con detail.reason) sobre el elemento.
+ */
+export function modal({
+  element,
+  selectorClose = "[data-modal-close]",
+  claseVisible = "is-visible",
+  initialFocus = null,
+  closeOnEscape = true,
+  closeOnOverlay = true,
+  autoInit = true,
+} = {}) {
+  // --- Estado interno ---
+  let dialog = null;
+  let closeButtons = [];
+  let opener = null;
+  let isOpen = false;
+  let previousOverflow = "";
+  // Elementos a los que se les puso inert, con sus valores anteriores
+  let hiddenSiblings = [];
+
+  const handlers = {
+    onKeyDown: null,
+    onFocusIn: null,
+    onOverlayClick: null,
+    onCloseClick: null,
+  };
+
+  function getFocusable() {
+    return [...dialog.querySelectorAll(FOCUSABLE)].filter(
+      (el) => !el.closest("[inert], [hidden]")
+    );
+  }
+
+  function focusFirst() {
+    const target =
+      (initialFocus && dialog.querySelector(initialFocus)) || getFocusable()[0];
+
+    if (target) {
+      target.focus();
+    } else {
+      if (!dialog.hasAttribute("tabindex")) dialog.setAttribute("tabindex", "-1");
+      dialog.focus();
+    }
+  }
+
+  // Vuelve inerte todo lo que no contiene al diálogo, subiendo hasta <body>
+  function hideBackground() {
+    hiddenSiblings = [];
+    let node = dialog;
+
+    while (node && node.parentElement && node !== document.body) {
+      [...node.parentElement.children].forEach((sibling) => {
+        if (sibling === node || sibling.tagName === "SCRIPT") return;
+        hiddenSiblings.push({
+          el: sibling,
+          inert: sibling.hasAttribute("inert"),
+          ariaHidden: sibling.getAttribute("aria-hidden"),
+        });
+        sibling.setAttribute("inert", "");
+        sibling.setAttribute("aria-hidden", "true");
+      });
+      node = node.parentElement;
+    }
+  }
+
+  function restoreBackground() {
+    hiddenSiblings.forEach(({ el, inert, ariaHidden }) => {
+      if (!inert) el.removeAttribute("inert");
+      if (ariaHidden === null) el.removeAttribute("aria-hidden");
+      else el.setAttribute("aria-hidden", ariaHidden);
+    });
+    hiddenSiblings = [];
+  }
+
+  function emit(type, detail = {}) {
+    dialog.dispatchEvent(new CustomEvent(type, { bubbles: true, detail }));
+  }
+
+  // --- API ---
+
+  function open(trigger = document.activeElement) {
+    if (!dialog || isOpen) return;
+    isOpen = true;
+    opener = trigger;
+
+    dialog.classList.add(claseVisible);
+    previousOverflow = document.body.style.overflow;
+    document.body.style.overflow = "hidden"; // Prevent scroll
+    hideBackground();
+    focusFirst();
+
+    emit("modal-open");
+  }
+
+  function close(reason = "api") {
+    if (!dialog || !isOpen) return;
+    isOpen = false;
+
+    dialog.classList.remove(claseVisible);
+    document.body.style.overflow = previousOverflow; // Restore scroll
+    restoreBackground();
+
+    if (opener && opener.isConnected && typeof opener.focus === "function") {
+      opener.focus();
+    }
+    opener = null;
+
+    emit("modal-close", { reason });
+  }
+
+  // --- Event handlers ---
+
+  function onKeyDown(e) {
+    if (!isOpen) return;
+
+    if (e.key === "Escape" && closeOnEscape) {
+      e.preventDefault();
+      close("escape");
+      return;
+    }
+
+    if (e.key !== "Tab") return;
+
+    const focusable = getFocusable();
+    if (focusable.length === 0) {
+      e.preventDefault();
+      return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (e.shiftKey && (document.activeElement === first || !dialog.contains(document.activeElement))) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  // Por si el foco escapa (p. ej. navegadores sin soporte de inert)
+  function onFocusIn(e) {
+    if (isOpen && !dialog.contains(e.target)) focusFirst();
+  }
+
+  function onOverlayClick(e) {
+    if (closeOnOverlay && e.target === dialog) close("overlay");
+  }
+
+  function onCloseClick() {
+    close("button");
+  }
+
+  // --- INIT ---
+  function init() {
+    dialog = typeof element === "string" ? document.querySelector(element) : element;
+    if (!dialog) {
+      console.error("No se encontró el elemento del diálogo.");
+      return;
+    }
+
+    if (!dialog.hasAttribute("role")) dialog.setAttribute("role", "dialog");
+    dialog.setAttribute("aria-modal", "true");
+
+    handlers.onKeyDown = onKeyDown;
+    handlers.onFocusIn = onFocusIn;
+    handlers.onOverlayClick = onOverlayClick;
+    handlers.onCloseClick = onCloseClick;
+
+    document.addEventListener("keydown", handlers.onKeyDown);
+    document.addEventListener("focusin", handlers.onFocusIn);
+    dialog.addEventListener("click", handlers.onOverlayClick);
+
+    closeButtons = [...dialog.querySelectorAll(selectorClose)];
+    closeButtons.forEach((btn) => btn.addEventListener("click", handlers.onCloseClick));
+  }
+
+  // --- DESTROY ---
+  function destroy() {
+    if (isOpen) close("destroy");
+
+    document.removeEventListener("keydown", handlers.onKeyDown);
+    document.removeEventListener("focusin", handlers.onFocusIn);
+    dialog?.removeEventListener("click", handlers.onOverlayClick);
+    closeButtons.forEach((btn) => btn.removeEventListener("click", handlers.onCloseClick));
+    closeButtons = [];
+  }
+
+  if (autoInit) init();
+
+  return {
+    init,
+    open,
+    close,
+    destroy,
+    isOpen: () => isOpen,
+    get element() {
+      return dialog;
+    },
+  };
+}
@@ -1,21 +1,60 @@
 import { findElement, findElements } from "../utils/domUtils.js";
-
+import { availableLanguages, languageNames } from "../data/locales.js";
+import { setLanguage, getCurrentLanguage } from "../utils/i18n.js";
+import { buildLanguageUrl } from "../utils/languageUrl.js";
+
+const FOCUSABLE = [
+  "a[href]",
+  "button:not([disabled])",
+  "input:not([disabled]):not([type='hidden'])",
+  "select:not([disabled])",
+  "textarea:not([disabled])",
+  "[tabindex]:not([tabindex='-1'])",
+].join(",");
+
+/**
+ * Barra de navegación: menú móvil (drawer), selector de idioma y scroll-spy.
+ *
+ * En pantallas chicas (`mediaQueryMobile`) la lista funciona como drawer:
+ * bloquea el scroll, atrapa el foco y se cierra con Escape, clic afuera o al
+ * pasar a escritorio. Emite "nav-drawer-open" y "nav-drawer-close" (con
+ * detail.reason) sobre el header.
+ */
 export function barraNavegacion({
   selectorHeader = ".header",
   selectorBurger = ".header__nav-burguer",
   selectorNavItems = ".header__nav-item",
   selectorNav = ".header__nav-list",
   selectorLangMenu = ".header__nav-langmenu",
-  selectorLangItems = ".header__nav-langitem",
   selectorLangList = ".header__nav-langlist",
+  idiomas = availableLanguages,
+  onSelectLanguage = setLanguage,
+  selectorHomeSection = ".main__intro",
+  scrollSpy = true,
+  // Alto del header fijo a descontar: "auto" lo mide, o un número en px
+  spyOffset = "auto",
+  // Debe coincidir con el breakpoint "large" de styles/abstracts/_mixins.scss
+  mediaQueryMobile = "(max-width: 991.98px)",
   autoInit = true,
 } = {}) {
   // --- Estado interno ---
   let header, burger, navItems, nav, langMenu, langItems, langList;
-  let permiteClickReciente = false;
-  let clickTimeout = null;
   let rafScroll = null;
 
+  // Scroll-spy: sección -> item del menú, y secciones dentro de la franja activa
+  let spyObserver = null;
+  let spySections = new Map();
+  const visibleSections = new Set();
+  // Mientras dura el scroll suave de un clic no se recalcula el item activo
+  let spyLocked = false;
+  let spyLockTimeout = null;
+  let rafResize = null;
+
+  // Drawer móvil
+  let mobileQuery = null;
+  let isDrawerOpen = false;
+  let previousOverflow = "";
+
   // Referencias a handlers para poder removerlos
   const handlers = {
     onBurgerClick: null,
@@ -24,44 +63,329 @@ export function barraNavegacion({
     onNavItemClick: null,
     onLangMenuClick: null,
     onLangMenuKeyDown: null,
-    onLangItemClick: null,
+    onLangListClick: null,
+    onLangListKeyDown: null,
+    onLanguageChanged: null,
     onWindowScroll: null,
+    onWindowScrollEnd: null,
+    onWindowResize: null,
+    onDrawerKeyDown: null,
+    onBreakpointChange: null,
   };
 
   // --- Funciones internas (idénticas a tu clase) ---
 
   function deactivateAllNavItems() {
-    navItems.forEach((item) => item.classList.remove("item--active"));
+    setActiveItem(null);
   }
 
-  function toggleMenuElements() {
-    const burgerActive = burger.classList.toggle("header__nav-burguer--active");
-    nav.classList.toggle("header__nav--active");
-    header.classList.toggle("header--active");
-    burger.setAttribute("aria-expanded", burgerActive ? "true" : "false");
+  // Marca un item (o ninguno) con item--active y aria-current="location"
+  function setActiveItem(activeItem) {
+    navItems.forEach((item) => {
+      const isActive = item === activeItem;
+      item.classList.toggle("item--active", isActive);
+
+      const link = item.querySelector("a");
+      if (!link) return;
+      if (isActive) link.setAttribute("aria-current", "location");
+      else link.removeAttribute("aria-current");
+    });
   }
 
-  function toggleLangMenu() {
+  // --- Scroll-spy ---
+
+  function getSpyOffset() {
+    return spyOffset === "auto" ? header.offsetHeight : Number(spyOffset) || 0;
+  }
+
+  // Relaciona cada item con la sección a la que apunta su enlace (#id)
+  function buildSpySections() {
+    spySections = new Map();
+
+    navItems.forEach((item) => {
+      const href = item.querySelector('a[href^="#"]')?.getAttribute("href");
+      if (!href) return;
+
+      const section =
+        href === "#"
+          ? document.querySelector(selectorHomeSection)
+          : document.getElementById(decodeURIComponent(href.slice(1)));
+
+      if (section) spySections.set(section, item);
+    });
+  }
+
+  function isAtPageBottom() {
+    const { scrollHeight } = document.documentElement;
+    const scrollBottom = window.scrollY + window.innerHeight;
+    return scrollHeight > window.innerHeight && scrollBottom >= scrollHeight - 2;
+  }
+
+  // Sin IntersectionObserver se calcula con las posiciones
+  function isInSpyBand(section) {
+    const rect = section.getBoundingClientRect();
+    const top = getSpyOffset();
+    const bottom = window.innerHeight / 2;
+    return rect.top < bottom && rect.bottom > top;
+  }
+
+  function updateActiveFromSpy() {
+    if (spyLocked || spySections.size === 0) return;
+
+    const sections = [...spySections.keys()];
+    let active = null;
+
+    // Una sección corta al final (el footer) nunca llega a la franja superior
+    if (isAtPageBottom()) {
+      active = sections[sections.length - 1];
+    } else {
+      active = sections.find((section) =>
+        spyObserver ? visibleSections.has(section) : isInSpyBand(section)
+      );
+    }
+
+    setActiveItem(active ? spySections.get(active) : null);
+  }
+
+  function setupScrollSpy() {
+    if (!scrollSpy) return;
+
+    buildSpySections();
+    if (spySections.size === 0 || !("IntersectionObserver" in window)) {
+      updateActiveFromSpy();
+      return;
+    }
+
+    spyObserver?.disconnect();
+    visibleSections.clear();
+
+    // Franja activa: desde debajo del header hasta la mitad de la pantalla
+    spyObserver = new IntersectionObserver(
+      (entries) => {
+        entries.forEach((entry) => {
+          if (entry.isIntersecting) visibleSections.add(entry.target);
+          else visibleSections.delete(entry.target);
+        });
+        updateActiveFromSpy();
+      },
+      { rootMargin: `-${getSpyOffset()}px 0px -50% 0px`, threshold: 0 }
+    );
+
+    spySections.forEach((_item, section) => spyObserver.observe(section));
+  }
+
+  function unlockSpy() {
+    spyLocked = false;
+    clearTimeout(spyLockTimeout);
+    spyLockTimeout = null;
+    updateActiveFromSpy();
+  }
+
+  // Se libera cuando el scroll se detiene (scrollend o 150 ms sin eventos)
+  function lockSpyUntilScrollEnds(delay = 300) {
+    spyLocked = true;
+    clearTimeout(spyLockTimeout);
+    spyLockTimeout = setTimeout(unlockSpy, delay);
+  }
+
+  // --- Drawer móvil ---
+
+  function isMobile() {
+    if (mobileQuery) return mobileQuery.matches;
+    // Sin matchMedia: es móvil si el botón hamburguesa está visible
+    return burger.offsetParent !== null;
+  }
+
+  function emitDrawer(type, reason) {
+    header.dispatchEvent(new CustomEvent(type, { bubbles: true, detail: { reason } }));
+  }
+
+  function setMenuClasses(open) {
+    burger.classList.toggle("header__nav-burguer--active", open);
+    nav.classList.toggle("header__nav--active", open);
+    header.classList.toggle("header--active", open);
+    burger.setAttribute("aria-expanded", open ? "true" : "false");
+  }
+
+  // Cerrado en móvil, el contenido del drawer no debe recibir foco
+  function updateNavInert() {
+    if (isMobile() && !isDrawerOpen) nav.setAttribute("inert", "");
+    else nav.removeAttribute("inert");
+  }
+
+  function openMenu(reason = "api") {
+    if (isDrawerOpen) return;
+    isDrawerOpen = true;
+    setMenuClasses(true);
+    updateNavInert();
+
+    if (isMobile()) {
+      previousOverflow = document.body.style.overflow;
+      document.body.style.overflow = "hidden";
+    }
+
+    emitDrawer("nav-drawer-open", reason);
+  }
+
+  function closeMenu(reason = "api", { returnFocus = false } = {}) {
+    if (!isDrawerOpen) return;
+    isDrawerOpen = false;
+    setMenuClasses(false);
+    closeLangMenu();
+    updateNavInert();
+    document.body.style.overflow = previousOverflow;
+    previousOverflow = "";
+
+    if (returnFocus) burger.focus();
+    emitDrawer("nav-drawer-close", reason);
+  }
+
+  function toggleMenuElements(reason = "burger") {
+    if (isDrawerOpen) closeMenu(reason);
+    else openMenu(reason);
+  }
+
+  // El ciclo de Tab recorre los enlaces del drawer y el botón que lo cierra
+  function getDrawerFocusable() {
+    return [...nav.querySelectorAll(FOCUSABLE), burger].filter(
+      (el) => !el.closest("[inert], [hidden]")
+    );
+  }
+
+  // --- Menú de idiomas (patrón WAI-ARIA "menu button") ---
+
+  function getLanguageName(lang) {
+    if (languageNames[lang]) return languageNames[lang];
+    try {
+      const name = new Intl.DisplayNames([lang], { type: "language" }).of(lang);
+      return name.charAt(0).toUpperCase() + name.slice(1);
+    } catch {
+      return lang;
+    }
+  }
+
+  // Un menuitemradio por idioma disponible, con su nombre en ese idioma
+  function buildLangMenu() {
+    if (!langList) return;
+
+    const items = idiomas.map((lang) => {
+      const li = document.createElement("li");
+      li.className = "header__nav-langitem";
+      li.setAttribute("role", "none");
+
+      const link = document.createElement("a");
+      link.className = "no-select";
+      link.id = `btn-${lang}`;
+      link.lang = lang;
+      link.hreflang = lang;
+      link.dataset.lang = lang;
+      link.setAttribute("role", "menuitemradio");
+      link.setAttribute("tabindex", "-1");
+      link.textContent = getLanguageName(lang);
+
+      li.appendChild(link);
+      return li;
+    });
+
+    langList.setAttribute("role", "menu");
+    langList.replaceChildren(...items);
+    langItems = [...langList.querySelectorAll('[role="menuitemradio"]')];
+    updateCheckedLanguage(getCurrentLanguage());
+  }
+
+  function updateCheckedLanguage(lang) {
+    langItems.forEach((item) => {
+      item.setAttribute("aria-checked", item.dataset.lang === lang ? "true" : "false");
+      // El enlace sigue funcionando con clic medio o "abrir en otra pestaña"
+      item.href = buildLanguageUrl(item.dataset.lang);
+    });
+  }
+
+  function isLangMenuOpen() {
+    return langMenu?.getAttribute("aria-expanded") === "true";
+  }
+
+  // Tabindex itinerante: solo el item con foco es tabulable
+  function focusLangItem(index) {
+    if (langItems.length === 0) return;
+    const next = (index + langItems.length) % langItems.length;
+    langItems.forEach((item, i) => item.setAttribute("tabindex", i === next ? "0" : "-1"));
+    langItems[next].focus();
+  }
+
+  // focus: "checked" (idioma actual), "first", "last" o null para no moverlo
+  function openLangMenu(focus = "checked") {
     if (!langMenu) return;
-    langList?.classList.toggle("header__nav-langlist--active");
-    const expanded = langMenu.classList.toggle("header__nav-langmenu--active");
-    langMenu.setAttribute("aria-expanded", expanded ? "true" : "false");
+    langList?.classList.add("header__nav-langlist--active");
+    langMenu.classList.add("header__nav-langmenu--active");
+    langMenu.setAttribute("aria-expanded", "true");
+
+    if (focus === "first") focusLangItem(0);
+    else if (focus === "last") focusLangItem(langItems.length - 1);
+    else if (focus === "checked") {
+      const checked = langItems.findIndex((i) => i.getAttribute("aria-checked") === "true");
+      focusLangItem(Math.max(0, checked));
+    }
+  }
+
+  function toggleLangMenu() {
+    if (isLangMenuOpen()) closeLangMenu();
+    else openLangMenu();
   }
 
-  function closeLangMenu() {
+  function closeLangMenu(returnFocus = false) {
     if (!langMenu) return;
     langList?.classList.remove("header__nav-langlist--active");
     langMenu.classList.remove("header__nav-langmenu--active");
     langMenu.setAttribute("aria-expanded", "false");
+    langItems?.forEach((item) => item.setAttribute("tabindex", "-1"));
+    if (returnFocus) langMenu.focus();
+  }
+
+  function selectLanguage(item) {
+    closeLangMenu(true);
+    onSelectLanguage(item.dataset.lang);
   }
 
   // --- Event handlers (idénticos a tu clase) ---
 
   function onBurgerClick() {
-    toggleMenuElements();
+    toggleMenuElements("burger");
     closeLangMenu();
   }
 
+  function onDrawerKeyDown(e) {
+    if (!isDrawerOpen || !isMobile()) return;
+
+    // El menú de idiomas maneja su propio Escape
+    if (e.key === "Escape" && !e.defaultPrevented) {
+      e.preventDefault();
+      closeMenu("escape", { returnFocus: true });
+      return;
+    }
+
+    if (e.key !== "Tab") return;
+
+    const focusable = getDrawerFocusable();
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const inside = focusable.includes(document.activeElement);
+
+    if (e.shiftKey && (document.activeElement === first || !inside)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (document.activeElement === last || !inside)) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  // Al pasar a escritorio el drawer se cierra y se libera el scroll
+  function onBreakpointChange() {
+    if (!isMobile()) closeMenu("breakpoint");
+    updateNavInert();
+  }
+
   function onBurgerKeyDown(e) {
     if (e.key === "Enter" || e.key === " ") {
       e.preventDefault();
@@ -75,13 +399,79 @@ export function barraNavegacion({
   }
 
   function onLangMenuKeyDown(e) {
-    if (e.key === "Enter" || e.key === " ") {
+    if (e.key === "Enter" || e.key === " " || e.key === "ArrowDown") {
       e.preventDefault();
-      onLangMenuClick(e);
+      openLangMenu(e.key === "ArrowDown" ? "first" : "checked");
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      openLangMenu("last");
+    } else if (e.key === "Escape" && isLangMenuOpen()) {
+      e.preventDefault();
+      closeLangMenu(true);
     }
   }
 
+  function onLangListClick(e) {
+    const item = e.target.closest('[role="menuitemradio"]');
+    if (!item) return;
+    e.preventDefault();
+    e.stopPropagation();
+    selectLanguage(item);
+  }
+
+  function onLangListKeyDown(e) {
+    const index = langItems.indexOf(document.activeElement);
+    if (index === -1) return;
+
+    switch (e.key) {
+      case "ArrowDown":
+        e.preventDefault();
+        focusLangItem(index + 1);
+        break;
+      case "ArrowUp":
+        e.preventDefault();
+        focusLangItem(index - 1);
+        break;
+      case "Home":
+        e.preventDefault();
+        focusLangItem(0);
+        break;
+      case "End":
+        e.preventDefault();
+        focusLangItem(langItems.length - 1);
+        break;
+      case "Escape":
+        e.preventDefault();
+        closeLangMenu(true);
+        break;
+      case "Tab":
+        closeLangMenu();
+        break;
+      case "Enter":
+      case " ":
+        e.preventDefault();
+        selectLanguage(langItems[index]);
+        break;
+      default:
+        // Búsqueda por primera letra
+        if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+          const char = e.key.toLowerCase();
+          const order = [...langItems.slice(index + 1), ...langItems.slice(0, index + 1)];
+          const match = order.find((item) => item.textContent.trim().toLowerCase().startsWith(char));
+          if (match) focusLangItem(langItems.indexOf(match));
+        }
+    }
+  }
+
+  function onLanguageChanged(e) {
+    updateCheckedLanguage(e.detail.lang);
+  }
+
   function onDocumentClick(e) {
+    if (isDrawerOpen && isMobile() && !header.contains(e.target)) {
+      closeMenu("outside");
+    }
+
     if (
       langList?.classList.contains("header__nav-langlist--active") &&
       !langList.contains(e.target) &&
@@ -93,71 +483,83 @@ export function barraNavegacion({
   }
 
   function onNavItemClick(e, item) {
-    permiteClickReciente = true;
-    if (clickTimeout) clearTimeout(clickTimeout);
-    toggleMenuElements();
-    deactivateAllNavItems();
-    item.classList.toggle("item--active");
-
-    clickTimeout = setTimeout(() => {
-      permiteClickReciente = false;
-    }, 800);
-  }
-
-  function onLangItemClick(e, item) {
-    toggleLangMenu();
-    e.stopPropagation();
+    // En escritorio no hay drawer que cerrar
+    if (isDrawerOpen) closeMenu("navigate");
+    setActiveItem(item);
+    // El scroll suave puede cruzar varias secciones antes de llegar
+    if (scrollSpy) lockSpyUntilScrollEnds();
   }
 
   function onWindowScroll() {
     if (rafScroll) return;
     rafScroll = requestAnimationFrame(() => {
-      if (!permiteClickReciente) deactivateAllNavItems();
+      if (spyLocked) lockSpyUntilScrollEnds(150);
+      else if (scrollSpy) updateActiveFromSpy();
+      else deactivateAllNavItems();
       rafScroll = null;
     });
   }
 
+  function onWindowScrollEnd() {
+    if (spyLocked) unlockSpy();
+  }
+
+  // El alto del header puede cambiar con el ancho de la pantalla
+  function onWindowResize() {
+    if (rafResize || spyOffset !== "auto") return;
+    rafResize = requestAnimationFrame(() => {
+      setupScrollSpy();
+      rafResize = null;
+    });
+  }
+
   // --- Setup listeners ---
   function setupEventListeners() {
     handlers.onBurgerClick = onBurgerClick;
     handlers.onBurgerKeyDown = onBurgerKeyDown;
     handlers.onDocClick = onDocumentClick;
     handlers.onWindowScroll = onWindowScroll;
+    handlers.onWindowScrollEnd = onWindowScrollEnd;
+    handlers.onWindowResize = onWindowResize;
     handlers.onLangMenuClick = onLangMenuClick;
     handlers.onLangMenuKeyDown = onLangMenuKeyDown;
+    handlers.onLangListClick = onLangListClick;
+    handlers.onLangListKeyDown = onLangListKeyDown;
+    handlers.onLanguageChanged = onLanguageChanged;
+    handlers.onDrawerKeyDown = onDrawerKeyDown;
+    handlers.onBreakpointChange = onBreakpointChange;
     burger.addEventListener("click", handlers.onBurgerClick);
     burger.addEventListener("keydown", handlers.onBurgerKeyDown);
 
     langMenu?.addEventListener("click", handlers.onLangMenuClick);
     langMenu?.addEventListener("keydown", handlers.onLangMenuKeyDown);
+    langList?.addEventListener("click", handlers.onLangListClick);
+    langList?.addEventListener("keydown", handlers.onLangListKeyDown);
+    document.addEventListener("language-changed", handlers.onLanguageChanged);
 
     document.addEventListener("click", handlers.onDocClick);
+    document.addEventListener("keydown", handlers.onDrawerKeyDown);
+    mobileQuery?.addEventListener("change", handlers.onBreakpointChange);
     window.addEventListener("scroll", handlers.onWindowScroll, {
       passive: true,
     });
+    window.addEventListener("scrollend", handlers.onWindowScrollEnd);
+    window.addEventListener("resize", handlers.onWindowResize, {
+      passive: true,
+    });
 
     navItems.forEach((item) => {
       const handler = (e) => onNavItemClick(e, item);
-      item.addEventListener("click", handler);
-      item.addEventListener("keydown", (ev) => {
+      const keyHandler = (ev) => {
         if (ev.key === "Enter" || ev.key === " ") {
           ev.preventDefault();
           handler(ev);
         }
-      });
-      item._navClickHandler = handler;
-    });
-
-    langItems.forEach((item) => {
-      const handler = (e) => onLangItemClick(e, item);
+      };
       item.addEventListener("click", handler);
-      item.addEventListener("keydown", (ev) => {
-        if (ev.key === "Enter" || ev.key === " ") {
-          ev.preventDefault();
-          handler(ev);
-        }
-      });
-      item._langClickHandler = handler;
+      item.addEventListener("keydown", keyHandler);
+      item._navClickHandler = handler;
+      item._navKeyHandler = keyHandler;
     });
   }
 
@@ -168,7 +570,7 @@ export function barraNavegacion({
     navItems = findElements(selectorNavItems);
     nav = findElement(selectorNav);
     langMenu = findElement(selectorLangMenu);
-    langItems = findElements(selectorLangItems);
+    langItems = [];
     langList = findElement(selectorLangList);
     if (!header || !burger || !nav || navItems.length === 0) {
       console.error(
@@ -179,39 +581,66 @@ export function barraNavegacion({
 
     burger.setAttribute("aria-expanded", "false");
     langMenu?.setAttribute("aria-expanded", "false");
+    langMenu?.setAttribute("aria-haspopup", "menu");
+
+    mobileQuery = window.matchMedia ? window.matchMedia(mediaQueryMobile) : null;
+    updateNavInert();
 
+    buildLangMenu();
     setupEventListeners();
+    setupScrollSpy();
   }
 
   // --- DESTROY ---
   function destroy() {
+    if (isDrawerOpen) closeMenu("destroy");
+    nav?.removeAttribute("inert");
+
     burger?.removeEventListener("click", handlers.onBurgerClick);
     burger?.removeEventListener("keydown", handlers.onBurgerKeyDown);
     langMenu?.removeEventListener("click", handlers.onLangMenuClick);
     langMenu?.removeEventListener("keydown", handlers.onLangMenuKeyDown);
+    langList?.removeEventListener("click", handlers.onLangListClick);
+    langList?.removeEventListener("keydown", handlers.onLangListKeyDown);
+    document.removeEventListener("language-changed", handlers.onLanguageChanged);
 
     document.removeEventListener("click", handlers.onDocClick);
+    document.removeEventListener("keydown", handlers.onDrawerKeyDown);
+    mobileQuery?.removeEventListener("change", handlers.onBreakpointChange);
+    mobileQuery = null;
     window.removeEventListener("scroll", handlers.onWindowScroll);
+    window.removeEventListener("scrollend", handlers.onWindowScrollEnd);
+    window.removeEventListener("resize", handlers.onWindowResize);
 
     navItems.forEach((item) => {
       if (item._navClickHandler) {
         item.removeEventListener("click", item._navClickHandler);
         delete item._navClickHandler;
       }
-    });
-
-    langItems.forEach((item) => {
-      if (item._langClickHandler) {
-        item.removeEventListener("click", item._langClickHandler);
-        delete item._langClickHandler;
+      if (item._navKeyHandler) {
+        item.removeEventListener("keydown", item._navKeyHandler);
+        delete item._navKeyHandler;
       }
     });
 
-    if (clickTimeout) clearTimeout(clickTimeout);
+    if (spyObserver) {
+      spyObserver.disconnect();
+      spyObserver = null;
+    }
+    visibleSections.clear();
+    spyLocked = false;
+    if (spyLockTimeout) clearTimeout(spyLockTimeout);
     if (rafScroll) cancelAnimationFrame(rafScroll);
+    if (rafResize) cancelAnimationFrame(rafResize);
   }
 
   if (autoInit) init();
 
-  return { init, destroy };
+  return {
+    init,
+    destroy,
+    openMenu,
+    closeMenu,
+    isMenuOpen: () => isDrawerOpen,
+  };
 }
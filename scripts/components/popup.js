@@ -1,52 +1,281 @@
-export function initPopup() {
-    const popupOverlay = document.getElementById('fundraiser-popup');
-    const closeBtn = document.getElementById('popup-close');
-    const ctaCloseBtn = document.getElementById('popup-cta-close');
-    const dontShowAgainKey = 'flare_popup_seen_trevor_claydon';
+import { campaigns as defaultCampaigns } from '../data/campaigns.js';
+import { getCurrentLanguage, translateElement } from '../utils/i18n.js';
+import { loadEvents, findEvent, eventTemplateFields } from '../utils/events.js';
+import { modal } from './modal.js';
+import { fundraisingProgress } from './fundraisingProgress.js';
 
-    if (!popupOverlay || !closeBtn) return;
+const DAY = 24 * 60 * 60 * 1000;
+const storagePrefix = 'flare_campaign_';
+// Lista del template -> su primer hijo, molde de cada elemento
+const listTemplates = new WeakMap();
 
-    // Check if user has already dismissed the popup
-    const hasSeenPopup = localStorage.getItem(dontShowAgainKey);
+function readState(campaign, storage) {
+    try {
+        const state = JSON.parse(storage.getItem(storagePrefix + campaign.id)) || {};
+        if (campaign.legacyStorageKey && storage.getItem(campaign.legacyStorageKey)) {
+            state.dismissedAt = state.dismissedAt || 0;
+        }
+        return state;
+    } catch {
+        return {};
+    }
+}
 
-    if (!hasSeenPopup) {
-        // Delay popup slightly for better UX
-        setTimeout(() => {
-            showPopup();
-        }, 1500);
+function writeState(campaign, storage, changes) {
+    const state = { ...readState(campaign, storage), ...changes };
+    storage.setItem(storagePrefix + campaign.id, JSON.stringify(state));
+}
+
+function isInDateRange(campaign, now) {
+    if (campaign.start && now < new Date(campaign.start)) return false;
+    if (campaign.end && now > new Date(campaign.end)) return false;
+    return true;
+}
+
+function matchesLocale(campaign, lang) {
+    return !campaign.locales || campaign.locales.includes(lang);
+}
+
+// Reglas de frecuencia; ver scripts/data/campaigns.js
+function isAllowedByFrequency(campaign, state, now, session) {
+    const { type = 'once', days = 1 } = campaign.frequency || {};
+
+    switch (type) {
+        case 'once':
+            return state.dismissedAt === undefined;
+        case 'days':
+            return state.dismissedAt === undefined || now - state.dismissedAt >= days * DAY;
+        case 'until-cta':
+            return !state.ctaClicked && !session.getItem(storagePrefix + campaign.id);
+        default:
+            console.warn(`Frecuencia desconocida en la campaña "${campaign.id}": ${type}`);
+            return false;
     }
+}
+
+/**
+ * Elige la campaña a mostrar: activa en la fecha, para el idioma actual y
+ * permitida por su frecuencia. Si hay varias gana la de mayor prioridad y,
+ * a igual prioridad, la que termina antes.
+ */
+export function selectCampaign(
+    campaigns,
+    { now = new Date(), lang = getCurrentLanguage(), storage = localStorage, session = sessionStorage } = {}
+) {
+    const candidates = campaigns.filter((campaign) =>
+        isInDateRange(campaign, now) &&
+        matchesLocale(campaign, lang) &&
+        isAllowedByFrequency(campaign, readState(campaign, storage), now, session)
+    );
+
+    const endTime = (campaign) => (campaign.end ? new Date(campaign.end).getTime() : Infinity);
+
+    candidates.sort((a, b) =>
+        (b.priority || 0) - (a.priority || 0) || endTime(a) - endTime(b)
+    );
+
+    return candidates[0] || null;
+}
 
-    const dismissPopup = () => {
-        hidePopup();
-        localStorage.setItem(dontShowAgainKey, 'true');
+// Con campaign.event, estos campos del template salen del evento
+function isEventField(campaign, group, name) {
+    return Boolean(campaign.event && eventTemplateFields[group][name]);
+}
+
+// Clona el <template> de la campaña y completa textos, listas y enlaces
+function renderCampaign(campaign) {
+    const template = document.getElementById(campaign.template || 'campaign-popup-template');
+    if (!template) {
+        console.warn(`No se encontró el template de la campaña "${campaign.id}"`);
+        return null;
+    }
+
+    const i18nKey = campaign.i18nKey || `campaigns.${campaign.id}`;
+    const overlay = template.content.firstElementChild.cloneNode(true);
+    overlay.id = `campaign-${campaign.id}`;
+
+    const args = campaign.args ? JSON.stringify(campaign.args) : null;
+    const setText = (el, key) => {
+        el.setAttribute('data-i18n', `${i18nKey}.${key}`);
+        if (args) el.setAttribute('data-i18n-args', args);
     };
 
-    closeBtn.addEventListener('click', dismissPopup);
-    if (ctaCloseBtn) ctaCloseBtn.addEventListener('click', dismissPopup);
+    overlay.querySelectorAll('[data-campaign-list]').forEach((list) => {
+        const name = list.getAttribute('data-campaign-list');
+        const itemTemplate = list.firstElementChild;
+        listTemplates.set(list, itemTemplate.cloneNode(false));
+        if (isEventField(campaign, 'lists', name)) return;
 
-    // Close on overlay click
-    popupOverlay.addEventListener('click', (e) => {
-        if (e.target === popupOverlay) {
-            hidePopup();
-            localStorage.setItem(dontShowAgainKey, 'true');
-        }
+        const keys = (campaign.lists || {})[name] || [];
+
+        list.replaceChildren(...keys.map((key) => {
+            const item = itemTemplate.cloneNode(true);
+            setText(item, key);
+            return item;
+        }));
     });
 
-    // Close on ESC key
-    document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape' && popupOverlay.classList.contains('is-visible')) {
-            hidePopup();
-            localStorage.setItem(dontShowAgainKey, 'true');
-        }
+    overlay.querySelectorAll('[data-campaign-text]').forEach((el) => {
+        const name = el.getAttribute('data-campaign-text');
+        if (!isEventField(campaign, 'texts', name)) setText(el, name);
+    });
+
+    overlay.querySelectorAll('[data-campaign-link]').forEach((el) => {
+        const name = el.getAttribute('data-campaign-link');
+        if (isEventField(campaign, 'links', name)) return;
+        const href = (campaign.links || {})[name];
+        if (href) el.setAttribute('href', href);
+    });
+
+    if (!campaign.fundraising) {
+        overlay.querySelectorAll('[data-campaign-fundraising]').forEach((el) => el.remove());
+    }
+
+    const title = overlay.querySelector('[data-campaign-text="title"]');
+    if (title) {
+        title.id = `${overlay.id}-title`;
+        overlay.setAttribute('aria-labelledby', title.id);
+    }
+
+    document.body.appendChild(overlay);
+    translateElement(overlay);
+
+    return overlay;
+}
+
+// Completa con el evento, en el idioma actual, los campos que salen de él
+function fillEventFields(overlay, event) {
+    const lang = getCurrentLanguage();
+    const { texts, lists, links } = eventTemplateFields;
+
+    overlay.querySelectorAll('[data-campaign-text]').forEach((el) => {
+        const field = texts[el.getAttribute('data-campaign-text')];
+        if (field) el.textContent = field(event, lang) || '';
+    });
+
+    overlay.querySelectorAll('[data-campaign-list]').forEach((list) => {
+        const field = lists[list.getAttribute('data-campaign-list')];
+        if (!field) return;
+
+        list.replaceChildren(...field(event, lang).map((text) => {
+            const item = listTemplates.get(list).cloneNode(false);
+            item.textContent = text;
+            return item;
+        }));
+    });
+
+    overlay.querySelectorAll('[data-campaign-link]').forEach((el) => {
+        const field = links[el.getAttribute('data-campaign-link')];
+        const href = field?.(event);
+        if (href) el.setAttribute('href', href);
+    });
+}
+
+// Devuelve el evento de la campaña ya volcado en el popup, o null si no se pudo
+function loadCampaignEvent(campaign, overlay, eventsOptions) {
+    return loadEvents(eventsOptions)
+        .then((events) => {
+            const event = findEvent(events, campaign.event);
+            if (!event) {
+                console.warn(`La campaña "${campaign.id}" usa un evento que no existe: "${campaign.event}"`);
+                return null;
+            }
+            fillEventFields(overlay, event);
+            return event;
+        })
+        .catch((error) => {
+            console.warn(`No se pudieron cargar los eventos de la campaña "${campaign.id}":`, error);
+            return null;
+        });
+}
+
+export function initPopup({
+    campaigns = defaultCampaigns,
+    now = new Date(),
+    storage = localStorage,
+    session = sessionStorage,
+    // Opciones de loadEvents ({ url, fetchImpl }) para campañas con `event`
+    eventsOptions = {},
+    // Opciones de fundraisingProgress ({ url, fetchImpl }) para campañas con `fundraising`
+    fundraisingOptions = {},
+} = {}) {
+    const campaign = selectCampaign(campaigns, { now, storage, session });
+    if (!campaign) return null;
+
+    const popupOverlay = renderCampaign(campaign);
+    if (!popupOverlay) return null;
+
+    let showTimeout = null;
+    let event = null;
+    let destroyed = false;
+
+    const dialog = modal({
+        element: popupOverlay,
+        selectorClose: '[data-campaign-close]',
     });
 
+    // Cualquier forma de cerrar (botón, ESC, clic afuera, CTA) cuenta como descartar
+    const onModalClose = () => {
+        writeState(campaign, storage, { dismissedAt: Date.now() });
+        session.setItem(storagePrefix + campaign.id, 'true');
+    };
+
+    const onCtaClick = () => {
+        writeState(campaign, storage, { ctaClicked: true });
+        dialog.close('cta');
+    };
+
+    popupOverlay.addEventListener('modal-close', onModalClose);
+    popupOverlay.querySelectorAll('[data-campaign-cta]').forEach((btn) => {
+        btn.addEventListener('click', onCtaClick);
+    });
+
+    // Sin cifras la barra queda oculta; el popup se abre igual
+    const progressBars = [...popupOverlay.querySelectorAll('[data-campaign-fundraising]')].map((el) =>
+        fundraisingProgress({ ...fundraisingOptions, selector: el, campaign: campaign.fundraising })
+    );
+
+    // Sin el contenido del evento el popup no se muestra
+    const ready = campaign.event
+        ? loadCampaignEvent(campaign, popupOverlay, eventsOptions).then((loaded) => {
+            event = loaded;
+            return Boolean(loaded);
+        })
+        : Promise.resolve(true);
+
+    const onLanguageChanged = () => {
+        if (event) fillEventFields(popupOverlay, event);
+    };
+    document.addEventListener('language-changed', onLanguageChanged);
+
+    // Delay popup slightly for better UX
+    showTimeout = setTimeout(() => {
+        if (!campaign.event) {
+            showPopup();
+            return;
+        }
+        ready.then((ok) => {
+            if (ok && !destroyed) showPopup();
+        });
+    }, campaign.delay ?? 1500);
+
     function showPopup() {
-        popupOverlay.classList.add('is-visible');
-        document.body.style.overflow = 'hidden'; // Prevent scroll
+        dialog.open();
     }
 
     function hidePopup() {
-        popupOverlay.classList.remove('is-visible');
-        document.body.style.overflow = ''; // Restore scroll
+        dialog.close();
+    }
+
+    function destroy() {
+        destroyed = true;
+        clearTimeout(showTimeout);
+        document.removeEventListener('language-changed', onLanguageChanged);
+        progressBars.forEach((bar) => bar.destroy());
+        popupOverlay.removeEventListener('modal-close', onModalClose);
+        dialog.destroy();
+        popupOverlay.remove();
     }
+
+    return { campaign, element: popupOverlay, modal: dialog, ready, show: showPopup, hide: hidePopup, destroy };
 }
@@ -1,24 +1,64 @@
-import { findElements } from "../utils/domUtils.js";
+// Como querySelectorAll, pero incluye a `root` si también coincide
+function queryAll(root, selector) {
+  const matches = [...root.querySelectorAll(selector)];
+  if (root.matches?.(selector)) matches.unshift(root);
+  return matches;
+}
 
+/**
+ * Muestra elementos al entrar en pantalla agregándoles `claseActiva`.
+ *
+ * Cada elemento se puede configurar con atributos:
+ *   data-scroll-animation  "fade" | "fade-up" | "slide-left" | "slide-right" | "zoom" (ver _animations.scss)
+ *   data-scroll-delay      milisegundos antes de animar
+ *   data-scroll-threshold  fracción visible necesaria (0 a 1)
+ *   data-scroll-once       "false" para volver a ocultarlo al salir
+ *
+ * Un contenedor con data-scroll-stagger="120" anima a sus hijos directos uno
+ * tras otro, con 120 ms de diferencia (los hijos heredan su animación).
+ *
+ * Emite "scroll-enter" y "scroll-leave" sobre cada elemento.
+ *
+ * Con `observarCambios` un MutationObserver suma los elementos insertados
+ * después y suelta los que se quitan. Los que ya se animaron (una sola vez)
+ * no se repiten aunque se llame a refresh().
+ */
 export default class AnimacionesScroll {
   constructor({
     selector = '.js-scroll',
+    selectorStagger = '[data-scroll-stagger]',
     claseActiva = 'scrolled',
     root = null,
     rootMargin = '0px 0px -10% 0px',
     threshold = 0,
     observarUnaVez = true,
+    onEnter = null,
+    onLeave = null,
+    observarCambios = false,
+    raizCambios = null,
     autoInit = true
   } = {}) {
     this.selector = selector;
+    this.selectorStagger = selectorStagger;
     this.claseActiva = claseActiva;
     this.root = root;
     this.rootMargin = rootMargin;
     this.threshold = threshold;
     this.observarUnaVez = observarUnaVez;
+    this.onEnter = onEnter;
+    this.onLeave = onLeave;
+    this.observarCambios = observarCambios;
+    this.raizCambios = raizCambios;
 
     this.elementos = [];
-    this.observer = null;
+    // Elemento -> { animation, delay, threshold, once }
+    this.opciones = new Map();
+    // Un observer por cada threshold distinto
+    this.observers = new Map();
+    // Elemento -> "visible" | "hidden" | "done"; sobrevive a destroy() para no repetir animaciones
+    this.estado = new WeakMap();
+    this.mutationObserver = null;
+    this.reducedMotion = false;
     this._scrollHandler = null;
     this._rafId = null;
 
@@ -26,52 +66,156 @@ export default class AnimacionesScroll {
   }
 
   init() {
-    this.elementos = findElements(this.selector);
-
     const mediaReduce = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)');
-    if (mediaReduce && mediaReduce.matches) {
-      this.elementos.forEach((el) => el.classList.add(this.claseActiva));
-      return;
+    this.reducedMotion = Boolean(mediaReduce && mediaReduce.matches);
+
+    const useFallback = !this.reducedMotion && !('IntersectionObserver' in window);
+    if (useFallback) this.setupFallback();
+
+    this.addElements(document);
+    if (this.elementos.length === 0) {
+      console.warn(`No se encontraron elementos: ${this.selector}`);
     }
 
-    if ('IntersectionObserver' in window) {
-      this.setupObserver();
-    } else {
-      this.setupFallback();
+    if (useFallback) this.handleScroll(); // run once
+    if (this.observarCambios) this.setupMutationObserver();
+  }
+
+  // Registra los elementos animables dentro de `root` (incluido)
+  addElements(root) {
+    const found = new Map();
+
+    queryAll(root, this.selector).forEach((el) => {
+      found.set(el, this.readOptions(el));
+    });
+
+    queryAll(root, this.selectorStagger).forEach((container) => {
+      [...container.children].forEach((child, index) => {
+        found.set(child, this.staggerOptions(container, child, index));
+      });
+    });
+
+    // Un hijo nuevo de un contenedor con stagger que ya estaba en la página
+    const parent = root.parentElement;
+    if (parent?.matches(this.selectorStagger)) {
+      found.set(root, this.staggerOptions(parent, root, [...parent.children].indexOf(root)));
     }
 
-    if (!('IntersectionObserver' in window)) {
-      this.handleScroll(); // run once
+    found.forEach((options, el) => this.registerElement(el, options));
+  }
+
+  // Los hijos de un stagger heredan la animación del contenedor y suman su retraso
+  staggerOptions(container, child, index) {
+    const step = Number(container.dataset.scrollStagger) || 0;
+    const base = this.readOptions(container);
+
+    if (!child.classList.contains('js-scroll')) child.classList.add('js-scroll');
+    if (!child.dataset.scrollAnimation && container.dataset.scrollAnimation) {
+      child.dataset.scrollAnimation = container.dataset.scrollAnimation;
     }
+
+    const own = this.readOptions(child);
+    return {
+      ...base,
+      ...own,
+      delay: base.delay + (child.dataset.scrollDelay ? own.delay : index * step)
+    };
   }
 
-  setupObserver() {
-    this.observer = new IntersectionObserver(
-      (entries) => {
-        entries.forEach((entry) => {
-          const el = entry.target;
-          if (entry.isIntersecting) {
-            el.classList.add(this.claseActiva);
-            if (this.observarUnaVez && this.observer) {
-              this.observer.unobserve(el);
-            }
-          } else {
-            if (!this.observarUnaVez) {
-              el.classList.remove(this.claseActiva);
+  registerElement(el, options) {
+    if (this.opciones.has(el)) return;
+    this.opciones.set(el, options);
+    this.elementos.push(el);
+
+    // Ya terminó su animación en una inicialización anterior
+    if (this.estado.get(el) === 'done') {
+      el.classList.add(this.claseActiva);
+      return;
+    }
+
+    if (this.reducedMotion) {
+      el.classList.add(this.claseActiva);
+      this.estado.set(el, 'done');
+      return;
+    }
+
+    if ('IntersectionObserver' in window) this.observeElement(el);
+  }
+
+  unregisterElement(el) {
+    if (!this.opciones.has(el)) return;
+    this.observers.forEach((observer) => observer.unobserve(el));
+    this.opciones.delete(el);
+    this.elementos = this.elementos.filter((item) => item !== el);
+    el.style.willChange = '';
+  }
+
+  readOptions(el) {
+    const { scrollAnimation, scrollDelay, scrollThreshold, scrollOnce } = el.dataset;
+    const threshold = Number(scrollThreshold);
+
+    return {
+      animation: scrollAnimation || null,
+      delay: Number(scrollDelay) || 0,
+      threshold: scrollThreshold !== undefined && threshold >= 0 && threshold <= 1 ? threshold : this.threshold,
+      once: scrollOnce !== undefined ? scrollOnce !== 'false' : this.observarUnaVez
+    };
+  }
+
+  observeElement(el) {
+    const { threshold } = this.opciones.get(el);
+
+    if (!this.observers.has(threshold)) {
+      this.observers.set(threshold, new IntersectionObserver(
+        (entries, observer) => {
+          entries.forEach((entry) => {
+            if (entry.isIntersecting) {
+              this.displayScrollElement(entry.target);
+              if (this.opciones.get(entry.target)?.once) observer.unobserve(entry.target);
+            } else {
+              this.hideScrollElement(entry.target);
             }
-          }
+          });
+        },
+        {
+          root: this.root,
+          rootMargin: this.rootMargin,
+          threshold
+        }
+      ));
+    }
+
+    el.style.willChange = 'opacity, transform';
+    this.observers.get(threshold).observe(el);
+  }
+
+  setupMutationObserver() {
+    if (!('MutationObserver' in window)) return;
+
+    this.mutationObserver = new MutationObserver((mutations) => {
+      let added = false;
+
+      mutations.forEach((mutation) => {
+        mutation.removedNodes.forEach((node) => {
+          if (node.nodeType !== Node.ELEMENT_NODE) return;
+          this.elementos
+            .filter((el) => !el.isConnected && (el === node || node.contains(el)))
+            .forEach((el) => this.unregisterElement(el));
         });
-      },
-      {
-        root: this.root,
-        rootMargin: this.rootMargin,
-        threshold: this.threshold
-      }
-    );
 
-    this.elementos.forEach((el) => {
-      el.style.willChange = 'opacity, transform';
-      this.observer.observe(el);
+        mutation.addedNodes.forEach((node) => {
+          if (node.nodeType !== Node.ELEMENT_NODE || !node.isConnected) return;
+          this.addElements(node);
+          added = true;
+        });
+      });
+
+      if (added && this._scrollHandler) this.handleScroll();
+    });
+
+    this.mutationObserver.observe(this.raizCambios || document.body, {
+      childList: true,
+      subtree: true
     });
   }
 
@@ -81,33 +225,62 @@ export default class AnimacionesScroll {
     window.addEventListener('resize', this._scrollHandler, { passive: true });
   }
 
-  elementInView(el, offset = 1.25) {
-    const elementTop = el.getBoundingClientRect().top;
+  // rootMargin "top right bottom left" en px o % del viewport, como IntersectionObserver
+  getViewportBounds() {
     const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
-    return elementTop <= viewportHeight / offset;
+    const parts = this.rootMargin.trim().split(/\s+/);
+    const [top, , bottom = top] = [parts[0], parts[1], parts[2]];
+
+    const toPx = (value = '0px') =>
+      value.endsWith('%') ? (parseFloat(value) / 100) * viewportHeight : parseFloat(value) || 0;
+
+    return { top: -toPx(top), bottom: viewportHeight + toPx(bottom) };
   }
 
-  elementOutOfView(el) {
-    const elementTop = el.getBoundingClientRect().top;
-    const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
-    return elementTop > viewportHeight;
+  // Mismo criterio que el observer: fracción visible >= threshold
+  elementInView(el, bounds = this.getViewportBounds()) {
+    const rect = el.getBoundingClientRect();
+    const { threshold } = this.opciones.get(el);
+    const visible = Math.min(rect.bottom, bounds.bottom) - Math.max(rect.top, bounds.top);
+
+    if (rect.height === 0) return rect.top >= bounds.top && rect.top <= bounds.bottom;
+    if (threshold === 0) return visible > 0;
+    return visible / rect.height >= threshold;
   }
 
   displayScrollElement(el) {
+    if (el.classList.contains(this.claseActiva)) return;
+
+    const { delay, once } = this.opciones.get(el) || {};
+    el.style.transitionDelay = delay ? `${delay}ms` : '';
     el.classList.add(this.claseActiva);
+    this.estado.set(el, once ? 'done' : 'visible');
+
+    this.onEnter?.(el);
+    el.dispatchEvent(new CustomEvent('scroll-enter', { bubbles: true, detail: { element: el } }));
   }
 
   hideScrollElement(el) {
+    const options = this.opciones.get(el);
+    if (!options || options.once || !el.classList.contains(this.claseActiva)) return;
+
+    // El retraso es solo para la entrada
+    el.style.transitionDelay = '';
     el.classList.remove(this.claseActiva);
+    this.estado.set(el, 'hidden');
+
+    this.onLeave?.(el);
+    el.dispatchEvent(new CustomEvent('scroll-leave', { bubbles: true, detail: { element: el } }));
   }
 
   handleScroll() {
     if (this._rafId) return;
     this._rafId = requestAnimationFrame(() => {
+      const bounds = this.getViewportBounds();
       this.elementos.forEach((el) => {
-        if (this.elementInView(el, 1.25)) {
+        if (this.elementInView(el, bounds)) {
           this.displayScrollElement(el);
-        } else if (this.elementOutOfView(el)) {
+        } else {
           this.hideScrollElement(el);
         }
       });
@@ -116,15 +289,16 @@ export default class AnimacionesScroll {
   }
 
   refresh() {
-    this.destroy(); 
-    this.elementos = findElements(this.selector);
+    this.destroy();
     this.init();
   }
 
   destroy() {
-    if (this.observer) {
-      this.observer.disconnect();
-      this.observer = null;
+    this.observers.forEach((observer) => observer.disconnect());
+    this.observers.clear();
+    if (this.mutationObserver) {
+      this.mutationObserver.disconnect();
+      this.mutationObserver = null;
     }
     if (this._scrollHandler) {
       window.removeEventListener('scroll', this._scrollHandler, { passive: true });
@@ -143,5 +317,6 @@ export default class AnimacionesScroll {
     });
 
     this.elementos = [];
+    this.opciones = new Map();
   }
-}
\ No newline at end of file
+}
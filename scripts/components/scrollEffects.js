@@ -0,0 +1,135 @@
+/**
+ * Efectos ligados al scroll, complementarios a ScrollAnimations (que solo
+ * revela una vez):
+ *
+ *   [data-scroll-progress]  recibe --scroll-progress: 0 cuando su borde superior
+ *                           entra por abajo, 1 cuando el inferior sale por arriba
+ *   [data-parallax="0.3"]   además recibe --parallax-speed; el CSS lo usa para
+ *                           desplazar el fondo (ver _animations.scss)
+ *   .reading-progress       barra con el progreso de lectura de la página
+ *                           (--scroll-progress en <html>)
+ *
+ * Si el navegador soporta ScrollTimeline el CSS hace todo el trabajo y acá
+ * solo se marcan los elementos. Con prefers-reduced-motion no hay parallax.
+ */
+export function scrollEffects({
+  selectorProgress = "[data-scroll-progress], [data-parallax]",
+  selectorBarra = ".reading-progress",
+  claseTimeline = "has-scroll-timeline",
+  autoInit = true,
+} = {}) {
+  // --- Estado interno ---
+  let elements = [];
+  let bar = null;
+  let rafId = null;
+  let reducedMotion = false;
+  let usesTimeline = false;
+
+  const handlers = {
+    onScroll: null,
+  };
+
+  function clamp(value) {
+    return Math.min(1, Math.max(0, value));
+  }
+
+  function supportsScrollTimeline() {
+    return (
+      typeof window.ScrollTimeline === "function" &&
+      Boolean(window.CSS?.supports?.("animation-timeline: view()"))
+    );
+  }
+
+  function getElementProgress(el, viewportHeight) {
+    const rect = el.getBoundingClientRect();
+    const distance = viewportHeight + rect.height;
+    return distance > 0 ? clamp((viewportHeight - rect.top) / distance) : 0;
+  }
+
+  function getPageProgress() {
+    const { scrollHeight } = document.documentElement;
+    const max = scrollHeight - window.innerHeight;
+    return max > 0 ? clamp(window.scrollY / max) : 0;
+  }
+
+  // --- API ---
+
+  function update() {
+    const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+
+    elements.forEach((el) => {
+      el.style.setProperty("--scroll-progress", getElementProgress(el, viewportHeight).toFixed(4));
+    });
+
+    if (bar) {
+      document.documentElement.style.setProperty("--scroll-progress", getPageProgress().toFixed(4));
+    }
+  }
+
+  // --- Event handlers ---
+
+  function onScroll() {
+    if (rafId) return;
+    rafId = requestAnimationFrame(() => {
+      update();
+      rafId = null;
+    });
+  }
+
+  // --- INIT ---
+  function init() {
+    elements = [...document.querySelectorAll(selectorProgress)];
+    bar = document.querySelector(selectorBarra);
+    if (elements.length === 0 && !bar) return;
+
+    const media =
+      window.matchMedia &&
+      window.matchMedia("(prefers-reduced-motion: reduce)");
+    reducedMotion = Boolean(media && media.matches);
+
+    elements.forEach((el) => {
+      const speed = Number(el.dataset.parallax);
+      if (el.hasAttribute("data-parallax") && !reducedMotion && speed) {
+        el.style.setProperty("--parallax-speed", String(speed));
+      }
+    });
+
+    usesTimeline = supportsScrollTimeline();
+    if (usesTimeline) {
+      document.documentElement.classList.add(claseTimeline);
+      return;
+    }
+
+    handlers.onScroll = onScroll;
+    window.addEventListener("scroll", handlers.onScroll, { passive: true });
+    window.addEventListener("resize", handlers.onScroll, { passive: true });
+    update();
+  }
+
+  // --- DESTROY ---
+  function destroy() {
+    if (handlers.onScroll) {
+      window.removeEventListener("scroll", handlers.onScroll);
+      window.removeEventListener("resize", handlers.onScroll);
+      handlers.onScroll = null;
+    }
+    if (rafId) {
+      cancelAnimationFrame(rafId);
+      rafId = null;
+    }
+    if (usesTimeline) document.documentElement.classList.remove(claseTimeline);
+
+    elements.forEach((el) => {
+      el.style.removeProperty("--scroll-progress");
+      el.style.removeProperty("--parallax-speed");
+    });
+    if (bar) document.documentElement.style.removeProperty("--scroll-progress");
+
+    elements = [];
+    bar = null;
+  }
+
+  if (autoInit) init();
+
+  return { init, update, destroy };
+}
@@ -0,0 +1,369 @@
+import { findElement } from "../utils/domUtils.js";
+import { t, getCurrentLanguage } from "../utils/i18n.js";
+import { formatLocales } from "../data/locales.js";
+import {
+  statisticsUrl,
+  loadStatistics,
+  SECTORS,
+  PROVINCES,
+  resolveThreshold,
+  getYears,
+  filterRecords,
+  suppressRecords,
+  summarize,
+} from "../utils/statistics.js";
+import { barChart } from "../utils/charts.js";
+
+// Cómo se agrupa y se dibuja cada gráfico (data-statistics-chart)
+const CHARTS = {
+  year: { orientation: "vertical", title: "statistics.by_year" },
+  sector: { orientation: "horizontal", title: "statistics.by_sector" },
+  province: { orientation: "horizontal", title: "statistics.by_province" },
+};
+
+/**
+ * Tablero de estadísticas: gráficos por año, sector y provincia a partir de
+ * los datos agregados de utils/statistics.js, con filtros y una tabla por
+ * gráfico como alternativa accesible.
+ *
+ * Ningún conteo menor que `threshold` se muestra ni entra en una suma
+ * (ver suppressRecords), así que tampoco se despeja comparando filtros;
+ * el umbral se puede subir con data-threshold, nunca bajar de 5.
+ *
+ * Marcado esperado dentro de `selector`:
+ *   form.statistics__filters       select[name=from|to|province] y
+ *                                  [data-statistics-options="sectors"]
+ *   [data-statistics-chart=year]   con [data-statistics-svg], una <table>
+ *                                  y [data-statistics-table-toggle]
+ */
+export function statisticsDashboard({
+  selector = ".statistics",
+  selectorStatus = ".statistics__status",
+  selectorFilters = ".statistics__filters",
+  selectorCharts = ".statistics__charts",
+  selectorNote = ".statistics__note",
+  url = statisticsUrl,
+  fetchImpl,
+  threshold,
+  autoInit = true,
+} = {}) {
+  // --- Estado interno ---
+  let root, status, form, chartsContainer, note;
+  let records = null;
+  let years = [];
+  let destroyed = false;
+  const limit = resolveThreshold(threshold);
+
+  const handlers = {
+    onFilterChange: null,
+    onReset: null,
+    onToggleTable: null,
+    onLanguageChanged: null,
+  };
+
+  function getLocale() {
+    const lang = getCurrentLanguage();
+    return formatLocales[lang] || lang;
+  }
+
+  // state: "loading" | "empty" | "error" | "" (sin mensaje)
+  function setStatus(state) {
+    if (!status) return;
+    status.dataset.state = state;
+    status.textContent = state ? t(`statistics.status.${state}`) || "" : "";
+    status.hidden = !state;
+  }
+
+  function labelFor(by, key) {
+    if (by === "sector") return t(`statistics.sectors.${key}`) || key;
+    if (by === "province") return t(`statistics.provinces.${key}`) || key;
+    return String(key);
+  }
+
+  // Texto de un conteo; lo suprimido nunca lleva el número. Tampoco dice
+  // "menos de N": puede juntar varias filas suprimidas. Una suma parcial
+  // (sin las filas suprimidas) se muestra como mínimo: "17+".
+  function formatCell(cell, format, { short = false } = {}) {
+    if (cell.suppressed) return short ? t("statistics.suppressed_short") : t("statistics.suppressed");
+    const count = format.format(cell.count);
+    if (!cell.partial) return count;
+    return short ? t("statistics.partial_short", { count }) : t("statistics.partial", { count });
+  }
+
+  // --- Filtros ---
+
+  function option(value, label) {
+    const el = document.createElement("option");
+    el.value = String(value);
+    el.textContent = label;
+    return el;
+  }
+
+  // Años, sectores y provincias; conserva lo elegido al cambiar de idioma
+  function buildFilters() {
+    if (!form) return;
+    const drawn = hasFilters();
+    const current = readFilters();
+
+    ["from", "to"].forEach((name) => {
+      const select = form.elements.namedItem(name);
+      if (!select) return;
+      select.replaceChildren(...years.map((year) => option(year, String(year))));
+      select.value = String(current[name]);
+    });
+
+    const province = form.elements.namedItem("province");
+    if (province) {
+      const selected = current.provinces[0] || "";
+      province.replaceChildren(
+        option("", t("statistics.all_provinces")),
+        ...PROVINCES.map((code) => option(code, labelFor("province", code)))
+      );
+      province.value = selected;
+    }
+
+    const sectors = form.querySelector('[data-statistics-options="sectors"]');
+    if (sectors) {
+      sectors.replaceChildren(
+        ...SECTORS.map((sector) => {
+          const label = document.createElement("label");
+          label.className = "statistics__option";
+          const input = document.createElement("input");
+          input.type = "checkbox";
+          input.name = "sector";
+          input.value = sector;
+          input.checked = !drawn || current.sectors.includes(sector);
+          label.append(input, " ", labelFor("sector", sector));
+          return label;
+        })
+      );
+    }
+  }
+
+  function hasFilters() {
+    if (!form) return false;
+    return Boolean(form.elements.namedItem("from")?.value || form.querySelector('input[name="sector"]'));
+  }
+
+  // Sin formulario, o antes de dibujarlo, valen todos los años, sectores y provincias
+  function readFilters() {
+    if (!hasFilters()) return { from: years[0], to: years.at(-1), sectors: [], provinces: [] };
+    const from = form.elements.namedItem("from");
+    const to = form.elements.namedItem("to");
+    const province = form.elements.namedItem("province");
+    const sectorInputs = [...form.querySelectorAll('input[name="sector"]')];
+
+    let first = Number(from?.value) || years[0];
+    let last = Number(to?.value) || years.at(-1);
+    if (first > last) [first, last] = [last, first];
+
+    return {
+      from: first,
+      to: last,
+      sectors: sectorInputs.filter((input) => input.checked).map((input) => input.value),
+      provinces: province?.value ? [province.value] : [],
+    };
+  }
+
+  function onFilterChange() {
+    render();
+  }
+
+  function onReset(e) {
+    e.preventDefault();
+    form.elements.namedItem("from").value = String(years[0]);
+    form.elements.namedItem("to").value = String(years.at(-1));
+    form.elements.namedItem("province").value = "";
+    form.querySelectorAll('input[name="sector"]').forEach((input) => (input.checked = true));
+    render();
+  }
+
+  // --- Gráficos y tablas ---
+
+  // Sin ningún sector marcado se muestran todos
+  function keysFor(by, filters) {
+    if (by === "year") return years.filter((year) => year >= filters.from && year <= filters.to);
+    if (by === "sector") return filters.sectors.length ? SECTORS.filter((s) => filters.sectors.includes(s)) : SECTORS;
+    return filters.provinces.length ? filters.provinces : PROVINCES;
+  }
+
+  function renderTable(table, by, summary, format) {
+    const title = t(CHARTS[by].title);
+    const caption = table.querySelector("caption") || table.createCaption();
+    caption.textContent = title;
+
+    const head = table.tHead || table.createTHead();
+    const headRow = document.createElement("tr");
+    [t(`statistics.columns.${by}`), t("statistics.columns.count")].forEach((text) => {
+      const th = document.createElement("th");
+      th.scope = "col";
+      th.textContent = text;
+      headRow.append(th);
+    });
+    head.replaceChildren(headRow);
+
+    const row = (label, cell) => {
+      const tr = document.createElement("tr");
+      const th = document.createElement("th");
+      th.scope = "row";
+      th.textContent = label;
+      const td = document.createElement("td");
+      td.textContent = formatCell(cell, format);
+      if (cell.suppressed) td.dataset.suppressed = "";
+      if (cell.partial) td.dataset.partial = "";
+      tr.append(th, td);
+      return tr;
+    };
+
+    const body = table.tBodies[0] || table.createTBody();
+    body.replaceChildren(...summary.cells.map((cell) => row(labelFor(by, cell.key), cell)));
+
+    const foot = table.tFoot || table.createTFoot();
+    foot.replaceChildren(row(t("statistics.total"), summary.total));
+  }
+
+  function renderChart(figure, filtered, filters, format) {
+    const by = figure.getAttribute("data-statistics-chart");
+    const chart = CHARTS[by];
+    if (!chart) return;
+
+    const summary = summarize(filtered, by, keysFor(by, filters), { threshold: limit });
+    const title = t(chart.title);
+    const items = summary.cells.map((cell) => ({
+      label: labelFor(by, cell.key),
+      value: cell.count,
+      text: formatCell(cell, format, { short: true }),
+      suppressed: cell.suppressed,
+    }));
+
+    const svgContainer = figure.querySelector("[data-statistics-svg]");
+    svgContainer?.replaceChildren(
+      barChart(items, {
+        orientation: chart.orientation,
+        title,
+        description: t("statistics.chart_summary", { total: formatCell(summary.total, format, { short: true }) }),
+      })
+    );
+
+    const table = figure.querySelector("table");
+    if (table) renderTable(table, by, summary, format);
+    updateTableToggle(figure);
+  }
+
+  function updateTableToggle(figure) {
+    const toggle = figure.querySelector("[data-statistics-table-toggle]");
+    const table = figure.querySelector("table");
+    if (!toggle || !table) return;
+
+    const expanded = toggle.getAttribute("aria-expanded") === "true";
+    if (!table.id) table.id = `statistics-table-${figure.getAttribute("data-statistics-chart")}`;
+    toggle.setAttribute("aria-controls", table.id);
+    toggle.textContent = expanded ? t("statistics.hide_table") : t("statistics.show_table");
+    // Oculta a la vista, no a los lectores de pantalla
+    table.classList.toggle("sr-only", !expanded);
+  }
+
+  function onToggleTable(e) {
+    const toggle = e.target.closest("[data-statistics-table-toggle]");
+    if (!toggle) return;
+    toggle.setAttribute("aria-expanded", String(toggle.getAttribute("aria-expanded") !== "true"));
+    updateTableToggle(toggle.closest("[data-statistics-chart]"));
+  }
+
+  function render() {
+    if (!records || destroyed) return;
+
+    if (records.length === 0) {
+      setStatus("empty");
+      if (form) form.hidden = true;
+      if (chartsContainer) chartsContainer.hidden = true;
+      if (note) note.hidden = true;
+      return;
+    }
+
+    const filters = readFilters();
+    const filtered = filterRecords(records, filters);
+    const format = new Intl.NumberFormat(getLocale());
+
+    root.querySelectorAll("[data-statistics-chart]").forEach((figure) => {
+      renderChart(figure, filtered, filters, format);
+    });
+
+    if (note) {
+      note.textContent = t("statistics.suppression_note", { threshold: limit });
+      note.hidden = false;
+    }
+    setStatus("");
+    if (form) form.hidden = false;
+    if (chartsContainer) chartsContainer.hidden = false;
+  }
+
+  function onLanguageChanged() {
+    if (records) {
+      buildFilters();
+      render();
+    } else if (status?.dataset.state) {
+      setStatus(status.dataset.state);
+    }
+  }
+
+  // --- INIT ---
+  function init() {
+    root = findElement(selector);
+    if (!root) return;
+
+    status = root.querySelector(selectorStatus);
+    form = root.querySelector(selectorFilters);
+    chartsContainer = root.querySelector(selectorCharts);
+    note = root.querySelector(selectorNote);
+    destroyed = false;
+
+    handlers.onFilterChange = onFilterChange;
+    handlers.onReset = onReset;
+    handlers.onToggleTable = onToggleTable;
+    handlers.onLanguageChanged = onLanguageChanged;
+
+    form?.addEventListener("change", handlers.onFilterChange);
+    form?.addEventListener("reset", handlers.onReset);
+    root.addEventListener("click", handlers.onToggleTable);
+    document.addEventListener("language-changed", handlers.onLanguageChanged);
+
+    setStatus("loading");
+    root.setAttribute("aria-busy", "true");
+
+    loadStatistics({ url, fetchImpl })
+      .then((list) => {
+        if (destroyed) return;
+        // Los conteos chicos no llegan a guardarse
+        records = suppressRecords(list, limit);
+        years = getYears(records);
+        buildFilters();
+        render();
+      })
+      .catch((error) => {
+        console.error("No se pudieron cargar las estadísticas:", error);
+        if (!destroyed) setStatus("error");
+      })
+      .finally(() => {
+        root.removeAttribute("aria-busy");
+      });
+  }
+
+  // --- DESTROY ---
+  function destroy() {
+    destroyed = true;
+    form?.removeEventListener("change", handlers.onFilterChange);
+    form?.removeEventListener("reset", handlers.onReset);
+    root?.removeEventListener("click", handlers.onToggleTable);
+    document.removeEventListener("language-changed", handlers.onLanguageChanged);
+  }
+
+  if (autoInit) init();
+
+  return {
+    init,
+    destroy,
+    render,
+    getThreshold: () => limit,
+  };
+}
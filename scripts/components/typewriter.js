@@ -1,3 +1,14 @@
+/**
+ * Efecto de tipeo sobre `element`.
+ *
+ * `words` acepta strings u objetos con velocidades propias:
+ *   ["Police", { text: "Firefighters", typingSpeed: 60, pauseAfterTyping: 2000 }]
+ *
+ * Accesibilidad: el texto animado queda con aria-hidden y la frase completa
+ * se expone en un span visualmente oculto (.sr-only). Con
+ * prefers-reduced-motion se muestra la primera frase sin animar.
+ * Se pausa solo mientras la pestaña está oculta.
+ */
 export function typewriter(
   element,
   words,
@@ -6,27 +17,81 @@ export function typewriter(
     deletingSpeed = 50,
     pauseAfterTyping = 1000,
     pauseAfterDeleting = 500,
+    loops = Infinity,
+    announce = false,
+    onWordComplete = null,
+    onComplete = null,
+    autoStart = true,
   } = {}
 ) {
-  if (!element) {
+  const noop = () => {};
+  if (!element || !Array.isArray(words) || words.length === 0) {
     console.warn(
       "No se proporcionó un elemento válido para el efecto de tipeo"
     );
-    return { start() {}, stop() {} };
+    return { start: noop, stop: noop, pause: noop, resume: noop };
   }
 
+  const items = words.map((word) =>
+    typeof word === "string" ? { text: word } : word
+  );
+
   let wordIndex = 0;
   let charIndex = 0;
+  let loopCount = 0;
   let isDeleting = false;
   let timeoutId = null;
   let isRunning = false;
+  let isPaused = false;
+  let isFinished = false;
+  let liveRegion = null;
+
+  function prefersReducedMotion() {
+    const media =
+      window.matchMedia &&
+      window.matchMedia("(prefers-reduced-motion: reduce)");
+    return Boolean(media && media.matches);
+  }
+
+  // Span oculto con la frase completa, para lectores de pantalla
+  function setupAccessibility() {
+    if (liveRegion) return;
+    liveRegion = document.createElement("span");
+    liveRegion.className = "sr-only";
+    if (announce) liveRegion.setAttribute("aria-live", "polite");
+    element.setAttribute("aria-hidden", "true");
+    element.insertAdjacentElement("afterend", liveRegion);
+  }
+
+  function teardownAccessibility() {
+    element.removeAttribute("aria-hidden");
+    liveRegion?.remove();
+    liveRegion = null;
+  }
+
+  function exposeWord(text) {
+    if (liveRegion && liveRegion.textContent !== text) liveRegion.textContent = text;
+  }
+
+  function isLastWord() {
+    return loopCount >= loops - 1 && wordIndex === items.length - 1;
+  }
+
+  function schedule(delay) {
+    timeoutId = setTimeout(type, delay);
+  }
 
   function type() {
-    if (!isRunning) return;
-    const currentWord = words[wordIndex];
+    timeoutId = null;
+    if (!isRunning || isPaused) return;
+
+    const current = items[wordIndex];
+    const currentWord = current.text;
     const isWordComplete = charIndex === currentWord.length;
     const isWordEmpty = charIndex === 0;
 
+    exposeWord(currentWord);
+
     if (!isDeleting && !isWordComplete) {
       charIndex++;
     } else if (isDeleting && !isWordEmpty) {
@@ -35,33 +100,95 @@ export function typewriter(
 
     element.textContent = currentWord.substring(0, charIndex);
 
-    let delay = isDeleting ? deletingSpeed : typingSpeed;
+    let delay = isDeleting
+      ? current.deletingSpeed ?? deletingSpeed
+      : current.typingSpeed ?? typingSpeed;
+
+    if (!isDeleting && charIndex === currentWord.length) {
+      onWordComplete?.(currentWord, wordIndex);
 
-    if (!isDeleting && isWordComplete) {
-      delay = pauseAfterTyping;
+      if (isLastWord()) {
+        isRunning = false;
+        isFinished = true;
+        document.removeEventListener("visibilitychange", onVisibilityChange);
+        onComplete?.();
+        return;
+      }
+
+      delay = current.pauseAfterTyping ?? pauseAfterTyping;
       isDeleting = true;
     } else if (isDeleting && isWordEmpty) {
       isDeleting = false;
-      wordIndex = (wordIndex + 1) % words.length;
-      delay = pauseAfterDeleting;
+      wordIndex = (wordIndex + 1) % items.length;
+      if (wordIndex === 0) loopCount++;
+      delay = current.pauseAfterDeleting ?? pauseAfterDeleting;
     }
 
-    timeoutId = setTimeout(type, delay);
+    schedule(delay);
   }
 
-  function start() {
-    if (!isRunning) {
-      isRunning = true;
+  function resetPosition() {
+    wordIndex = 0;
+    charIndex = 0;
+    loopCount = 0;
+    isDeleting = false;
+    isFinished = false;
+  }
+
+  function onVisibilityChange() {
+    if (document.hidden) {
+      clearTimeout(timeoutId);
+      timeoutId = null;
+    } else if (isRunning && !isPaused && !timeoutId) {
       type();
     }
   }
 
+  // Después de terminar (con loops) vuelve a escribir desde la primera palabra
+  function start() {
+    if (isRunning) return;
+    if (isFinished) resetPosition();
+
+    setupAccessibility();
+
+    if (prefersReducedMotion()) {
+      element.textContent = items[0].text;
+      exposeWord(items[0].text);
+      return;
+    }
+
+    isRunning = true;
+    isPaused = false;
+    document.addEventListener("visibilitychange", onVisibilityChange);
+    if (!document.hidden) type();
+  }
+
+  // Detiene el efecto y lo deja listo para empezar de cero
   function stop() {
     isRunning = false;
+    isPaused = false;
+    if (timeoutId) clearTimeout(timeoutId);
+    timeoutId = null;
+    resetPosition();
+    document.removeEventListener("visibilitychange", onVisibilityChange);
+    teardownAccessibility();
+  }
+
+  // Congela el efecto donde está; resume() sigue desde ese punto
+  function pause() {
+    if (!isRunning || isPaused) return;
+    isPaused = true;
     if (timeoutId) clearTimeout(timeoutId);
+    timeoutId = null;
+  }
+
+  function resume() {
+    if (!isRunning || !isPaused) return;
+    isPaused = false;
+    if (!document.hidden) type();
   }
 
-  start();
+  if (autoStart) start();
 
-  return { start, stop };
+  return { start, stop, pause, resume };
 }
@@ -0,0 +1,41 @@
+/**
+ * Campañas que se muestran en el popup (ver components/popup.js).
+ *
+ * Para una campaña nueva alcanza con sumar una entrada aquí y sus textos en
+ * las traducciones; no hace falta tocar código.
+ *
+ *   id         identificador único; también arma la clave de localStorage
+ *   start/end  fechas ISO (con zona horaria) entre las que está activa; null = sin límite
+ *   locales    idiomas en los que se muestra; null = todos
+ *   frequency  { type: "once" }               hasta que se cierre una vez
+ *              { type: "days", days: 7 }      otra vez cada N días después de cerrarla
+ *              { type: "until-cta" }          en cada visita hasta que se haga clic en el CTA
+ *   priority   si hay varias activas gana la de mayor prioridad (0 por defecto)
+ *   delay      milisegundos antes de mostrarla
+ *   template   id del <template> con el marcado del popup
+ *   i18nKey    rama de las traducciones con sus textos (campaigns.<id> por defecto)
+ *   event      id de un evento de scripts/data/events.json: título, fecha, lugar,
+ *              descripción, destacados y enlaces salen de ahí (ver
+ *              eventTemplateFields en utils/events.js); el resto, de i18nKey
+ *   fundraising id de una campaña de scripts/data/fundraising.json: muestra su
+ *              barra de avance en el bloque data-campaign-fundraising del template
+ *   args       argumentos para los textos con formato (fechas, montos...)
+ *   lists      listas del template: nombre -> claves dentro de i18nKey
+ *   links      enlaces del template: nombre -> URL
+ */
+export const campaigns = [
+  {
+    id: "trevor-claydon-fundraiser",
+    start: null,
+    end: "2026-06-14T14:00:00-06:00",
+    locales: null,
+    frequency: { type: "once" },
+    priority: 0,
+    delay: 1500,
+    template: "campaign-popup-template",
+    i18nKey: "popup",
+    event: "trevor-claydon-fundraiser-2026",
+    // Clave usada por el popup anterior, para no volver a mostrarlo a quien ya lo cerró
+    legacyStorageKey: "flare_popup_seen_trevor_claydon",
+  },
+];
@@ -0,0 +1,30 @@
+/**
+ * Configuración del consentimiento de cookies y analítica (ver utils/consent.js).
+ *
+ *   version        al cambiarla se vuelve a pedir el consentimiento a todos
+ *   measurementId  propiedad de Google Analytics; gtag.js solo se carga con consentimiento
+ *   categories     opciones que la persona puede aceptar por separado:
+ *                    consentMode  claves de Google Consent Mode que habilita
+ *                    i18nKey      textos en consent.categories.<i18nKey>
+ *
+ * Las claves de Consent Mode que no aparecen en ninguna categoría (anuncios)
+ * quedan siempre en "denied".
+ */
+export const consentConfig = {
+  version: 1,
+  storageKey: "flare-consent",
+  measurementId: "G-37S5JYS2ZN",
+  categories: [
+    {
+      id: "analytics",
+      i18nKey: "analytics",
+      consentMode: ["analytics_storage"],
+    },
+  ],
+  consentModeKeys: [
+    "analytics_storage",
+    "ad_storage",
+    "ad_user_data",
+    "ad_personalization",
+  ],
+};
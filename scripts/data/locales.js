@@ -1,187 +1,38 @@
-export const translations = {
-  en: {
-    nav: {
-      home: "Home",
-      about: "About Us",
-      contact: "Contact Us",
-      lang_en: "English",
-      lang_fr: "Français",
-    },
-
-    intro: {
-      title_line1: "The",
-      title_line2: "Flare",
-      title_line3: "Initiative",
-      subtitle: "Break the silence.",
-      cta_button: "Donate",
-    },
-
-    about: {
-      title: "About Us",
-      intro_p1: "The Flare Initiative was created in response to a gap in suicide tracking for first responders.",
-      intro_p2: "Canada currently has no consistent system to track suicides among police, fire, EMS, corrections, or dispatch personnel.",
-      intro_p3: "Existing information is fragmented, inconsistent, and inaccessible, leaving first responder agencies and mental health organizations unable to fully understand the scope of the issue or evaluate prevention efforts.",
-      media_desc: "By creating visibility on the true scale of first responder suicides, the Flare Initiative will provide the evidence base for effective prevention programs, inform policy changes, and reduce stigma around first responder mental health",
-      img_alt: "firefighter in gear, representing first responder mental health",
-    },
-
-    mission: {
-      title: "Our Mission",
-      statement: "To reduce first responder suicides through data-driven prevention.",
-      media_desc_part1: "By creating visibility on the true scale of first responder suicides,",
-      media_desc_part2: "the Flare Initiative will provide the evidence base for effective prevention programs.",
-      img_alt: "firefighter in gear, representing first responder mental health",
-    },
-
-    approach: {
-      title: "Our Approach",
-      card1_title: "Collect Data",
-      card1_desc: "Build a secure national database with historical and current information.",
-      card2_title: "Make It Visible",
-      card2_desc: "Share suicide trends through transparent, trauma-informed reporting.",
-      card3_title: "Drive Change",
-      card3_desc: "Equip organizations and governments with evidence to guide prevention and policy.",
-      card4_title: "Long-Term Impact",
-      card4_desc: "Stronger prevention programs, national reporting standards, reduced stigma, and consistent support for families.",
-    },
-
-    help: {
-      title: "How You Can Help",
-      card1_title: "Partner With Us",
-      card1_desc: "Collaborate on building a secure, national system for first responder suicide tracking.",
-      card2_title: "Donate",
-      card2_desc: "Support the development of a sustainable database that ensures long-term visibility and accountability.",
-      card3_title: "Support Us",
-      card3_desc: "Help bring national attention to an issue too often overlooked.",
-    },
-
-    footer: {
-      title: "Contact Us",
-      name_label: "Name",
-      email_label: "Email",
-      message_label: "Message",
-      name_placeholder: "E.g. John Doe",
-      email_placeholder: "E.g. jhondoe@mail.com",
-      message_placeholder: "E.g. Hello, I would like to know more about your initiative...",
-      send_btn: "Send",
-      note_part1: "FormSubmit will open in a new tab to complete the submission. The information I receive is your message and your email address to respond to you. I do not store or share it with third parties.",
-      note_link: "For more information, learn about FormSubmit",
-      follow_title: "Follow Us",
-      instagram: "Instagram",
-      linkedin: "LinkedIn",
-      js_license: "JavaScript license information",
-      developed_by: "Developed by Aurora Labs",
-      photo_credit: "Photos courtesy of dansunphotos.com",
-    },
-    popup: {
-      title: "The Trevor Claydon Fundraiser",
-      tagline: "In memory of Trevor Claydon, an Edmonton Police Officer lost to suicide, and in support of first responders, their families, and suicide prevention",
-      date_label: "Date & Time",
-      date_value: "Sunday June 14th | 10:00am - 2:00pm",
-      location_label: "Location",
-      location_value: "Blue Meadows, 4 Kuch Ct, Spruce Grove, AB T7Y 1A8",
-      blurb_p1: "Join The Flare Initiative on June 14th for a day of remembrance, conversation, and family fun in support of first responder mental health.",
-      blurb_p2: "Enjoy the day with food trucks, family games, a bouncy castle, and a space for open dialogue and discussion around first responder mental health.",
-      highlights: {
-        music: "Live Music by Delta 88 & The Cabbies",
-        free_entry: "Free Entry &bull; Donations Welcome",
-        silence: "Help us break the silence"
-      },
-      donate: "Donate",
-      close: "Close"
-    },
-  },
-
-  fr: {
-    nav: {
-      home: "Accueil",
-      about: "À propos",
-      contact: "Contactez-nous",
-      lang_en: "English",
-      lang_fr: "Français",
-    },
-
-    intro: {
-      title_line1: "L'",
-      title_line2: "Initiative",
-      title_line3: "Flare",
-      subtitle: "Brisons le silence.",
-      cta_button: "Faire un don",
-    },
-
-    about: {
-      title: "A propos de nous",
-      intro_p1: "L'Initiative Flare a été créée en réponse à une lacune dans le suivi des suicides chez les premiers intervenants.",
-      intro_p2: "Le Canada ne dispose actuellement d'aucun système cohérent pour suivre les suicides parmi les policiers, les pompiers, les ambulanciers, le personnel correctionnel ou les répartiteurs.",
-      intro_p3: "Les informations existantes sont fragmentées, incohérentes et inaccessibles, ce qui empêche les organismes de premiers intervenants et les organisations de santé mentale de comprendre pleinement l'ampleur du problème ou d'évaluer les efforts de prévention.",
-      media_desc: "En créant une visibilité sur l'ampleur réelle des suicides de premiers intervenants, l'Initiative Flare fournira la base factuelle pour des programmes de prévention efficaces, éclairera les changements de politique et réduira la stigmatisation autour de la santé mentale des premiers intervenants",
-      img_alt: "pompier en uniforme, représentant la santé mentale des premiers intervenants",
-    },
-
-    mission: {
-      title: "Notre mission",
-      statement: "Réduire les suicides de premiers intervenants par une prévention fondée sur les données.",
-      media_desc_part1: "En créant une visibilité sur l'ampleur réelle des suicides de premiers intervenants,",
-      media_desc_part2: "l'Initiative Flare fournira la base factuelle pour des programmes de prévention efficaces.",
-      img_alt: "pompier en uniforme, représentant la santé mentale des premiers intervenants",
-    },
-
-    approach: {
-      title: "Notre approche",
-      card1_title: "Collecter les données",
-      card1_desc: "Construire une base de données nationale sécurisée avec des informations historiques et actuelles.",
-      card2_title: "Rendre visible",
-      card2_desc: "Partager les tendances du suicide par le biais de rapports transparents et tenant compte des traumatismes.",
-      card3_title: "Provoquer le changement",
-      card3_desc: "Fournir aux organisations et aux gouvernements des preuves pour orienter la prévention et les politiques.",
-      card4_title: "Impact à long terme",
-      card4_desc: "Des programmes de prévention plus solides, des normes nationales de déclaration, une stigmatisation réduite et un soutien constant aux familles.",
-    },
-
-    help: {
-      title: "Comment vous pouvez aider",
-      card1_title: "Partenariat",
-      card1_desc: "Collaborer à la construction d'un système national sécurisé de suivi des suicides de premiers intervenants.",
-      card2_title: "Faire un don",
-      card2_desc: "Soutenir le développement d'une base de données durable qui garantit la visibilité et la responsabilité à long terme.",
-      card3_title: "Soutenez-nous",
-      card3_desc: "Aidez à attirer l'attention nationale sur un problème trop souvent négligé.",
-    },
-
-    footer: {
-      title: "Contactez-nous",
-      name_label: "Nom",
-      email_label: "Courriel",
-      message_label: "Message",
-      name_placeholder: "Ex: Jean Dupont",
-      email_placeholder: "Ex: jeandupont@mail.com",
-      message_placeholder: "Ex: Bonjour, j'aimerais en savoir plus sur votre initiative...",
-      send_btn: "Envoyer",
-      note_part1: "FormSubmit s'ouvrira dans un nouvel onglet pour terminer la soumission. Les informations que je reçois sont votre message et votre adresse courriel pour vous répondre. Je ne les conserve pas ni ne les partage avec des tiers.",
-      note_link: "Pour plus d'informations, renseignez-vous sur FormSubmit",
-      follow_title: "Suivez-nous",
-      instagram: "Instagram",
-      linkedin: "LinkedIn",
-      js_license: "Informations sur la licence JavaScript",
-      developed_by: "Développé par Aurora Labs",
-      photo_credit: "Photos gracieuseté de dansunphotos.com",
-    },
-    popup: {
-      title: "Collecte de fonds Trevor Claydon",
-      tagline: "À la mémoire de Trevor Claydon, un policier d'Edmonton qui s'est suicidé, et en soutien aux premiers intervenants, à leurs familles et à la prévention du suicide",
-      date_label: "Date et heure",
-      date_value: "Dimanche 14 juin | 10h00 - 14h00",
-      location_label: "Lieu",
-      location_value: "Blue Meadows, 4 Kuch Ct, Spruce Grove, AB T7Y 1A8",
-      blurb_p1: "Rejoignez l'Initiative Flare le 14 juin pour une journée de commémoration, de conversation et de plaisir en famille en soutien à la santé mentale des premiers intervenants.",
-      blurb_p2: "Profitez de la journée avec des camions de nourriture, des jeux familiaux, un château gonflable et un espace de dialogue ouvert sur la santé mentale des premiers intervenants.",
-      highlights: {
-        music: "Musique en direct par Delta 88 et The Cabbies",
-        free_entry: "Entrée Gratuite &bull; Dons Bienvenus",
-        silence: "Aidez-nous à briser le silence"
-      },
-      donate: "Faire un don",
-      close: "Fermer"
-    },
-  },
-};
\ No newline at end of file
+/**
+ * Registro de idiomas disponibles.
+ * Cada idioma vive en su propio módulo (./locales/<lang>.js) y se carga
+ * bajo demanda, así cada visitante descarga solo el que necesita.
+ * Para agregar un idioma: crear el archivo y sumarlo aquí.
+ */
+export const defaultLanguage = "en";
+
+export const locales = {
+  en: () => import("./locales/en.js"),
+  fr: () => import("./locales/fr.js"),
+};
+
+export const availableLanguages = Object.keys(locales);
+
+// Nombre de cada idioma en ese mismo idioma, para el selector del menú
+export const languageNames = {
+  en: "English",
+  fr: "Français",
+};
+
+/**
+ * Cadenas de respaldo explícitas por idioma. Si una clave falta en el idioma
+ * pedido se busca en cada uno de estos, en orden, y por último en
+ * defaultLanguage. Sin entrada aquí, "fr-CA" cae a "fr" y luego a "en".
+ */
+export const fallbacks = {
+  // "fr-CA": ["fr"],
+};
+
+/**
+ * Locale usado con Intl (fechas, números, plurales) para cada idioma.
+ * Si un idioma no figura aquí se usa su propio código.
+ */
+export const formatLocales = {
+  en: "en-CA",
+  fr: "fr-CA",
+};
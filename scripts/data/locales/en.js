@@ -0,0 +1,232 @@
+export default {
+  meta: {
+    title: "The Flare Initiative | First Responder Suicide Prevention Canada",
+    description: "The Flare Initiative is dedicated to reducing first responder suicides through data-driven prevention. We build national tracking systems for police, fire, and EMS.",
+    og_title: "The Flare Initiative | First Responder Suicide Prevention",
+    og_description: "Join us in building a secure, national system for first responder suicide tracking and prevention.",
+  },
+
+  nav: {
+    home: "Home",
+    about: "About Us",
+    contact: "Contact Us",
+    events: "Events",
+    statistics: "Statistics",
+  },
+
+  greeting: {
+    morning: "Good morning",
+    afternoon: "Good afternoon",
+    evening: "Good evening",
+    // Hora (0-23) en que empieza cada período
+    hours: { afternoon: 12, evening: 18 },
+  },
+
+  intro: {
+    title_line1: "The",
+    title_line2: "Flare",
+    title_line3: "Initiative",
+    subtitle: "Break the silence.",
+    cta_button: "Donate",
+  },
+
+  about: {
+    title: "About Us",
+    intro_p1: "The Flare Initiative was created in response to a gap in suicide tracking for first responders.",
+    intro_p2: "Canada currently has no consistent system to track suicides among police, fire, EMS, corrections, or dispatch personnel.",
+    intro_p3: "Existing information is fragmented, inconsistent, and inaccessible, leaving first responder agencies and mental health organizations unable to fully understand the scope of the issue or evaluate prevention efforts.",
+    media_desc: "By creating visibility on the true scale of first responder suicides, the Flare Initiative will provide the evidence base for effective prevention programs, inform policy changes, and reduce stigma around first responder mental health",
+    img_alt: "firefighter in gear, representing first responder mental health",
+  },
+
+  mission: {
+    title: "Our Mission",
+    statement: "To reduce first responder suicides through data-driven prevention.",
+    media_desc_part1: "By creating visibility on the true scale of first responder suicides,",
+    media_desc_part2: "the Flare Initiative will provide the evidence base for effective prevention programs.",
+    img_alt: "firefighter in gear, representing first responder mental health",
+  },
+
+  approach: {
+    title: "Our Approach",
+    card1_title: "Collect Data",
+    card1_desc: "Build a secure national database with historical and current information.",
+    card2_title: "Make It Visible",
+    card2_desc: "Share suicide trends through transparent, trauma-informed reporting.",
+    card3_title: "Drive Change",
+    card3_desc: "Equip organizations and governments with evidence to guide prevention and policy.",
+    card4_title: "Long-Term Impact",
+    card4_desc: "Stronger prevention programs, national reporting standards, reduced stigma, and consistent support for families.",
+  },
+
+  help: {
+    title: "How You Can Help",
+    card1_title: "Partner With Us",
+    card1_desc: "Collaborate on building a secure, national system for first responder suicide tracking.",
+    card2_title: "Donate",
+    card2_desc: "Support the development of a sustainable database that ensures long-term visibility and accountability.",
+    card3_title: "Support Us",
+    card3_desc: "Help bring national attention to an issue too often overlooked.",
+  },
+
+  footer: {
+    title: "Contact Us",
+    name_label: "Name",
+    email_label: "Email",
+    message_label: "Message",
+    name_placeholder: "E.g. John Doe",
+    email_placeholder: "E.g. jhondoe@mail.com",
+    message_placeholder: "E.g. Hello, I would like to know more about your initiative...",
+    send_btn: "Send",
+    note_part1: "Your message is sent through FormSubmit without leaving this page. The information I receive is your message and your email address to respond to you. I do not store or share it with third parties.",
+    note_link: "For more information, learn about FormSubmit",
+    follow_title: "Follow Us",
+    instagram: "Instagram",
+    linkedin: "LinkedIn",
+    js_license: "JavaScript license information",
+    developed_by: "Developed by Aurora Labs",
+    photo_credit: "Photos courtesy of dansunphotos.com",
+  },
+  contact_form: {
+    honeypot_label: "Leave this field empty",
+    errors: {
+      name_required: "Please enter your name.",
+      name_short: "Your name must be at least {min, plural, one {# character} other {# characters}} long.",
+      email_required: "Please enter your email address.",
+      email_invalid: "Please enter a valid email address, e.g. name@example.com.",
+      message_required: "Please write a message.",
+      message_short: "Your message must be at least {min, plural, one {# character} other {# characters}} long.",
+      message_long: "Your message can't be longer than {max, number} characters.",
+    },
+    status: {
+      invalid: "Please correct the highlighted fields.",
+      sending: "Sending your message…",
+      success: "Thank you! Your message has been sent.",
+      error: "Your message couldn't be sent. Please try again in a moment.",
+      queued: "You're offline. Your message was saved on this device and will be sent automatically when the connection returns.",
+      sent_from_queue: "Your saved message has been sent.",
+      rejected_from_queue: "A message saved on this device was rejected by the server and couldn't be delivered. It has been removed; please send it again.",
+      cancel_error: "The saved message couldn't be cancelled. Please try again.",
+    },
+    pending: {
+      title: "{count, plural, one {# message is} other {# messages are}} waiting to be sent from this device",
+      item: "Message saved {date}",
+      cancel: "Cancel",
+      cancel_label: "Cancel the message saved {date}",
+    },
+  },
+  consent: {
+    title: "Your privacy",
+    text: "We'd like to use Google Analytics to understand how visitors use this site. Nothing is loaded or stored unless you agree, and you can change your mind at any time from the footer.",
+    accept: "Accept",
+    reject: "Reject",
+    customize: "Choose",
+    save: "Save choices",
+    manage: "Privacy preferences",
+    categories: {
+      analytics: {
+        label: "Analytics",
+        description: "Anonymous visit statistics (Google Analytics) that help us see which information is useful. Sets cookies and sends data to Google.",
+      },
+    },
+  },
+  events: {
+    meta_title: "Events | The Flare Initiative",
+    meta_description: "Upcoming fundraisers and community events from The Flare Initiative in support of first responder mental health.",
+    title: "Events",
+    intro: "Fundraisers and gatherings in support of first responders, their families, and suicide prevention.",
+    next_title: "Next event",
+    starts_in: "Starts in",
+    happening_now: "Happening now",
+    upcoming_title: "Upcoming events",
+    past_title: "Past events",
+    date_label: "Date & Time",
+    location_label: "Location",
+    tickets: "Get tickets",
+    donate: "Donate",
+    add_to_calendar: "Add to calendar",
+    calendar_ics: "Apple, Outlook (.ics)",
+    calendar_google: "Google Calendar",
+    status: {
+      loading: "Loading events…",
+      none: "There are no upcoming events right now. Follow us on social media to hear about the next one.",
+      error: "We couldn't load the events. Please try again later.",
+    },
+  },
+  fundraising: {
+    label: "Fundraising progress",
+    raised: "{raised} raised of {goal}",
+    percent: "{ratio, number, percent} of goal",
+    donors: "{count, plural, one {# donor} other {# donors}}",
+    days_left: "{count, plural, =0 {Last day to give} one {# day left} other {# days left}}",
+    ended: "Campaign ended",
+    updated: "Updated {date, date, medium}",
+    stale: "These figures may be out of date (last updated {date, date, medium}).",
+  },
+  statistics: {
+    meta_title: "Statistics | The Flare Initiative",
+    meta_description: "Aggregate data on first responder suicides in Canada, by year, sector and province.",
+    title: "Make It Visible",
+    intro: "Aggregate data on first responder suicides in Canada, by year, sector and province or territory.",
+    filters_title: "Filter the data",
+    years: "Years",
+    from: "From",
+    to: "To",
+    sectors_label: "Sectors",
+    province_label: "Province or territory",
+    all_provinces: "All provinces and territories",
+    reset: "Reset filters",
+    by_year: "By year",
+    by_sector: "By sector",
+    by_province: "By province or territory",
+    columns: {
+      year: "Year",
+      sector: "Sector",
+      province: "Province or territory",
+      count: "Deaths by suicide",
+    },
+    total: "Total",
+    show_table: "Show data table",
+    hide_table: "Hide data table",
+    chart_summary: "Total: {total}",
+    suppressed: "Not shown",
+    suppressed_short: "–",
+    partial: "At least {count}",
+    partial_short: "{count}+",
+    suppression_note: "To protect the privacy of families, any count below {threshold} for a single year, sector and province or territory is left out of every figure on this page. Figures marked “+” leave out at least one of these counts, so the real number may be higher.",
+    status: {
+      loading: "Loading data…",
+      empty: "No data has been published yet. Figures will appear here as they are collected and verified.",
+      error: "We couldn't load the data. Please try again later.",
+    },
+    sectors: {
+      police: "Police",
+      fire: "Fire",
+      ems: "Paramedics (EMS)",
+      corrections: "Corrections",
+      dispatch: "Dispatch",
+    },
+    provinces: {
+      NL: "Newfoundland and Labrador",
+      PE: "Prince Edward Island",
+      NS: "Nova Scotia",
+      NB: "New Brunswick",
+      QC: "Quebec",
+      ON: "Ontario",
+      MB: "Manitoba",
+      SK: "Saskatchewan",
+      AB: "Alberta",
+      BC: "British Columbia",
+      YT: "Yukon",
+      NT: "Northwest Territories",
+      NU: "Nunavut",
+    },
+  },
+  popup: {
+    // Textos del evento: scripts/data/events.json
+    date_label: "Date & Time",
+    location_label: "Location",
+    donate: "Donate",
+    close: "Close",
+  },
+};
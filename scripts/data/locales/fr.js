@@ -0,0 +1,232 @@
+export default {
+  meta: {
+    title: "L'Initiative Flare | Prévention du suicide chez les premiers intervenants au Canada",
+    description: "L'Initiative Flare se consacre à réduire les suicides de premiers intervenants grâce à une prévention fondée sur les données. Nous bâtissons des systèmes nationaux de suivi pour les policiers, les pompiers et les ambulanciers.",
+    og_title: "L'Initiative Flare | Prévention du suicide chez les premiers intervenants",
+    og_description: "Joignez-vous à nous pour bâtir un système national sécurisé de suivi et de prévention du suicide chez les premiers intervenants.",
+  },
+
+  nav: {
+    home: "Accueil",
+    about: "À propos",
+    contact: "Contactez-nous",
+    events: "Événements",
+    statistics: "Statistiques",
+  },
+
+  greeting: {
+    morning: "Bonjour",
+    afternoon: "Bon après-midi",
+    evening: "Bonsoir",
+    // Heure (0-23) à laquelle commence chaque période
+    hours: { afternoon: 12, evening: 18 },
+  },
+
+  intro: {
+    title_line1: "L'",
+    title_line2: "Initiative",
+    title_line3: "Flare",
+    subtitle: "Brisons le silence.",
+    cta_button: "Faire un don",
+  },
+
+  about: {
+    title: "A propos de nous",
+    intro_p1: "L'Initiative Flare a été créée en réponse à une lacune dans le suivi des suicides chez les premiers intervenants.",
+    intro_p2: "Le Canada ne dispose actuellement d'aucun système cohérent pour suivre les suicides parmi les policiers, les pompiers, les ambulanciers, le personnel correctionnel ou les répartiteurs.",
+    intro_p3: "Les informations existantes sont fragmentées, incohérentes et inaccessibles, ce qui empêche les organismes de premiers intervenants et les organisations de santé mentale de comprendre pleinement l'ampleur du problème ou d'évaluer les efforts de prévention.",
+    media_desc: "En créant une visibilité sur l'ampleur réelle des suicides de premiers intervenants, l'Initiative Flare fournira la base factuelle pour des programmes de prévention efficaces, éclairera les changements de politique et réduira la stigmatisation autour de la santé mentale des premiers intervenants",
+    img_alt: "pompier en uniforme, représentant la santé mentale des premiers intervenants",
+  },
+
+  mission: {
+    title: "Notre mission",
+    statement: "Réduire les suicides de premiers intervenants par une prévention fondée sur les données.",
+    media_desc_part1: "En créant une visibilité sur l'ampleur réelle des suicides de premiers intervenants,",
+    media_desc_part2: "l'Initiative Flare fournira la base factuelle pour des programmes de prévention efficaces.",
+    img_alt: "pompier en uniforme, représentant la santé mentale des premiers intervenants",
+  },
+
+  approach: {
+    title: "Notre approche",
+    card1_title: "Collecter les données",
+    card1_desc: "Construire une base de données nationale sécurisée avec des informations historiques et actuelles.",
+    card2_title: "Rendre visible",
+    card2_desc: "Partager les tendances du suicide par le biais de rapports transparents et tenant compte des traumatismes.",
+    card3_title: "Provoquer le changement",
+    card3_desc: "Fournir aux organisations et aux gouvernements des preuves pour orienter la prévention et les politiques.",
+    card4_title: "Impact à long terme",
+    card4_desc: "Des programmes de prévention plus solides, des normes nationales de déclaration, une stigmatisation réduite et un soutien constant aux familles.",
+  },
+
+  help: {
+    title: "Comment vous pouvez aider",
+    card1_title: "Partenariat",
+    card1_desc: "Collaborer à la construction d'un système national sécurisé de suivi des suicides de premiers intervenants.",
+    card2_title: "Faire un don",
+    card2_desc: "Soutenir le développement d'une base de données durable qui garantit la visibilité et la responsabilité à long terme.",
+    card3_title: "Soutenez-nous",
+    card3_desc: "Aidez à attirer l'attention nationale sur un problème trop souvent négligé.",
+  },
+
+  footer: {
+    title: "Contactez-nous",
+    name_label: "Nom",
+    email_label: "Courriel",
+    message_label: "Message",
+    name_placeholder: "Ex: Jean Dupont",
+    email_placeholder: "Ex: jeandupont@mail.com",
+    message_placeholder: "Ex: Bonjour, j'aimerais en savoir plus sur votre initiative...",
+    send_btn: "Envoyer",
+    note_part1: "Votre message est envoyé par FormSubmit sans quitter cette page. Les informations que je reçois sont votre message et votre adresse courriel pour vous répondre. Je ne les conserve pas ni ne les partage avec des tiers.",
+    note_link: "Pour plus d'informations, renseignez-vous sur FormSubmit",
+    follow_title: "Suivez-nous",
+    instagram: "Instagram",
+    linkedin: "LinkedIn",
+    js_license: "Informations sur la licence JavaScript",
+    developed_by: "Développé par Aurora Labs",
+    photo_credit: "Photos gracieuseté de dansunphotos.com",
+  },
+  contact_form: {
+    honeypot_label: "Laissez ce champ vide",
+    errors: {
+      name_required: "Veuillez entrer votre nom.",
+      name_short: "Votre nom doit contenir au moins {min, plural, one {# caractère} other {# caractères}}.",
+      email_required: "Veuillez entrer votre adresse courriel.",
+      email_invalid: "Veuillez entrer une adresse courriel valide, p. ex. nom@exemple.com.",
+      message_required: "Veuillez écrire un message.",
+      message_short: "Votre message doit contenir au moins {min, plural, one {# caractère} other {# caractères}}.",
+      message_long: "Votre message ne peut pas dépasser {max, number} caractères.",
+    },
+    status: {
+      invalid: "Veuillez corriger les champs indiqués.",
+      sending: "Envoi de votre message…",
+      success: "Merci! Votre message a été envoyé.",
+      error: "Votre message n'a pas pu être envoyé. Veuillez réessayer dans un instant.",
+      queued: "Vous êtes hors ligne. Votre message a été enregistré sur cet appareil et sera envoyé automatiquement au retour de la connexion.",
+      sent_from_queue: "Votre message enregistré a été envoyé.",
+      rejected_from_queue: "Un message enregistré sur cet appareil a été refusé par le serveur et n'a pas pu être livré. Il a été supprimé; veuillez l'envoyer de nouveau.",
+      cancel_error: "Le message enregistré n'a pas pu être annulé. Veuillez réessayer.",
+    },
+    pending: {
+      title: "{count, plural, one {# message attend d'être envoyé} other {# messages attendent d'être envoyés}} depuis cet appareil",
+      item: "Message enregistré le {date}",
+      cancel: "Annuler",
+      cancel_label: "Annuler le message enregistré le {date}",
+    },
+  },
+  consent: {
+    title: "Votre vie privée",
+    text: "Nous aimerions utiliser Google Analytics pour comprendre comment les visiteurs utilisent ce site. Rien n'est chargé ni enregistré sans votre accord, et vous pouvez changer d'avis à tout moment depuis le pied de page.",
+    accept: "Accepter",
+    reject: "Refuser",
+    customize: "Choisir",
+    save: "Enregistrer mes choix",
+    manage: "Préférences de confidentialité",
+    categories: {
+      analytics: {
+        label: "Statistiques",
+        description: "Statistiques de visite anonymes (Google Analytics) qui nous aident à savoir quelles informations sont utiles. Utilise des témoins et envoie des données à Google.",
+      },
+    },
+  },
+  events: {
+    meta_title: "Événements | L'Initiative Flare",
+    meta_description: "Collectes de fonds et événements communautaires de l'Initiative Flare en soutien à la santé mentale des premiers intervenants.",
+    title: "Événements",
+    intro: "Collectes de fonds et rencontres en soutien aux premiers intervenants, à leurs familles et à la prévention du suicide.",
+    next_title: "Prochain événement",
+    starts_in: "Commence dans",
+    happening_now: "En cours",
+    upcoming_title: "Événements à venir",
+    past_title: "Événements passés",
+    date_label: "Date et heure",
+    location_label: "Lieu",
+    tickets: "Obtenir des billets",
+    donate: "Faire un don",
+    add_to_calendar: "Ajouter au calendrier",
+    calendar_ics: "Apple, Outlook (.ics)",
+    calendar_google: "Google Agenda",
+    status: {
+      loading: "Chargement des événements…",
+      none: "Aucun événement à venir pour le moment. Suivez-nous sur les réseaux sociaux pour connaître le prochain.",
+      error: "Nous n'avons pas pu charger les événements. Veuillez réessayer plus tard.",
+    },
+  },
+  fundraising: {
+    label: "Progression de la collecte",
+    raised: "{raised} amassés sur {goal}",
+    percent: "{ratio, number, percent} de l'objectif",
+    donors: "{count, plural, one {# donateur} other {# donateurs}}",
+    days_left: "{count, plural, =0 {Dernier jour pour donner} one {# jour restant} other {# jours restants}}",
+    ended: "Campagne terminée",
+    updated: "Mis à jour le {date, date, medium}",
+    stale: "Ces chiffres ne sont peut-être plus à jour (dernière mise à jour : {date, date, medium}).",
+  },
+  statistics: {
+    meta_title: "Statistiques | L'Initiative Flare",
+    meta_description: "Données agrégées sur les suicides chez les premiers intervenants au Canada, par année, secteur et province.",
+    title: "Rendre visible",
+    intro: "Données agrégées sur les suicides chez les premiers intervenants au Canada, par année, secteur et province ou territoire.",
+    filters_title: "Filtrer les données",
+    years: "Années",
+    from: "De",
+    to: "À",
+    sectors_label: "Secteurs",
+    province_label: "Province ou territoire",
+    all_provinces: "Toutes les provinces et tous les territoires",
+    reset: "Réinitialiser les filtres",
+    by_year: "Par année",
+    by_sector: "Par secteur",
+    by_province: "Par province ou territoire",
+    columns: {
+      year: "Année",
+      sector: "Secteur",
+      province: "Province ou territoire",
+      count: "Décès par suicide",
+    },
+    total: "Total",
+    show_table: "Afficher le tableau de données",
+    hide_table: "Masquer le tableau de données",
+    chart_summary: "Total : {total}",
+    suppressed: "Non affiché",
+    suppressed_short: "–",
+    partial: "Au moins {count}",
+    partial_short: "{count}+",
+    suppression_note: "Pour protéger la vie privée des familles, tout nombre inférieur à {threshold} pour une même année, un même secteur et une même province ou un même territoire est exclu de tous les chiffres de cette page. Les chiffres suivis de « + » en excluent au moins un : le nombre réel peut être plus élevé.",
+    status: {
+      loading: "Chargement des données…",
+      empty: "Aucune donnée n'a encore été publiée. Les chiffres apparaîtront ici à mesure qu'ils seront recueillis et vérifiés.",
+      error: "Impossible de charger les données. Veuillez réessayer plus tard.",
+    },
+    sectors: {
+      police: "Police",
+      fire: "Pompiers",
+      ems: "Paramédics (SMU)",
+      corrections: "Services correctionnels",
+      dispatch: "Répartition",
+    },
+    provinces: {
+      NL: "Terre-Neuve-et-Labrador",
+      PE: "Île-du-Prince-Édouard",
+      NS: "Nouvelle-Écosse",
+      NB: "Nouveau-Brunswick",
+      QC: "Québec",
+      ON: "Ontario",
+      MB: "Manitoba",
+      SK: "Saskatchewan",
+      AB: "Alberta",
+      BC: "Colombie-Britannique",
+      YT: "Yukon",
+      NT: "Territoires du Nord-Ouest",
+      NU: "Nunavut",
+    },
+  },
+  popup: {
+    // Textes de l'événement : scripts/data/events.json
+    date_label: "Date et heure",
+    location_label: "Lieu",
+    donate: "Faire un don",
+    close: "Fermer",
+  },
+};
@@ -1,44 +1,12 @@
-import ScrollAnimations from "./components/scrollAnimations.js";
-import { actualizarSaludo } from "./components/greeting.js"; 
-import { initI18n, setLanguage, getCurrentTranslation } from "./utils/i18n.js";
-import { fadeEffect } from "./components/fadeEffect.js";
-import { barraNavegacion } from "./components/navbar.js";
-import { typewriter } from "./components/typewriter.js";
-import { initPopup } from "./components/popup.js";
+import "./components/index.js";
+import { startComponents } from "./utils/components.js";
+import { initI18n } from "./utils/i18n.js";
 
 document.addEventListener("DOMContentLoaded", () => {
-  new ScrollAnimations();
-  fadeEffect();
-  barraNavegacion();
-  initPopup();
-  
-  initI18n(); 
+  // Monta lo declarado con data-component; los componentes que dependen del
+  // idioma esperan a "language-changed", que initI18n emite al terminar la
+  // carga inicial.
+  startComponents();
 
-  actualizarSaludo();
-
-const btnFr = document.querySelector("#btn-fr");
-const btnEn = document.querySelector("#btn-en");
-
-if (btnFr) btnFr.addEventListener("click", () => setLanguage("fr"));
-if (btnEn) btnEn.addEventListener("click", () => setLanguage("en"));
-
-  const introJobPositions = document.querySelector(".main__intro-position--type");
-  let typewriterInstance = null;
-
-  function startTypewriter() {
-    if (!introJobPositions) return;
-    if (typewriterInstance) typewriterInstance.stop();
-
-    const currentData = getCurrentTranslation();
-    const words = currentData.hero.jobs;
-
-    typewriterInstance = typewriter(introJobPositions, words);
-  }
-
-  startTypewriter();
-
-  document.addEventListener("language-changed", () => {
-    startTypewriter();
-    actualizarSaludo();
-  });
-});
\ No newline at end of file
+  initI18n();
+});
@@ -0,0 +1,121 @@
+/**
+ * "Agregar al calendario": archivos .ics (RFC 5545) y enlaces de Google Calendar.
+ *
+ * Las horas van en UTC ("20260614T160000Z"), así no hace falta un VTIMEZONE y
+ * cada calendario las muestra en la zona de quien lo abre.
+ */
+import { localize, formatLocation } from "./events.js";
+
+const PRODID = "-//The Flare Initiative//Events//EN";
+const UID_DOMAIN = "flareinitiative.org";
+// Líneas de hasta 75 octetos; las siguientes empiezan con un espacio
+const MAX_LINE_OCTETS = 75;
+
+// 2026-06-14T16:00:00.000Z -> 20260614T160000Z
+function toUtcStamp(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Corta por octetos UTF-8 sin partir un carácter
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  if (encoder.encode(line).length <= MAX_LINE_OCTETS) return line;
+
+  const parts = [];
+  let current = "";
+  let size = 0;
+
+  for (const char of line) {
+    const charSize = encoder.encode(char).length;
+    // La primera línea tiene 75 octetos; las demás, 74 más el espacio inicial
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (size + charSize > limit) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+
+  return parts.join("\r\n ");
+}
+
+// Descripción en texto plano: párrafos, destacados y enlaces
+function describe(event, lang) {
+  const paragraphs = localize(event.description, lang) || [];
+  const highlights = (localize(event.highlights, lang) || []).map((item) => `• ${item}`);
+  const links = [event.links?.tickets, event.links?.donate].filter(Boolean);
+
+  return [...paragraphs, highlights.join("\n"), ...links].filter(Boolean).join("\n\n");
+}
+
+function eventLines(event, { lang, now }) {
+  const url = event.links?.tickets || event.links?.donate;
+
+  return [
+    "BEGIN:VEVENT",
+    `UID:${event.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${toUtcStamp(now)}`,
+    `DTSTART:${toUtcStamp(event.startDate)}`,
+    `DTEND:${toUtcStamp(event.endDate)}`,
+    `SUMMARY:${escapeText(localize(event.title, lang))}`,
+    `DESCRIPTION:${escapeText(describe(event, lang))}`,
+    `LOCATION:${escapeText(formatLocation(event, lang))}`,
+    url ? `URL:${url}` : null,
+    "END:VEVENT",
+  ].filter(Boolean);
+}
+
+/**
+ * Calendario .ics con uno o varios eventos, en el idioma pedido.
+ */
+export function toIcs(events, { lang = "en", now = new Date() } = {}) {
+  const list = Array.isArray(events) ? events : [events];
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    ...list.flatMap((event) => eventLines(event, { lang, now })),
+    "END:VCALENDAR",
+  ];
+
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+export function icsFileName(event) {
+  return `${event.id}.ics`;
+}
+
+/**
+ * URL (blob:) para descargar el .ics. Hay que liberarla con
+ * URL.revokeObjectURL cuando deja de usarse.
+ */
+export function createIcsUrl(event, options) {
+  const blob = new Blob([toIcs(event, options)], { type: "text/calendar;charset=utf-8" });
+  return URL.createObjectURL(blob);
+}
+
+export function googleCalendarUrl(event, { lang = "en" } = {}) {
+  const params = new URLSearchParams({
+    action: "TEMPLATE",
+    text: localize(event.title, lang) || "",
+    dates: `${toUtcStamp(event.startDate)}/${toUtcStamp(event.endDate)}`,
+    details: describe(event, lang),
+    location: formatLocation(event, lang),
+    ctz: event.timeZone || "",
+  });
+
+  return `https://calendar.google.com/calendar/render?${params}`;
+}
@@ -0,0 +1,136 @@
+/**
+ * Gráficos de barras en SVG, sin dependencias.
+ *
+ *   barChart(items, { title, description, orientation: "horizontal" })
+ *
+ * items: [{ label, value, text, suppressed }]; `text` es lo que se escribe
+ * junto a la barra (el valor ya formateado). Una barra suprimida no tiene
+ * valor: se dibuja como un trazo rayado mínimo, solo con su `text`.
+ *
+ * El SVG queda con role="img" y su <title>/<desc>; el detalle completo va en
+ * la tabla que acompaña a cada gráfico.
+ */
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+let chartCount = 0;
+
+function svgElement(tag, attributes = {}, text = null) {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.entries(attributes).forEach(([name, value]) => el.setAttribute(name, String(value)));
+  if (text !== null) el.textContent = text;
+  return el;
+}
+
+const VERTICAL = { band: 56, barWidth: 32, plotHeight: 180, top: 24, bottom: 32, side: 12 };
+const HORIZONTAL = { row: 30, barHeight: 18, labelWidth: 190, plotWidth: 260, valueWidth: 70, top: 8 };
+const SUPPRESSED_SIZE = 4;
+
+function createSvg(width, height, { title, description }) {
+  const id = `chart-${++chartCount}`;
+  const svg = svgElement("svg", {
+    viewBox: `0 0 ${width} ${height}`,
+    class: "chart",
+    role: "img",
+    "aria-labelledby": `${id}-title ${id}-desc`,
+  });
+  svg.append(
+    svgElement("title", { id: `${id}-title` }, title || ""),
+    svgElement("desc", { id: `${id}-desc` }, description || "")
+  );
+
+  // Rayado de las barras suprimidas
+  const defs = svgElement("defs");
+  const pattern = svgElement("pattern", {
+    id: `${id}-suppressed`,
+    width: 6,
+    height: 6,
+    patternUnits: "userSpaceOnUse",
+    patternTransform: "rotate(45)",
+  });
+  pattern.append(svgElement("rect", { width: 3, height: 6, class: "chart__hatch" }));
+  defs.append(pattern);
+  svg.append(defs);
+
+  return { svg, hatch: `url(#${id}-suppressed)` };
+}
+
+function maxValue(items) {
+  return Math.max(1, ...items.filter((item) => !item.suppressed).map((item) => item.value));
+}
+
+function bar(item, attributes, hatch) {
+  return svgElement("rect", {
+    ...attributes,
+    class: item.suppressed ? "chart__bar chart__bar--suppressed" : "chart__bar",
+    ...(item.suppressed ? { fill: hatch } : {}),
+  });
+}
+
+// Columnas: una por elemento, etiquetas debajo y valores encima
+function verticalChart(items, options) {
+  const { band, barWidth, plotHeight, top, bottom, side } = VERTICAL;
+  const width = side * 2 + items.length * band;
+  const height = top + plotHeight + bottom;
+  const baseline = top + plotHeight;
+  const max = maxValue(items);
+  const { svg, hatch } = createSvg(width, height, options);
+
+  svg.append(svgElement("line", { x1: side, x2: width - side, y1: baseline, y2: baseline, class: "chart__axis" }));
+
+  items.forEach((item, i) => {
+    const size = item.suppressed ? SUPPRESSED_SIZE : (item.value / max) * plotHeight;
+    const center = side + i * band + band / 2;
+    const group = svgElement("g", { class: "chart__item" });
+
+    group.append(
+      bar(item, { x: center - barWidth / 2, y: baseline - size, width: barWidth, height: size }, hatch),
+      svgElement(
+        "text",
+        { x: center, y: baseline - size - 6, class: "chart__value", "text-anchor": "middle" },
+        item.text
+      ),
+      svgElement("text", { x: center, y: baseline + 20, class: "chart__label", "text-anchor": "middle" }, item.label)
+    );
+    svg.append(group);
+  });
+
+  return svg;
+}
+
+// Barras: una fila por elemento, etiqueta a la izquierda y valor al final
+function horizontalChart(items, options) {
+  const { row, barHeight, labelWidth, plotWidth, valueWidth, top } = HORIZONTAL;
+  const width = labelWidth + plotWidth + valueWidth;
+  const height = top * 2 + items.length * row;
+  const max = maxValue(items);
+  const { svg, hatch } = createSvg(width, height, options);
+
+  svg.append(svgElement("line", { x1: labelWidth, x2: labelWidth, y1: top, y2: height - top, class: "chart__axis" }));
+
+  items.forEach((item, i) => {
+    const size = item.suppressed ? SUPPRESSED_SIZE : (item.value / max) * plotWidth;
+    const middle = top + i * row + row / 2;
+    const group = svgElement("g", { class: "chart__item" });
+
+    group.append(
+      svgElement(
+        "text",
+        { x: labelWidth - 8, y: middle, class: "chart__label", "text-anchor": "end", "dominant-baseline": "middle" },
+        item.label
+      ),
+      bar(item, { x: labelWidth, y: middle - barHeight / 2, width: size, height: barHeight }, hatch),
+      svgElement(
+        "text",
+        { x: labelWidth + size + 6, y: middle, class: "chart__value", "dominant-baseline": "middle" },
+        item.text
+      )
+    );
+    svg.append(group);
+  });
+
+  return svg;
+}
+
+export function barChart(items, { orientation = "vertical", ...options } = {}) {
+  return orientation === "horizontal" ? horizontalChart(items, options) : verticalChart(items, options);
+}
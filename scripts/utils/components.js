@@ -0,0 +1,162 @@
+/**
+ * Registro de componentes declarativos.
+ *
+ *   <span data-component="typewriter" data-words-key="hero.jobs" data-typing-speed="80"></span>
+ *
+ * Cada nombre de data-component (puede haber varios separados por espacios)
+ * se monta con la función registrada, que recibe el elemento y las opciones
+ * leídas de sus data-* (convertidas: "true"/"false", números y JSON).
+ * La función devuelve una instancia con destroy() (o stop()), o null si no
+ * hay nada que montar.
+ *
+ * Los componentes `localized` se montan recién cuando hay traducciones y se
+ * vuelven a montar en cada "language-changed".
+ */
+
+// nombre -> { mount, localized }
+const registry = new Map();
+// elemento -> Map(nombre -> instancia)
+const mounted = new Map();
+let started = false;
+
+function parseValue(value) {
+  if (value === "true") return true;
+  if (value === "false") return false;
+  if (value !== "" && !Number.isNaN(Number(value))) return Number(value);
+  if (/^[[{]/.test(value)) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value;
+    }
+  }
+  return value;
+}
+
+// data-typing-speed="80" -> { typingSpeed: 80 }
+export function getComponentOptions(el) {
+  const options = {};
+  Object.entries(el.dataset).forEach(([key, value]) => {
+    if (key !== "component") options[key] = parseValue(value);
+  });
+  return options;
+}
+
+function getNames(el) {
+  return (el.getAttribute("data-component") || "").split(/\s+/).filter(Boolean);
+}
+
+// Como querySelectorAll, pero incluye a `root` si también coincide
+function queryAll(root, selector) {
+  const matches = [...root.querySelectorAll(selector)];
+  if (root.matches?.(selector)) matches.unshift(root);
+  return matches;
+}
+
+function destroyInstance(instance) {
+  if (!instance) return;
+  if (typeof instance.destroy === "function") instance.destroy();
+  else if (typeof instance.stop === "function") instance.stop();
+}
+
+function mountOne(el, name) {
+  const definition = registry.get(name);
+  if (!definition) {
+    console.warn(`Componente no registrado: "${name}"`, el);
+    return;
+  }
+
+  const instances = mounted.get(el) || new Map();
+  if (instances.has(name)) return;
+
+  try {
+    const instance = definition.mount(el, getComponentOptions(el));
+    if (instance) {
+      instances.set(name, instance);
+      mounted.set(el, instances);
+    }
+  } catch (error) {
+    console.error(`No se pudo montar el componente "${name}":`, error);
+  }
+}
+
+function unmountOne(el, name) {
+  const instances = mounted.get(el);
+  if (!instances?.has(name)) return;
+
+  try {
+    destroyInstance(instances.get(name));
+  } catch (error) {
+    console.error(`Error al desmontar el componente "${name}":`, error);
+  }
+  instances.delete(name);
+  if (instances.size === 0) mounted.delete(el);
+}
+
+/**
+ * Registra un componente. `mount(el, options)` devuelve su instancia.
+ */
+export function registerComponent(name, mount, { localized = false } = {}) {
+  registry.set(name, { mount, localized });
+}
+
+/**
+ * Monta los componentes declarados dentro de `root` (incluido).
+ * Con `localized` en false se saltean los que dependen del idioma.
+ */
+export function mountComponents(root = document, { localized = true } = {}) {
+  queryAll(root, "[data-component]").forEach((el) => {
+    getNames(el).forEach((name) => {
+      if (!localized && registry.get(name)?.localized) return;
+      mountOne(el, name);
+    });
+  });
+}
+
+// Desmonta (destroy) los componentes dentro de `root`
+export function unmountComponents(root = document) {
+  [...mounted.keys()]
+    .filter((el) => root === document || root === el || root.contains(el))
+    .forEach((el) => {
+      [...mounted.get(el).keys()].forEach((name) => unmountOne(el, name));
+    });
+}
+
+export function getComponent(el, name) {
+  return mounted.get(el)?.get(name) || null;
+}
+
+function onLanguageChanged() {
+  [...document.querySelectorAll("[data-component]")].forEach((el) => {
+    getNames(el)
+      .filter((name) => registry.get(name)?.localized)
+      .forEach((name) => {
+        unmountOne(el, name);
+        mountOne(el, name);
+      });
+  });
+}
+
+// Al salir de la página (sin bfcache) se liberan timers y listeners
+function onPageHide(e) {
+  if (!e.persisted) stopComponents();
+}
+
+/**
+ * Monta todo lo declarado en la página y engancha el ciclo de vida.
+ */
+export function startComponents(root = document) {
+  if (!started) {
+    started = true;
+    document.addEventListener("language-changed", onLanguageChanged);
+    window.addEventListener("pagehide", onPageHide);
+  }
+  mountComponents(root, { localized: false });
+}
+
+export function stopComponents() {
+  unmountComponents(document);
+  document.removeEventListener("language-changed", onLanguageChanged);
+  window.removeEventListener("pagehide", onPageHide);
+  started = false;
+}
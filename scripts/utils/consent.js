@@ -0,0 +1,193 @@
+import { consentConfig } from "../data/consent.js";
+
+/**
+ * Consentimiento de analítica, privado por defecto.
+ *
+ * Google Consent Mode arranca con todo en "denied" y gtag.js no se descarga
+ * hasta que se acepta la categoría "analytics". Las elecciones se guardan
+ * por categoría en localStorage junto con la versión de la configuración.
+ * Con Global Privacy Control activo se asume rechazo sin preguntar.
+ *
+ *   consent.get()                  -> { analytics: false, ... } (o el valor de una categoría)
+ *   consent.set({ analytics: true })
+ *   consent.on("change", fn)       -> devuelve una función para desuscribirse
+ *
+ * Cada cambio también emite "consent-changed" en document (detail = elecciones).
+ */
+
+const listeners = { change: new Set() };
+let choices = null;
+let decided = false;
+let initialized = false;
+let gtagLoaded = false;
+
+function defaultChoices() {
+  return Object.fromEntries(consentConfig.categories.map((category) => [category.id, false]));
+}
+
+function readStored(storage) {
+  try {
+    const stored = JSON.parse(storage.getItem(consentConfig.storageKey));
+    if (!stored || stored.version !== consentConfig.version) return null;
+    return { ...defaultChoices(), ...stored.choices };
+  } catch {
+    return null;
+  }
+}
+
+function ensureGtag() {
+  window.dataLayer = window.dataLayer || [];
+  if (typeof window.gtag !== "function") {
+    window.gtag = function gtag() {
+      window.dataLayer.push(arguments);
+    };
+  }
+}
+
+// Estado de Consent Mode según las elecciones actuales
+function toConsentMode(current) {
+  const state = Object.fromEntries(consentConfig.consentModeKeys.map((key) => [key, "denied"]));
+
+  consentConfig.categories.forEach((category) => {
+    if (!current[category.id]) return;
+    category.consentMode.forEach((key) => {
+      state[key] = "granted";
+    });
+  });
+
+  return state;
+}
+
+function loadAnalytics() {
+  if (gtagLoaded || !consentConfig.measurementId) return;
+  gtagLoaded = true;
+
+  const script = document.createElement("script");
+  script.async = true;
+  script.src = `https://www.googletagmanager.com/gtag/js?id=${consentConfig.measurementId}`;
+  document.head.appendChild(script);
+
+  window.gtag("js", new Date());
+  window.gtag("config", consentConfig.measurementId);
+}
+
+// Las cookies de GA quedan aunque se retire el consentimiento
+function clearAnalyticsCookies() {
+  document.cookie.split(";").forEach((cookie) => {
+    const name = cookie.split("=")[0].trim();
+    if (!name.startsWith("_ga")) return;
+
+    const domains = ["", location.hostname, `.${location.hostname.split(".").slice(-2).join(".")}`];
+    domains.forEach((domain) => {
+      document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/${domain ? `; domain=${domain}` : ""}`;
+    });
+  });
+}
+
+function apply(previous) {
+  window.gtag("consent", "update", toConsentMode(choices));
+
+  if (choices.analytics) loadAnalytics();
+  else if (previous?.analytics) clearAnalyticsCookies();
+}
+
+function emit() {
+  const detail = get();
+  listeners.change.forEach((listener) => {
+    try {
+      listener(detail);
+    } catch (error) {
+      console.error("Error en un listener de consentimiento:", error);
+    }
+  });
+  document.dispatchEvent(new CustomEvent("consent-changed", { detail }));
+}
+
+function init({ storage = localStorage } = {}) {
+  if (initialized) return get();
+  initialized = true;
+
+  ensureGtag();
+  window.gtag("consent", "default", {
+    ...toConsentMode(defaultChoices()),
+    wait_for_update: 500,
+  });
+
+  const stored = readStored(storage);
+  if (stored) {
+    choices = stored;
+    decided = true;
+    apply(null);
+  } else if (navigator.globalPrivacyControl === true) {
+    // GPC cuenta como rechazo; el banner no se muestra solo
+    choices = defaultChoices();
+    decided = true;
+  } else {
+    choices = defaultChoices();
+  }
+
+  return get();
+}
+
+/**
+ * Devuelve una copia de las elecciones, o el valor de una categoría.
+ */
+function get(category) {
+  const current = choices || defaultChoices();
+  return category ? Boolean(current[category]) : { ...current };
+}
+
+function set(changes, { storage = localStorage } = {}) {
+  if (!initialized) init({ storage });
+
+  const previous = get();
+  const known = Object.fromEntries(
+    Object.entries(changes).filter(([id]) => id in previous).map(([id, value]) => [id, Boolean(value)])
+  );
+  choices = { ...previous, ...known };
+  decided = true;
+
+  storage.setItem(
+    consentConfig.storageKey,
+    JSON.stringify({ version: consentConfig.version, choices, updatedAt: new Date().toISOString() })
+  );
+
+  apply(previous);
+  emit();
+  return get();
+}
+
+function acceptAll(options) {
+  return set(Object.fromEntries(consentConfig.categories.map((category) => [category.id, true])), options);
+}
+
+function rejectAll(options) {
+  return set(defaultChoices(), options);
+}
+
+// true si ya hay una decisión guardada (o GPC); si no, hay que preguntar
+function hasDecided() {
+  return decided;
+}
+
+function on(type, listener) {
+  if (!listeners[type]) throw new Error(`Evento de consentimiento desconocido: ${type}`);
+  listeners[type].add(listener);
+  return () => off(type, listener);
+}
+
+function off(type, listener) {
+  listeners[type]?.delete(listener);
+}
+
+export const consent = {
+  init,
+  get,
+  set,
+  acceptAll,
+  rejectAll,
+  hasDecided,
+  on,
+  off,
+  categories: consentConfig.categories,
+};
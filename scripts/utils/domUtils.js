@@ -1,7 +1,9 @@
 /**
  * Utilidades para manipulación del DOM
  */
+// Acepta un selector o directamente el elemento (p. ej. el que montó el registro de componentes)
 export const findElement = (selector) => {
+  if (typeof selector !== "string") return selector;
   const element = document.querySelector(selector);
   if (!element) {
     console.warn(`Elemento no encontrado: ${selector}`);
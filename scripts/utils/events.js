@@ -0,0 +1,114 @@
+/**
+ * Eventos del sitio, leídos de scripts/data/events.json.
+ *
+ * Cada evento:
+ *   id           identificador único (también el UID del .ics)
+ *   title        { en, fr } título
+ *   summary      { en, fr } una línea de presentación
+ *   description  { en, fr } párrafos (array)
+ *   highlights   { en, fr } puntos destacados (array, opcional)
+ *   start/end    fechas ISO con desfase horario ("2026-06-14T10:00:00-06:00")
+ *   timeZone     zona IANA en la que se muestran las horas ("America/Edmonton")
+ *   location     { name, address, url? }; name y address aceptan { en, fr }
+ *   links        { tickets?, donate? }
+ */
+import { formatLocales } from "../data/locales.js";
+import { getFallbackChain } from "./i18nCore.js";
+import { loadJson } from "./fetchCache.js";
+
+export const eventsUrl = new URL("../data/events.json", import.meta.url).href;
+
+/**
+ * Devuelve la lista de eventos (una sola descarga por URL).
+ */
+export function loadEvents({ url = eventsUrl, fetchImpl } = {}) {
+  return loadJson(url, { fetchImpl }).then((data) => (data.events || []).map(normalizeEvent));
+}
+
+function normalizeEvent(event) {
+  return {
+    ...event,
+    startDate: new Date(event.start),
+    endDate: new Date(event.end || event.start),
+  };
+}
+
+export function findEvent(events, id) {
+  return events.find((event) => event.id === id) || null;
+}
+
+/**
+ * Texto en el idioma pedido, siguiendo la cadena de respaldo de i18n.
+ * Acepta un string (igual en todos los idiomas) o { en, fr }.
+ */
+export function localize(value, lang) {
+  if (value == null || typeof value !== "object" || Array.isArray(value)) return value ?? null;
+
+  const from = getFallbackChain(lang).find((l) => value[l] != null);
+  return from ? value[from] : Object.values(value)[0] ?? null;
+}
+
+/**
+ * Próximos (incluido el que está en curso), del más cercano al más lejano,
+ * y pasados, del más reciente al más antiguo.
+ */
+export function splitEvents(events, now = new Date()) {
+  const upcoming = events
+    .filter((event) => event.endDate >= now)
+    .sort((a, b) => a.startDate - b.startDate);
+  const past = events
+    .filter((event) => event.endDate < now)
+    .sort((a, b) => b.startDate - a.startDate);
+
+  return { upcoming, past };
+}
+
+export function isHappening(event, now = new Date()) {
+  return event.startDate <= now && now <= event.endDate;
+}
+
+/**
+ * "Sunday, June 14, 2026, 10:00 a.m. – 2:00 p.m. MDT", en la zona del evento.
+ */
+export function formatEventDate(event, lang) {
+  const format = new Intl.DateTimeFormat(formatLocales[lang] || lang, {
+    weekday: "long",
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    timeZone: event.timeZone,
+    timeZoneName: "short",
+  });
+
+  return event.endDate > event.startDate
+    ? format.formatRange(event.startDate, event.endDate)
+    : format.format(event.startDate);
+}
+
+export function formatLocation(event, lang) {
+  const { name, address } = event.location || {};
+  return [localize(name, lang), localize(address, lang)].filter(Boolean).join(", ");
+}
+
+/**
+ * Campos de un <template> de campaña que se completan con el evento en vez
+ * de las traducciones (ver popup.js y tools/i18n-check.js).
+ */
+export const eventTemplateFields = {
+  texts: {
+    title: (event, lang) => localize(event.title, lang),
+    tagline: (event, lang) => localize(event.summary, lang),
+    date_value: (event, lang) => formatEventDate(event, lang),
+    location_value: (event, lang) => formatLocation(event, lang),
+  },
+  lists: {
+    blurb: (event, lang) => localize(event.description, lang) || [],
+    highlights: (event, lang) => localize(event.highlights, lang) || [],
+  },
+  links: {
+    donate: (event) => event.links?.donate,
+    tickets: (event) => event.links?.tickets,
+  },
+};
@@ -0,0 +1,36 @@
+/**
+ * Archivos de datos del sitio (o de un endpoint), una sola descarga por URL.
+ *
+ * Ni este módulo ni los que lo usan (events.js, fundraising.js,
+ * statistics.js) tocan window ni localStorage: corren también en las
+ * herramientas de Node y en las pruebas, que pasan su propio `fetchImpl`.
+ */
+
+// Descargas ya hechas o en curso, por formato y URL
+const cache = new Map();
+
+function load(url, format, fetchImpl) {
+  const key = `${format} ${url}`;
+  if (!cache.has(key)) {
+    const request = fetchImpl(url)
+      .then((response) => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return format === "json" ? response.json() : response.text();
+      })
+      .catch((error) => {
+        // Un error no queda guardado: el próximo intento vuelve a pedirlo
+        cache.delete(key);
+        throw error;
+      });
+    cache.set(key, request);
+  }
+  return cache.get(key);
+}
+
+export function loadJson(url, { fetchImpl = globalThis.fetch } = {}) {
+  return load(url, "json", fetchImpl);
+}
+
+export function loadText(url, { fetchImpl = globalThis.fetch } = {}) {
+  return load(url, "text", fetchImpl);
+}
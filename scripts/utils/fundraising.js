@@ -0,0 +1,82 @@
+/**
+ * Avance de las campañas de donación, leído de scripts/data/fundraising.json
+ * o de un endpoint que responda lo mismo.
+ *
+ * Cada campaña:
+ *   id         identificador (data-campaign del componente)
+ *   currency   código ISO 4217 ("CAD" por defecto; uno mal escrito se ignora
+ *              y los montos se muestran sin moneda)
+ *   goal       meta; sin una meta mayor que 0 no se muestra nada
+ *   raised     monto recaudado
+ *   donors     cantidad de donantes (opcional)
+ *   deadline   fecha ISO de cierre (opcional)
+ *   updatedAt  fecha ISO de los últimos datos (opcional)
+ *
+ * Un endpoint puede responder { campaigns: [...] } o una sola campaña.
+ * Los montos quedan en null hasta que haya cifras publicadas.
+ */
+import { loadJson } from "./fetchCache.js";
+
+export const fundraisingUrl = new URL("../data/fundraising.json", import.meta.url).href;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const isAmount = (value) => typeof value === "number" && Number.isFinite(value) && value >= 0;
+
+// "CAD" si falta; null si Intl no lo acepta como moneda
+function toCurrency(value) {
+  if (value == null || value === "") return "CAD";
+  try {
+    return new Intl.NumberFormat("en", { style: "currency", currency: value }).resolvedOptions().currency;
+  } catch {
+    return null;
+  }
+}
+
+function toDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+}
+
+/**
+ * Datos crudos de la campaña `id`, o null si la respuesta no la trae.
+ */
+export function loadFundraising(id, { url = fundraisingUrl, fetchImpl } = {}) {
+  return loadJson(url, { fetchImpl }).then((data) => {
+    if (Array.isArray(data?.campaigns)) return data.campaigns.find((campaign) => campaign.id === id) || null;
+    // Endpoint de una sola campaña
+    return data && (data.id == null || data.id === id) ? data : null;
+  });
+}
+
+/**
+ * Valores listos para mostrar, o null si faltan la meta o el monto.
+ *
+ *   currency  código de la moneda, o null si el de los datos no es válido
+ *   ratio     recaudado / meta (puede pasar de 1)
+ *   daysLeft  días enteros hasta el cierre; 0 el último día, null sin fecha
+ *   ended     ya pasó la fecha de cierre
+ *   stale     los datos tienen más de `staleAfterDays` días
+ */
+export function getProgress(campaign, { now = new Date(), staleAfterDays = 7 } = {}) {
+  if (!campaign || !isAmount(campaign.goal) || campaign.goal === 0 || !isAmount(campaign.raised)) {
+    return null;
+  }
+
+  const deadline = toDate(campaign.deadline);
+  const updatedAt = toDate(campaign.updatedAt);
+  const remaining = deadline ? deadline - now : null;
+
+  return {
+    currency: toCurrency(campaign.currency),
+    goal: campaign.goal,
+    raised: campaign.raised,
+    donors: isAmount(campaign.donors) ? campaign.donors : null,
+    ratio: campaign.raised / campaign.goal,
+    deadline,
+    daysLeft: remaining === null || remaining < 0 ? null : Math.floor(remaining / DAY),
+    ended: remaining !== null && remaining < 0,
+    updatedAt,
+    stale: Boolean(updatedAt) && now - updatedAt > staleAfterDays * DAY,
+  };
+}
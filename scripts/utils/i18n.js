@@ -1,21 +1,90 @@
-import { translations } from "../data/locales.js";
+import { locales, defaultLanguage } from "../data/locales.js";
+import {
+  getFallbackChain,
+  resolveTranslation,
+  applyTranslations,
+} from "./i18nCore.js";
+import {
+  getLanguageFromUrl,
+  syncUrl,
+  updateLanguageMetadata,
+} from "./languageUrl.js";
 
-let currentLang =
-  localStorage.getItem("site-lang") || navigator.language.split("-")[0] || "en";
+export { getFallbackChain };
 
-if (!translations[currentLang]) currentLang = "en";
+// Traducciones ya descargadas, indexadas por idioma
+const cache = {};
+// Cargas en curso, para no pedir dos veces el mismo archivo
+const pending = {};
+// Cada llamada a setLanguage incrementa este contador; solo la última aplica
+let requestId = 0;
+
+// Prioridad: URL (/fr/ o ?lang=fr), preferencia guardada, idioma del navegador
+let currentLang = getFallbackChain(
+  getLanguageFromUrl() ||
+    localStorage.getItem("site-lang") ||
+    navigator.language ||
+    defaultLanguage
+)[0];
+
+// Claves que faltan o se resolvieron con un idioma de respaldo
+let report = createReport();
+
+export function loadLanguage(lang) {
+  if (!locales[lang]) {
+    return Promise.reject(new Error(`Idioma no disponible: ${lang}`));
+  }
+  if (cache[lang]) return Promise.resolve(cache[lang]);
+
+  if (!pending[lang]) {
+    pending[lang] = locales[lang]()
+      .then((module) => {
+        cache[lang] = module.default;
+        return cache[lang];
+      })
+      .finally(() => {
+        delete pending[lang];
+      });
+  }
+
+  return pending[lang];
+}
+
+export async function setLanguage(lang) {
+  if (!locales[lang]) return;
+
+  const id = ++requestId;
+
+  try {
+    await Promise.all(getFallbackChain(lang).map(loadLanguage));
+  } catch (error) {
+    console.error(`No se pudo cargar el idioma "${lang}":`, error);
+    return;
+  }
+
+  // Otro cambio de idioma empezó mientras se descargaba este
+  if (id !== requestId) return;
 
-export function setLanguage(lang) {
-  if (!translations[lang]) return;
-  
   console.log(`Setting language to: ${lang}`);
-  
+
   currentLang = lang;
   localStorage.setItem("site-lang", lang);
-  
-  updateDOM();
-  updateAttributes();
-  
+
+  report = createReport();
+
+  // Las páginas generadas por tools/prerender.js ya vienen traducidas:
+  // solo se omite la reescritura la primera vez y si el idioma coincide.
+  const root = document.documentElement;
+  const prerendered = root.getAttribute("data-i18n-prerendered");
+  root.removeAttribute("data-i18n-prerendered");
+
+  if (prerendered !== lang) {
+    applyTranslations(document, currentLang, translate);
+  }
+  syncUrl(lang);
+  updateLanguageMetadata(lang);
+  publishReport();
+
   document.dispatchEvent(
     new CustomEvent("language-changed", {
       detail: { lang: currentLang },
@@ -23,55 +92,94 @@ export function setLanguage(lang) {
   );
 }
 
-function updateDOM() {
-  const elements = document.querySelectorAll("[data-i18n]");
-  
-  elements.forEach((el) => {
-    const key = el.getAttribute("data-i18n");
-    const text = getNestedTranslation(translations[currentLang], key);
-    
-    if (text) {
-      if (el.hasAttribute("data-html")) {
-        el.innerHTML = text;
-      } else {
-        el.textContent = text;
-      }
-    }
-  });
+/**
+ * Traduce una clave con el idioma actual y su cadena de respaldo.
+ * Anota en el reporte las claves que faltan o que vienen de otro idioma.
+ */
+function translate(key, source, args = {}) {
+  const { value, from } = resolveTranslation(cache, currentLang, key, args);
+
+  if (value == null) {
+    addToReport(report.missing, { key, source });
+  } else if (from !== currentLang) {
+    addToReport(report.fallback, { key, source, from });
+  }
+
+  return value;
+}
+
+/**
+ * Traduce un elemento insertado después de la carga con el idioma actual.
+ * Si las traducciones aún no llegaron, language-changed lo traducirá luego.
+ */
+export function translateElement(root) {
+  if (!cache[currentLang]) return;
+  applyTranslations(root, currentLang, translate);
+}
+
+/**
+ * Traducción de una clave para uso desde scripts, p. ej. t("popup.date_label")
+ * o con argumentos: t(clave, { count: 12 }).
+ * Devuelve null si no existe en ningún idioma de la cadena.
+ */
+export function t(key, args) {
+  return translate(key, "script", args);
+}
+
+function createReport() {
+  return {
+    lang: currentLang,
+    chain: getFallbackChain(currentLang),
+    missing: [],
+    fallback: [],
+  };
+}
+
+function addToReport(list, entry) {
+  const exists = list.some(
+    (item) => item.key === entry.key && item.source === entry.source
+  );
+  if (!exists) list.push(entry);
+}
+
+// Modo desarrollo: localhost, ?i18n-debug en la URL o localStorage["i18n-debug"]
+function isDevMode() {
+  const { hostname, search } = window.location;
+  return (
+    hostname === "localhost" ||
+    hostname === "127.0.0.1" ||
+    new URLSearchParams(search).has("i18n-debug") ||
+    localStorage.getItem("i18n-debug") === "true"
+  );
 }
 
-function updateAttributes() {
-  document.documentElement.lang = currentLang;
-  
-  // Manejar atributos con el formato data-i18n-attr="placeholder:key"
-  const elementsWithAttrs = document.querySelectorAll("[data-i18n-attr]");
-  
-  elementsWithAttrs.forEach((el) => {
-    const attrString = el.getAttribute("data-i18n-attr");
-    
-    // Puede ser "placeholder:footer.name_placeholder" o "alt:about.img_alt"
-    const [attrName, key] = attrString.split(":");
-    
-    if (attrName && key) {
-      const text = getNestedTranslation(translations[currentLang], key);
-      
-      if (text) {
-        el.setAttribute(attrName, text);
-      }
-    }
-  });
+function publishReport() {
+  if (!isDevMode()) return;
+
+  window.__i18nReport = report;
+
+  if (report.missing.length === 0 && report.fallback.length === 0) return;
+
+  console.groupCollapsed(
+    `i18n [${report.lang}]: ${report.missing.length} faltantes, ${report.fallback.length} con respaldo`
+  );
+  if (report.missing.length) console.table(report.missing);
+  if (report.fallback.length) console.table(report.fallback);
+  console.groupEnd();
 }
 
-function getNestedTranslation(obj, path) {
-  return path
-    .split(".")
-    .reduce((prev, curr) => (prev ? prev[curr] : null), obj);
+export function getI18nReport() {
+  return report;
 }
 
 export function initI18n() {
-  setLanguage(currentLang);
+  return setLanguage(currentLang);
+}
+
+export function getCurrentLanguage() {
+  return currentLang;
 }
 
 export function getCurrentTranslation() {
-  return translations[currentLang];
-}
\ No newline at end of file
+  return cache[currentLang] || {};
+}
@@ -0,0 +1,112 @@
+/**
+ * Lógica de traducción sin estado, compartida entre el navegador (i18n.js)
+ * y las herramientas de Node (tools/prerender.js).
+ * No toca window, localStorage ni la URL.
+ */
+import {
+  locales,
+  defaultLanguage,
+  fallbacks,
+  formatLocales,
+} from "../data/locales.js";
+import { formatMessage } from "./messageFormat.js";
+
+/**
+ * Devuelve los idiomas (registrados) en los que se busca una clave,
+ * en orden: el pedido, sus respaldos explícitos, sus subetiquetas
+ * ("fr-CA" -> "fr") y por último defaultLanguage.
+ */
+export function getFallbackChain(lang) {
+  const chain = [lang, ...(fallbacks[lang] || [])];
+
+  const parts = lang.split("-");
+  while (parts.length > 1) {
+    parts.pop();
+    chain.push(parts.join("-"));
+  }
+
+  chain.push(defaultLanguage);
+
+  return [...new Set(chain)].filter((l) => locales[l]);
+}
+
+export function getNestedTranslation(obj, path) {
+  return path
+    .split(".")
+    .reduce((prev, curr) => (prev ? prev[curr] : null), obj);
+}
+
+/**
+ * Busca la clave recorriendo la cadena de respaldo de `lang` en `tables`
+ * (traducciones indexadas por idioma). Los textos se formatean con los
+ * argumentos en el idioma del que salieron.
+ * Devuelve { value, from }; value es null si la clave no existe.
+ */
+export function resolveTranslation(tables, lang, key, args = {}) {
+  for (const from of getFallbackChain(lang)) {
+    const value = getNestedTranslation(tables[from], key);
+    if (value == null) continue;
+
+    return { value: formatMessage(value, args, formatLocales[from] || from), from };
+  }
+
+  return { value: null, from: null };
+}
+
+// Argumentos declarados en el elemento: data-i18n-args='{"count": 3}'
+export function getElementArgs(el) {
+  const json = el.getAttribute("data-i18n-args");
+  if (!json) return {};
+
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    console.warn("data-i18n-args no es un JSON válido:", el, error);
+    return {};
+  }
+}
+
+// Como querySelectorAll, pero incluye a `root` si también coincide
+function queryAll(root, selector) {
+  const matches = [...root.querySelectorAll(selector)];
+  if (root.matches?.(selector)) matches.unshift(root);
+  return matches;
+}
+
+/**
+ * Aplica data-i18n y data-i18n-attr sobre un documento o un elemento
+ * (p. ej. contenido insertado después de la carga).
+ * `translate(key, source, args)` devuelve el texto o null.
+ */
+export function applyTranslations(root, lang, translate) {
+  queryAll(root, "[data-i18n]").forEach((el) => {
+    const key = el.getAttribute("data-i18n");
+    const text = translate(key, "data-i18n", getElementArgs(el));
+
+    if (text) {
+      if (el.hasAttribute("data-html")) {
+        el.innerHTML = text;
+      } else {
+        el.textContent = text;
+      }
+    }
+  });
+
+  if (root.documentElement) root.documentElement.lang = lang;
+
+  // Manejar atributos con el formato data-i18n-attr="placeholder:key"
+  queryAll(root, "[data-i18n-attr]").forEach((el) => {
+    const attrString = el.getAttribute("data-i18n-attr");
+
+    // Puede ser "placeholder:footer.name_placeholder" o "alt:about.img_alt"
+    const [attrName, key] = attrString.split(":");
+
+    if (attrName && key) {
+      const text = translate(key, "data-i18n-attr", getElementArgs(el));
+
+      if (text) {
+        el.setAttribute(attrName, text);
+      }
+    }
+  });
+}
@@ -0,0 +1,128 @@
+import { locales, defaultLanguage, formatLocales } from "../data/locales.js";
+
+/**
+ * Idioma en la URL, como prefijo de ruta (/fr/...) o parámetro (?lang=fr).
+ * Si la página se abrió con prefijo se sigue usando prefijo; si no, parámetro.
+ */
+const urlStrategy = getPathLanguage(window.location.pathname) ? "path" : "query";
+
+function getPathLanguage(pathname) {
+  const [first] = pathname.split("/").filter(Boolean);
+  if (!first) return null;
+
+  const lang = Object.keys(locales).find(
+    (l) => l.toLowerCase() === first.toLowerCase()
+  );
+  return lang || null;
+}
+
+export function getLanguageFromUrl(url = window.location.href) {
+  const { pathname, searchParams } = new URL(url, window.location.href);
+
+  const fromPath = getPathLanguage(pathname);
+  if (fromPath) return fromPath;
+
+  const fromQuery = searchParams.get("lang");
+  if (!fromQuery) return null;
+
+  return (
+    Object.keys(locales).find((l) => l.toLowerCase() === fromQuery.toLowerCase()) ||
+    null
+  );
+}
+
+export function buildLanguageUrl(lang, url = window.location.href) {
+  const result = new URL(url, window.location.href);
+
+  if (urlStrategy === "path") {
+    const segments = result.pathname.split("/");
+    // segments[0] es "" porque la ruta empieza con "/"
+    if (getPathLanguage(result.pathname)) {
+      segments[1] = lang;
+    } else {
+      segments.splice(1, 0, lang);
+    }
+    result.pathname = segments.join("/");
+    result.searchParams.delete("lang");
+  } else if (lang === defaultLanguage) {
+    result.searchParams.delete("lang");
+  } else {
+    result.searchParams.set("lang", lang);
+  }
+
+  return result.href;
+}
+
+// Refleja el idioma en la barra de direcciones sin agregar entradas al historial
+export function syncUrl(lang) {
+  const url = buildLanguageUrl(lang);
+  if (url !== window.location.href) {
+    history.replaceState(history.state, "", url);
+  }
+}
+
+function upsertHeadElement(selector, tagName, attributes) {
+  let el = document.head.querySelector(selector);
+  if (!el) {
+    el = document.createElement(tagName);
+    document.head.appendChild(el);
+  }
+  Object.entries(attributes).forEach(([name, value]) => el.setAttribute(name, value));
+  return el;
+}
+
+function toOgLocale(lang) {
+  return (formatLocales[lang] || lang).replace("-", "_");
+}
+
+/**
+ * Actualiza canonical, <link rel="alternate" hreflang>, og:url y og:locale
+ * para que buscadores y vistas previas conozcan cada versión del sitio.
+ */
+export function updateLanguageMetadata(lang) {
+  if (!document.head) return;
+
+  // La URL canónica no lleva hash
+  const withoutHash = (href) => href.split("#")[0];
+  const canonical = withoutHash(buildLanguageUrl(lang));
+
+  upsertHeadElement('link[rel="canonical"]', "link", {
+    rel: "canonical",
+    href: canonical,
+  });
+
+  document.head
+    .querySelectorAll('link[rel="alternate"][hreflang]')
+    .forEach((link) => link.remove());
+
+  [...Object.keys(locales), "x-default"].forEach((hreflang) => {
+    const target = hreflang === "x-default" ? defaultLanguage : hreflang;
+    const link = document.createElement("link");
+    link.rel = "alternate";
+    link.hreflang = hreflang;
+    link.href = withoutHash(buildLanguageUrl(target));
+    document.head.appendChild(link);
+  });
+
+  upsertHeadElement('meta[property="og:url"]', "meta", {
+    property: "og:url",
+    content: canonical,
+  });
+  upsertHeadElement('meta[property="og:locale"]', "meta", {
+    property: "og:locale",
+    content: toOgLocale(lang),
+  });
+
+  document.head
+    .querySelectorAll('meta[property="og:locale:alternate"]')
+    .forEach((meta) => meta.remove());
+
+  Object.keys(locales)
+    .filter((l) => l !== lang)
+    .forEach((l) => {
+      const meta = document.createElement("meta");
+      meta.setAttribute("property", "og:locale:alternate");
+      meta.setAttribute("content", toOgLocale(l));
+      document.head.appendChild(meta);
+    });
+}
@@ -0,0 +1,209 @@
+/**
+ * Formato de mensajes estilo ICU para las traducciones.
+ *
+ * Sintaxis soportada:
+ *   {name}                               -> valor tal cual
+ *   {n, number} / {n, number, percent}   -> Intl.NumberFormat
+ *   {amount, currency, CAD}              -> moneda (CAD por defecto)
+ *   {start, date, full|long|medium|short}
+ *   {start, time, full|long|medium|short}
+ *   {count, plural, =0 {...} one {# item} other {# items}}
+ *   {role, select, police {...} other {...}}
+ *
+ * Las fechas aceptan Date, timestamp o string ISO. Si los argumentos traen
+ * "timeZone", se usa para todas las fechas y horas del mensaje. Lo que Intl
+ * no puede formatear (fecha inválida, moneda desconocida) queda tal cual.
+ */
+
+const parsedCache = new Map();
+
+export function formatMessage(message, args = {}, locale = "en") {
+  if (typeof message !== "string" || !message.includes("{")) return message;
+
+  let parts = parsedCache.get(message);
+  if (!parts) {
+    try {
+      parts = parse(message);
+    } catch (error) {
+      console.warn(`Mensaje mal formado: "${message}"`, error);
+      return message;
+    }
+    parsedCache.set(message, parts);
+  }
+
+  return formatParts(parts, args, locale);
+}
+
+// --- Parser ---
+
+function parse(message) {
+  let pos = 0;
+
+  function readUntil(stopChars) {
+    const start = pos;
+    while (pos < message.length && !stopChars.includes(message[pos])) pos++;
+    return message.slice(start, pos);
+  }
+
+  function skipSpaces() {
+    while (/\s/.test(message[pos])) pos++;
+  }
+
+  function expect(char) {
+    if (message[pos] !== char) {
+      throw new SyntaxError(`Se esperaba "${char}" en la posición ${pos}`);
+    }
+    pos++;
+  }
+
+  function parseParts(inPlural, nested) {
+    const parts = [];
+    let text = "";
+
+    while (pos < message.length) {
+      const char = message[pos];
+
+      if (char === "{") {
+        if (text) parts.push(text);
+        text = "";
+        pos++;
+        parts.push(parseArgument(inPlural));
+      } else if (char === "}") {
+        if (!nested) throw new SyntaxError(`"}" inesperado en la posición ${pos}`);
+        break;
+      } else if (char === "#" && inPlural) {
+        if (text) parts.push(text);
+        text = "";
+        parts.push({ type: "#" });
+        pos++;
+      } else {
+        text += char;
+        pos++;
+      }
+    }
+
+    if (text) parts.push(text);
+    return parts;
+  }
+
+  function parseArgument(inPlural) {
+    const name = readUntil(",}").trim();
+    if (message[pos] === "}") {
+      pos++;
+      return { name };
+    }
+    expect(",");
+
+    const type = readUntil(",}").trim();
+    if (message[pos] === "}") {
+      pos++;
+      return { name, type };
+    }
+    expect(",");
+
+    if (type === "plural" || type === "select") {
+      const options = {};
+      skipSpaces();
+      while (message[pos] !== "}") {
+        if (pos >= message.length) throw new SyntaxError("Falta cerrar \"}\"");
+        const key = readUntil(" \t\n{").trim();
+        skipSpaces();
+        expect("{");
+        options[key] = parseParts(type === "plural" || inPlural, true);
+        expect("}");
+        skipSpaces();
+      }
+      pos++;
+      return { name, type, options };
+    }
+
+    const style = readUntil("}").trim();
+    expect("}");
+    return { name, type, style };
+  }
+
+  return parseParts(false, false);
+}
+
+// --- Formato ---
+
+const numberStyles = {
+  integer: { maximumFractionDigits: 0 },
+  percent: { style: "percent" },
+};
+
+function toDate(value) {
+  return value instanceof Date ? value : new Date(value);
+}
+
+// Una fecha inválida, un timeZone o una moneda desconocidos hacen que Intl
+// lance RangeError: se avisa y se muestra el valor tal cual
+function formatIntl(part, value, args, locale) {
+  try {
+    switch (part.type) {
+      case "number":
+        return new Intl.NumberFormat(locale, numberStyles[part.style]).format(value);
+      case "currency":
+        return new Intl.NumberFormat(locale, {
+          style: "currency",
+          currency: part.style || "CAD",
+        }).format(value);
+      case "date":
+        return new Intl.DateTimeFormat(locale, {
+          dateStyle: part.style || "medium",
+          timeZone: args.timeZone,
+        }).format(toDate(value));
+      default:
+        return new Intl.DateTimeFormat(locale, {
+          timeStyle: part.style || "short",
+          timeZone: args.timeZone,
+        }).format(toDate(value));
+    }
+  } catch (error) {
+    console.warn(`No se pudo formatear "${part.name}" como ${part.type}:`, error);
+    return String(value);
+  }
+}
+
+function formatParts(parts, args, locale, pluralValue) {
+  return parts
+    .map((part) => {
+      if (typeof part === "string") return part;
+
+      if (part.type === "#") {
+        return new Intl.NumberFormat(locale).format(pluralValue);
+      }
+
+      const value = args[part.name];
+      if (value === undefined || value === null) return `{${part.name}}`;
+
+      switch (part.type) {
+        case undefined:
+          return String(value);
+
+        case "number":
+        case "currency":
+        case "date":
+        case "time":
+          return formatIntl(part, value, args, locale);
+
+        case "plural": {
+          const count = Number(value);
+          const category = new Intl.PluralRules(locale).select(count);
+          const option =
+            part.options[`=${count}`] || part.options[category] || part.options.other;
+          return option ? formatParts(option, args, locale, count) : "";
+        }
+
+        case "select": {
+          const option = part.options[value] || part.options.other;
+          return option ? formatParts(option, args, locale, pluralValue) : "";
+        }
+
+        default:
+          console.warn(`Tipo de argumento desconocido: "${part.type}"`);
+          return String(value);
+      }
+    })
+    .join("");
+}
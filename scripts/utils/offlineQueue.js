@@ -0,0 +1,190 @@
+const DAY = 24 * 60 * 60 * 1000;
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Cola de envíos pendientes guardada en IndexedDB, para no perder un
+ * mensaje cuando falla la conexión.
+ *
+ * `send(payload)` hace el envío real y debe rechazar con un error; si el
+ * error trae `retryable: true` (sin conexión, 408, 429, 5xx) se deja de
+ * intentar con el resto hasta el próximo flush(), y si además trae
+ * `retryAfter` (ms) ese mensaje no se reintenta antes. Cualquier otro error
+ * (4xx) es un rechazo definitivo: el mensaje se borra en lugar de
+ * reenviarse siempre. Si borrar un mensaje ya enviado o rechazado falla, el
+ * resultado cuenta igual y en esta visita no se reenvía.
+ *
+ * Los mensajes pueden tener información sensible y se guardan sin cifrar
+ * (tienen que sobrevivir a la visita para reenviarse en la próxima), así
+ * que solo quedan en este dispositivo y se borran al enviarse, al
+ * cancelarlos o al pasar `ttl`. Los vencidos se borran al abrir la cola y
+ * antes de cada flush() o list(): sin una visita nada corre, así que uno
+ * vencido puede quedar hasta que se vuelva a abrir cualquier página con la cola.
+ */
+export function offlineQueue({
+  dbName = "flare-offline",
+  storeName = "outbox",
+  ttl = 3 * DAY,
+  send,
+  onChange = null,
+} = {}) {
+  let dbPromise = null;
+  let flushing = null;
+  // Ids ya enviados o rechazados que no se pudieron borrar: no se reenvían
+  const settled = new Set();
+
+  function isSupported() {
+    return typeof indexedDB !== "undefined";
+  }
+
+  function openDb() {
+    if (!isSupported()) return Promise.reject(new Error("IndexedDB no está disponible"));
+
+    if (!dbPromise) {
+      const request = indexedDB.open(dbName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(storeName, { keyPath: "id", autoIncrement: true });
+      };
+      dbPromise = promisify(request)
+        .then(async (db) => {
+          // Lo vencido no espera a que alguien liste la cola
+          if ((await removeExpired(db, Date.now())) > 0) notify();
+          return db;
+        })
+        .catch((error) => {
+          dbPromise = null;
+          throw error;
+        });
+    }
+    return dbPromise;
+  }
+
+  // Ejecuta `fn(store)` en una transacción y espera a que se confirme
+  async function inStore(db, mode, fn) {
+    const tx = db.transaction(storeName, mode);
+    const done = transactionDone(tx);
+    const result = await fn(tx.objectStore(storeName));
+    await done;
+    return result;
+  }
+
+  async function withStore(mode, fn) {
+    return inStore(await openDb(), mode, fn);
+  }
+
+  async function removeExpired(db, now) {
+    const items = await inStore(db, "readonly", (store) => promisify(store.getAll()));
+    const expired = items.filter((item) => item.expiresAt <= now);
+    if (expired.length === 0) return 0;
+
+    await inStore(db, "readwrite", (store) => {
+      expired.forEach((item) => store.delete(item.id));
+    });
+    return expired.length;
+  }
+
+  function notify() {
+    onChange?.();
+  }
+
+  // --- API ---
+
+  // retryAfter: ms que pidió esperar el servidor (Retry-After)
+  async function add(payload, { retryAfter = 0 } = {}) {
+    const now = Date.now();
+    const id = await withStore("readwrite", (store) =>
+      promisify(store.add({ payload, createdAt: now, expiresAt: now + ttl, retryAt: now + retryAfter, attempts: 0 }))
+    );
+    notify();
+    return id;
+  }
+
+  async function purgeExpired(now = Date.now()) {
+    const count = await removeExpired(await openDb(), now);
+    if (count > 0) notify();
+    return count;
+  }
+
+  async function list() {
+    await purgeExpired();
+    const items = await withStore("readonly", (store) => promisify(store.getAll()));
+    return items.filter((item) => !settled.has(item.id)).sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  async function remove(id) {
+    await withStore("readwrite", (store) => promisify(store.delete(id)));
+    notify();
+  }
+
+  async function update(item) {
+    await withStore("readwrite", (store) => promisify(store.put(item)));
+  }
+
+  // Borra un mensaje cuyo envío ya se resolvió. Si IndexedDB falla no cambia
+  // el resultado del envío: queda anotado y se vuelve a intentar el borrado
+  async function forget(id) {
+    try {
+      await withStore("readwrite", (store) => promisify(store.delete(id)));
+      settled.delete(id);
+    } catch (error) {
+      settled.add(id);
+      console.warn("No se pudo borrar de la cola un mensaje ya resuelto:", error);
+    }
+  }
+
+  // Reintenta en orden, sin lo vencido; devuelve { sent, rejected } con
+  // cuántos se enviaron y cuántos rechazó el servidor (ya borrados)
+  function flush() {
+    if (flushing) return flushing;
+
+    flushing = (async () => {
+      let sent = 0;
+      let rejected = 0;
+
+      for (const id of [...settled]) await forget(id);
+
+      for (const item of await list()) {
+        // Se respeta el orden: nada sale antes que uno que todavía debe esperar
+        if (item.retryAt > Date.now()) break;
+        try {
+          await send(item.payload);
+          sent++;
+        } catch (error) {
+          if (error.retryable) {
+            await update({
+              ...item,
+              attempts: item.attempts + 1,
+              lastError: String(error.message || error),
+              retryAt: Date.now() + (error.retryAfter || 0),
+            }).catch((storeError) => console.warn("No se pudo anotar el intento fallido:", storeError));
+            break;
+          }
+          rejected++;
+        }
+        await forget(item.id);
+      }
+
+      if (sent > 0 || rejected > 0) notify();
+      return { sent, rejected };
+    })().finally(() => {
+      flushing = null;
+    });
+
+    return flushing;
+  }
+
+  return { isSupported, add, list, remove, purgeExpired, flush };
+}
@@ -0,0 +1,171 @@
+/**
+ * Estadísticas agregadas de suicidio en personal de primera respuesta,
+ * leídas de scripts/data/statistics.csv o de un JSON con { records: [...] }.
+ *
+ * Cada fila es un conteo ya agregado:
+ *   year,province,sector,count
+ *   2024,AB,police,12
+ *
+ *   province  código de la provincia o territorio (ver PROVINCES)
+ *   sector    ver SECTORS
+ *
+ * Supresión de celdas pequeñas: cada fila con un conteo menor que el umbral
+ * se suprime al cargar (suppressRecords) y su valor no entra en ninguna
+ * suma. Cualquier cifra en pantalla (gráficos, tablas, textos alternativos),
+ * y por lo tanto la diferencia entre dos filtros, sale solo de filas
+ * visibles. Una suma que deja afuera filas suprimidas se marca `partial`: el
+ * valor real puede ser mayor. El archivo en sí es público: se publica ya
+ * agregado y la supresión protege lo que muestra el sitio, no el archivo.
+ */
+import { loadJson, loadText } from "./fetchCache.js";
+
+export const statisticsUrl = new URL("../data/statistics.csv", import.meta.url).href;
+
+export const SECTORS = ["police", "fire", "ems", "corrections", "dispatch"];
+
+// De este a oeste y luego los territorios, como en Statistique Canada
+export const PROVINCES = ["NL", "PE", "NS", "NB", "QC", "ON", "MB", "SK", "AB", "BC", "YT", "NT", "NU"];
+
+// El umbral se puede subir, nunca bajar
+export const MIN_THRESHOLD = 5;
+
+export function resolveThreshold(threshold) {
+  return Math.max(Math.floor(Number(threshold)) || MIN_THRESHOLD, MIN_THRESHOLD);
+}
+
+// --- Lectura ---
+
+// CSV con encabezado (RFC 4180: comillas dobles, "" dentro de un campo)
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...data] = rows.filter((r) => r.some((value) => value.trim() !== ""));
+  const keys = header.map((key) => key.trim().toLowerCase());
+  return data.map((values) => Object.fromEntries(keys.map((key, i) => [key, (values[i] ?? "").trim()])));
+}
+
+// Number("") es 0: una celda vacía no cuenta como número
+const toNumber = (value) => (String(value ?? "").trim() === "" ? NaN : Number(value));
+
+// Descarta las filas incompletas o con valores desconocidos
+export function normalizeRecords(rows) {
+  return rows
+    .map((row) => ({
+      year: toNumber(row.year),
+      province: String(row.province ?? "").trim().toUpperCase(),
+      sector: String(row.sector ?? "").trim().toLowerCase(),
+      count: toNumber(row.count),
+    }))
+    .filter(
+      (record) =>
+        Number.isInteger(record.year) &&
+        PROVINCES.includes(record.province) &&
+        SECTORS.includes(record.sector) &&
+        Number.isInteger(record.count) &&
+        record.count >= 0
+    );
+}
+
+/**
+ * Registros normalizados; el formato sale de la extensión (.json o .csv).
+ */
+export function loadStatistics({ url = statisticsUrl, fetchImpl } = {}) {
+  const isJson = new URL(url, "https://localhost/").pathname.endsWith(".json");
+  const rows = isJson
+    ? loadJson(url, { fetchImpl }).then((data) => (Array.isArray(data) ? data : data.records || []))
+    : loadText(url, { fetchImpl }).then(parseCsv);
+
+  return rows.then(normalizeRecords);
+}
+
+// --- Consultas ---
+
+// [2019, 2020, ..., 2024]; vacío sin registros
+export function getYears(records) {
+  if (records.length === 0) return [];
+  const years = records.map((record) => record.year);
+  const first = Math.min(...years);
+  const last = Math.max(...years);
+  return Array.from({ length: last - first + 1 }, (_, i) => first + i);
+}
+
+/**
+ * filters: { from, to, sectors, provinces }; null o vacío = sin filtro.
+ */
+export function filterRecords(records, { from = null, to = null, sectors = null, provinces = null } = {}) {
+  return records.filter(
+    (record) =>
+      (from === null || record.year >= from) &&
+      (to === null || record.year <= to) &&
+      (!sectors?.length || sectors.includes(record.sector)) &&
+      (!provinces?.length || provinces.includes(record.province))
+  );
+}
+
+/**
+ * Suprime cada fila con un conteo menor que `threshold` (los ceros también):
+ * queda con count en null y suppressed: true, antes de cualquier suma.
+ */
+export function suppressRecords(records, threshold = MIN_THRESHOLD) {
+  const limit = resolveThreshold(threshold);
+  return records.map((record) =>
+    record.count < limit ? { ...record, count: null, suppressed: true } : { ...record, suppressed: false }
+  );
+}
+
+// Suma de las filas visibles; partial si quedó afuera alguna suprimida.
+// Sin filas visibles (suma 0) no hay nada que mostrar.
+function aggregate(records) {
+  const count = records.reduce((sum, record) => sum + (record.suppressed ? 0 : record.count), 0);
+  const partial = records.some((record) => record.suppressed);
+  return count === 0 ? { count: null, suppressed: true, partial: false } : { count, suppressed: false, partial };
+}
+
+/**
+ * Conteos por `by` ("year" | "sector" | "province") para cada clave de
+ * `keys`, en ese orden:
+ *   { cells: [{ key, count, suppressed, partial }], total: { count, suppressed, partial } }
+ * Las filas pasan por suppressRecords antes de sumarse (si ya pasaron, no cambian).
+ */
+export function summarize(records, by, keys, { threshold = MIN_THRESHOLD } = {}) {
+  const selected = suppressRecords(records, threshold).filter((record) => keys.includes(record[by]));
+  return {
+    cells: keys.map((key) => ({ key, ...aggregate(selected.filter((record) => record[by] === key)) })),
+    total: aggregate(selected),
+  };
+}
@@ -0,0 +1,158 @@
+import { describe, test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { setupDom } from "./helpers/dom.js";
+
+setupDom();
+
+const {
+  registerComponent,
+  mountComponents,
+  unmountComponents,
+  getComponent,
+  getComponentOptions,
+  startComponents,
+  stopComponents,
+} = await import("../scripts/utils/components.js");
+
+// Componente de prueba que anota cada montaje y desmontaje
+function fakeComponent(log, name) {
+  return (el, options) => {
+    log.push(["mount", name, options]);
+    return { el, options, destroy: () => log.push(["destroy", name]) };
+  };
+}
+
+const languageChanged = () =>
+  document.dispatchEvent(new CustomEvent("language-changed", { detail: { lang: "fr" } }));
+
+describe("registro de componentes", () => {
+  let log;
+
+  beforeEach(() => {
+    log = [];
+    document.body.innerHTML = "";
+  });
+
+  afterEach(() => {
+    stopComponents();
+  });
+
+  test("convierte los data-* en opciones: booleanos, números y JSON", () => {
+    document.body.innerHTML = `<span data-component="x" data-typing-speed="80" data-loop="false"
+      data-words='["a","b"]' data-label="hola" data-empty="" data-broken="{nope"></span>`;
+
+    assert.deepEqual(getComponentOptions(document.querySelector("span")), {
+      typingSpeed: 80,
+      loop: false,
+      words: ["a", "b"],
+      label: "hola",
+      empty: "",
+      broken: "{nope",
+    });
+  });
+
+  test("monta cada nombre de data-component una sola vez por elemento", () => {
+    registerComponent("alpha", fakeComponent(log, "alpha"));
+    registerComponent("beta", fakeComponent(log, "beta"));
+    document.body.innerHTML = `<div id="both" data-component="alpha  beta" data-speed="2"></div>`;
+    const el = document.getElementById("both");
+
+    mountComponents();
+    mountComponents();
+
+    assert.deepEqual(log, [
+      ["mount", "alpha", { speed: 2 }],
+      ["mount", "beta", { speed: 2 }],
+    ]);
+    assert.equal(getComponent(el, "alpha").el, el);
+    assert.equal(getComponent(el, "gamma"), null);
+  });
+
+  test("unmountComponents desmonta solo lo que está dentro de root, root incluido", () => {
+    registerComponent("alpha", fakeComponent(log, "alpha"));
+    document.body.innerHTML = `
+      <section id="a" data-component="alpha"><p id="inner" data-component="alpha"></p></section>
+      <section id="b" data-component="alpha"></section>`;
+    mountComponents();
+    log.length = 0;
+
+    unmountComponents(document.getElementById("a"));
+
+    assert.deepEqual(log, [
+      ["destroy", "alpha"],
+      ["destroy", "alpha"],
+    ]);
+    assert.equal(getComponent(document.getElementById("inner"), "alpha"), null);
+    assert.ok(getComponent(document.getElementById("b"), "alpha"));
+  });
+
+  test("acepta instancias con stop() y montajes que devuelven null", () => {
+    let stopped = 0;
+    registerComponent("legacy", () => ({ stop: () => stopped++ }));
+    registerComponent("nothing", () => null);
+    document.body.innerHTML = `<div data-component="legacy nothing"></div>`;
+    const el = document.querySelector("div");
+
+    mountComponents();
+    assert.equal(getComponent(el, "nothing"), null);
+
+    unmountComponents();
+    assert.equal(stopped, 1);
+  });
+
+  test("un componente desconocido o que falla no impide montar los demás", (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    const error = t.mock.method(console, "error", () => {});
+    registerComponent("broken", () => {
+      throw new Error("boom");
+    });
+    registerComponent("alpha", fakeComponent(log, "alpha"));
+    document.body.innerHTML = `<div data-component="missing broken alpha"></div>`;
+
+    mountComponents();
+
+    assert.equal(warn.mock.callCount(), 1);
+    assert.equal(error.mock.callCount(), 1);
+    assert.deepEqual(log, [["mount", "alpha", {}]]);
+  });
+
+  test("los componentes localized esperan al idioma y se vuelven a montar con cada cambio", () => {
+    registerComponent("plain", fakeComponent(log, "plain"));
+    registerComponent("text", fakeComponent(log, "text"), { localized: true });
+    document.body.innerHTML = `<div data-component="plain text"></div>`;
+
+    startComponents();
+    assert.deepEqual(log, [["mount", "plain", {}]]);
+
+    languageChanged();
+    languageChanged();
+    assert.deepEqual(log.slice(1), [
+      ["mount", "text", {}],
+      ["destroy", "text"],
+      ["mount", "text", {}],
+    ]);
+  });
+
+  test("pagehide sin bfcache desmonta todo y deja de escuchar el idioma", () => {
+    registerComponent("plain", fakeComponent(log, "plain"));
+    registerComponent("text", fakeComponent(log, "text"), { localized: true });
+    document.body.innerHTML = `<div data-component="plain text"></div>`;
+    startComponents();
+    languageChanged();
+
+    const persisted = new window.Event("pagehide");
+    persisted.persisted = true;
+    window.dispatchEvent(persisted);
+    assert.equal(log.filter(([action]) => action === "destroy").length, 0);
+
+    window.dispatchEvent(new window.Event("pagehide"));
+    assert.deepEqual(
+      log.filter(([action]) => action === "destroy").map(([, name]) => name),
+      ["plain", "text"]
+    );
+
+    log.length = 0;
+    languageChanged();
+    assert.deepEqual(log, []);
+  });
+});
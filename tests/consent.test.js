@@ -0,0 +1,137 @@
+import { describe, test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { setupDom } from "./helpers/dom.js";
+
+setupDom();
+
+const { consentConfig } = await import("../scripts/data/consent.js");
+
+let copies = 0;
+// consent.js guarda su estado en el módulo: una copia nueva por prueba
+async function freshConsent() {
+  const { consent } = await import(`../scripts/utils/consent.js?${++copies}`);
+  return consent;
+}
+
+const gtagCalls = (command) =>
+  window.dataLayer.map((args) => Array.from(args)).filter(([name]) => name === command);
+const gtagScript = () => document.head.querySelector('script[src^="https://www.googletagmanager.com/gtag/js"]');
+const store = (choices, version = consentConfig.version) =>
+  localStorage.setItem(consentConfig.storageKey, JSON.stringify({ version, choices }));
+
+describe("consent", () => {
+  beforeEach(() => {
+    localStorage.clear();
+    document.head.replaceChildren();
+    delete window.dataLayer;
+    delete window.gtag;
+    delete navigator.globalPrivacyControl;
+  });
+
+  test("arranca con Consent Mode en denied, sin decisión y sin cargar gtag.js", async () => {
+    const consent = await freshConsent();
+
+    assert.deepEqual(consent.init(), { analytics: false });
+    assert.equal(consent.hasDecided(), false);
+    assert.deepEqual(gtagCalls("consent"), [
+      [
+        "consent",
+        "default",
+        {
+          analytics_storage: "denied",
+          ad_storage: "denied",
+          ad_user_data: "denied",
+          ad_personalization: "denied",
+          wait_for_update: 500,
+        },
+      ],
+    ]);
+    assert.equal(gtagScript(), null);
+  });
+
+  test("aceptar guarda la elección, habilita solo analítica y carga gtag.js una vez", async () => {
+    const consent = await freshConsent();
+    consent.init();
+    const changes = [];
+    consent.on("change", (detail) => changes.push(detail));
+    const events = [];
+    document.addEventListener("consent-changed", (e) => events.push(e.detail), { once: true });
+
+    consent.set({ analytics: true, marketing: true });
+    consent.acceptAll();
+
+    assert.deepEqual(JSON.parse(localStorage.getItem(consentConfig.storageKey)).choices, { analytics: true });
+    assert.deepEqual(gtagCalls("consent").at(-1)[2], {
+      analytics_storage: "granted",
+      ad_storage: "denied",
+      ad_user_data: "denied",
+      ad_personalization: "denied",
+    });
+    assert.ok(gtagScript().src.endsWith(`?id=${consentConfig.measurementId}`));
+    assert.equal(document.head.querySelectorAll("script").length, 1);
+    assert.deepEqual(gtagCalls("config"), [["config", consentConfig.measurementId]]);
+    assert.deepEqual(changes, [{ analytics: true }, { analytics: true }]);
+    assert.deepEqual(events, [{ analytics: true }]);
+    assert.equal(consent.get("analytics"), true);
+  });
+
+  test("retirar el consentimiento borra las cookies de Google Analytics", async () => {
+    const consent = await freshConsent();
+    consent.acceptAll();
+    document.cookie = "_ga=GA1.1.123; path=/";
+    document.cookie = "_ga_37S5JYS2ZN=GS1.1.456; path=/";
+    document.cookie = "other=keep; path=/";
+
+    consent.rejectAll();
+
+    assert.equal(document.cookie, "other=keep");
+    assert.equal(gtagCalls("consent").at(-1)[2].analytics_storage, "denied");
+    document.cookie = "other=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/";
+  });
+
+  test("una elección guardada se aplica al iniciar, sin volver a preguntar", async () => {
+    store({ analytics: true });
+    const consent = await freshConsent();
+
+    assert.deepEqual(consent.init(), { analytics: true });
+    assert.equal(consent.hasDecided(), true);
+    assert.equal(gtagCalls("consent").at(-1)[1], "update");
+    assert.ok(gtagScript());
+  });
+
+  test("al cambiar la versión de la configuración se vuelve a preguntar", async () => {
+    store({ analytics: true }, consentConfig.version - 1);
+    const consent = await freshConsent();
+
+    assert.deepEqual(consent.init(), { analytics: false });
+    assert.equal(consent.hasDecided(), false);
+    assert.equal(gtagScript(), null);
+  });
+
+  test("con Global Privacy Control cuenta como rechazo sin preguntar", async () => {
+    Object.defineProperty(navigator, "globalPrivacyControl", { value: true, configurable: true });
+    const consent = await freshConsent();
+
+    assert.deepEqual(consent.init(), { analytics: false });
+    assert.equal(consent.hasDecided(), true);
+    assert.equal(localStorage.getItem(consentConfig.storageKey), null);
+  });
+
+  test("un listener que falla no impide avisar a los demás; on() devuelve cómo desuscribirse", async (t) => {
+    const error = t.mock.method(console, "error", () => {});
+    const consent = await freshConsent();
+    const calls = [];
+    consent.on("change", () => {
+      throw new Error("boom");
+    });
+    const unsubscribe = consent.on("change", (detail) => calls.push(detail.analytics));
+
+    consent.acceptAll();
+    unsubscribe();
+    consent.rejectAll();
+
+    assert.deepEqual(calls, [true]);
+    assert.equal(error.mock.callCount(), 2);
+    assert.throws(() => consent.on("nope", () => {}), /desconocido/);
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { setupDom, indexHtml } from "./helpers/dom.js";
+
+setupDom({ html: indexHtml });
+
+const { consentBanner } = await import("../scripts/components/consentBanner.js");
+const { consent } = await import("../scripts/utils/consent.js");
+const { setLanguage } = await import("../scripts/utils/i18n.js");
+
+// consent.js es uno solo para todo el archivo: las pruebas siguen el orden
+// de una visita, desde antes de decidir hasta cambiar de opinión
+describe("consentBanner", () => {
+  let banner;
+  const element = () => document.querySelector(".consent-banner");
+  const action = (name) => element().querySelector(`[data-consent-action="${name}"]`);
+  const checkbox = () => element().querySelector('.consent-banner__options input[name="analytics"]');
+  const manageButton = () => document.querySelector("[data-consent-open]");
+  const pressEscape = () =>
+    document.activeElement.dispatchEvent(
+      new KeyboardEvent("keydown", { key: "Escape", bubbles: true, cancelable: true })
+    );
+
+  beforeEach(async () => {
+    document.body.innerHTML = new DOMParser().parseFromString(indexHtml, "text/html").body.innerHTML;
+    await setLanguage("en");
+    banner = consentBanner();
+  });
+
+  afterEach(() => {
+    banner?.destroy();
+    banner = null;
+  });
+
+  test("sin decisión se muestra, y Escape no lo cierra", () => {
+    assert.equal(consent.hasDecided(), false);
+    assert.equal(element().hidden, false);
+    assert.equal(element().classList.contains("consent-banner--visible"), true);
+
+    element().focus();
+    pressEscape();
+    assert.equal(element().hidden, false);
+  });
+
+  test("\"Elegir\" despliega una casilla por categoría, sin marcar y traducida", async () => {
+    action("customize").click();
+
+    assert.equal(element().querySelector(".consent-banner__options").hidden, false);
+    assert.equal(action("customize").getAttribute("aria-expanded"), "true");
+    assert.equal(action("customize").hidden, true);
+    assert.equal(action("save").hidden, false);
+    assert.equal(checkbox().checked, false);
+    assert.equal(document.activeElement, checkbox());
+    assert.equal(element().querySelector(`label[for="${checkbox().id}"]`).textContent, "Analytics");
+
+    await setLanguage("fr");
+    assert.equal(element().querySelector(`label[for="${checkbox().id}"]`).textContent, "Statistiques");
+  });
+
+  test("\"Guardar\" aplica lo marcado y cierra", () => {
+    action("customize").click();
+    checkbox().checked = true;
+    action("save").click();
+
+    assert.equal(consent.get("analytics"), true);
+    assert.equal(consent.hasDecided(), true);
+    assert.equal(element().hidden, true);
+  });
+
+  test("con una decisión guardada no aparece solo", () => {
+    assert.equal(element().hidden, true);
+  });
+
+  test("el botón del pie lo reabre desplegado; Escape lo cierra y devuelve el foco", () => {
+    manageButton().focus();
+    manageButton().click();
+
+    assert.equal(element().hidden, false);
+    assert.equal(checkbox().checked, true);
+    assert.equal(document.activeElement, checkbox());
+
+    pressEscape();
+    assert.equal(element().hidden, true);
+    assert.equal(document.activeElement, manageButton());
+  });
+
+  test("\"Rechazar\" retira el consentimiento", () => {
+    banner.open();
+    action("reject").click();
+
+    assert.equal(consent.get("analytics"), false);
+    assert.equal(element().hidden, true);
+  });
+
+  test("después de destroy el botón del pie ya no lo abre", () => {
+    banner.destroy();
+    manageButton().click();
+
+    assert.equal(element().hidden, true);
+  });
+});
@@ -0,0 +1,339 @@
+import { describe, test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { IDBObjectStore } from "fake-indexeddb";
+import { setupDom, indexHtml, mockIndexedDB, removeIndexedDB, flushPromises } from "./helpers/dom.js";
+
+setupDom({ html: indexHtml });
+
+const { contactForm } = await import("../scripts/components/contactForm.js");
+const { setLanguage } = await import("../scripts/utils/i18n.js");
+const { default: en } = await import("../scripts/data/locales/en.js");
+const { default: fr } = await import("../scripts/data/locales/fr.js");
+
+const footerHtml = new DOMParser().parseFromString(indexHtml, "text/html").querySelector("footer").outerHTML;
+
+/**
+ * Servidor falso: cada envío consume la siguiente respuesta de `responses`
+ * ("offline" simula la falta de red; si no quedan, responde éxito).
+ */
+function fakeServer(...responses) {
+  const requests = [];
+  const fetchImpl = async (url, options) => {
+    requests.push({ url, ...options, body: JSON.parse(options.body) });
+    const response = responses.shift() ?? { status: 200, body: { success: "true" } };
+    if (response === "offline") throw new TypeError("Failed to fetch");
+    return {
+      ok: response.status >= 200 && response.status < 300,
+      status: response.status,
+      headers: new Headers(response.headers),
+      json: async () => response.body ?? {},
+    };
+  };
+  fetchImpl.requests = requests;
+  return fetchImpl;
+}
+
+// IndexedDB responde con varias vueltas del event loop
+async function settle() {
+  for (let i = 0; i < 20; i++) await flushPromises();
+}
+
+const $ = (selector) => document.querySelector(selector);
+const form = () => $(".footer__form");
+const status = () => $(".footer__form-status");
+const pending = () => $(".footer__form-pending");
+const cancelButtons = () => [...document.querySelectorAll(".footer__form-pending [data-pending-id]")];
+
+function fill({ name = "Ada Lovelace", email = "ada@example.com", message = "Hello, I would like to help." } = {}) {
+  form().elements.name.value = name;
+  form().elements.email.value = email;
+  form().elements.message.value = message;
+}
+
+// Espera a que termine el reenvío con que arranca, para que no se lleve lo que guarda la prueba
+async function mount(options) {
+  const instance = contactForm(options);
+  await settle();
+  return instance;
+}
+
+function submitForm() {
+  form().querySelector('[type="submit"]').click();
+  return settle();
+}
+
+describe("contactForm", () => {
+  let component;
+
+  beforeEach(async () => {
+    document.body.innerHTML = footerHtml;
+    mockIndexedDB();
+    await setLanguage("en");
+  });
+
+  afterEach(() => {
+    component?.destroy();
+    component = null;
+  });
+
+  test("valida todos los campos, enfoca el primero inválido y no envía", async () => {
+    const server = fakeServer();
+    component = contactForm({ fetchImpl: server });
+    fill({ name: "A", email: "ada@", message: "" });
+
+    await submitForm();
+
+    assert.equal(server.requests.length, 0);
+    assert.equal(form().hasAttribute("novalidate"), true);
+    assert.equal(status().textContent, en.contact_form.status.invalid);
+    assert.equal(document.activeElement, form().elements.name);
+    assert.equal(form().elements.name.getAttribute("aria-invalid"), "true");
+    assert.equal($("#footer-name-error").textContent, "Your name must be at least 2 characters long.");
+    assert.equal($("#footer-email-error").textContent, en.contact_form.errors.email_invalid);
+    assert.equal($("#footer-message-error").textContent, en.contact_form.errors.message_required);
+  });
+
+  test("el error de un campo se corrige mientras se escribe", () => {
+    component = contactForm({ fetchImpl: fakeServer() });
+    component.validate();
+
+    const email = form().elements.email;
+    email.value = "ada@example.com";
+    email.dispatchEvent(new Event("input", { bubbles: true }));
+
+    assert.equal(email.hasAttribute("aria-invalid"), false);
+    assert.equal($("#footer-email-error").textContent, "");
+    assert.equal(form().elements.name.getAttribute("aria-invalid"), "true");
+  });
+
+  test("envía JSON al endpoint AJAX de FormSubmit, sin captcha ni trampa, y limpia el formulario", async () => {
+    const server = fakeServer();
+    component = contactForm({ fetchImpl: server });
+    fill();
+
+    const sending = component.submit();
+    assert.equal(form().dataset.state, "sending");
+    assert.equal(form().getAttribute("aria-busy"), "true");
+    assert.equal(form().querySelector('[type="submit"]').disabled, true);
+    await sending;
+
+    assert.equal(server.requests.length, 1);
+    const [request] = server.requests;
+    assert.equal(request.url, "https://formsubmit.co/ajax/3246edf10c677cc651cd12e80cbee4f2");
+    assert.equal(request.method, "POST");
+    assert.deepEqual(request.body, {
+      _subject: "New message from website",
+      name: "Ada Lovelace",
+      email: "ada@example.com",
+      message: "Hello, I would like to help.",
+    });
+    assert.equal(status().textContent, en.contact_form.status.success);
+    assert.equal(form().getAttribute("aria-busy"), "false");
+    assert.equal(form().elements.name.value, "");
+  });
+
+  test("con el campo trampa completo simula el éxito sin enviar", async () => {
+    const server = fakeServer();
+    component = contactForm({ fetchImpl: server });
+    fill();
+    form().elements._honey.value = "bot";
+
+    await component.submit();
+
+    assert.equal(server.requests.length, 0);
+    assert.equal(status().dataset.state, "success");
+  });
+
+  test("un rechazo del servidor muestra el error y no guarda nada", async (t) => {
+    t.mock.method(console, "error", () => {});
+    const server = fakeServer({ status: 200, body: { success: "false", message: "Form not activated" } });
+    component = contactForm({ fetchImpl: server });
+    fill();
+
+    await component.submit();
+    await settle();
+
+    assert.equal(status().textContent, en.contact_form.status.error);
+    assert.equal(form().elements.name.value, "Ada Lovelace");
+    assert.equal(pending().hidden, true);
+  });
+
+  test("sin conexión lo guarda, lo lista sin mostrar el contenido y lo envía al volver online", async () => {
+    const server = fakeServer("offline");
+    component = await mount({ fetchImpl: server });
+    fill();
+
+    await submitForm();
+
+    assert.equal(status().textContent, en.contact_form.status.queued);
+    assert.equal(form().elements.message.value, "");
+    assert.equal(pending().hidden, false);
+    assert.equal(pending().querySelector(".footer__form-pending-title").textContent.startsWith("1 message is"), true);
+    assert.equal(pending().textContent.includes("Hello"), false);
+    assert.equal(cancelButtons().length, 1);
+
+    window.dispatchEvent(new Event("online"));
+    await settle();
+
+    assert.equal(server.requests.length, 2);
+    assert.equal(server.requests[1].body.message, "Hello, I would like to help.");
+    assert.equal(status().textContent, en.contact_form.status.sent_from_queue);
+    assert.equal(pending().hidden, true);
+  });
+
+  test("si al reenviarlo el servidor lo rechaza, lo borra y avisa", async () => {
+    const server = fakeServer({ status: 503 }, { status: 422, body: { message: "Invalid email" } });
+    component = await mount({ fetchImpl: server });
+    fill();
+    await submitForm();
+    assert.equal(status().dataset.state, "queued");
+
+    await component.retryPending();
+    await settle();
+
+    assert.equal(status().textContent, en.contact_form.status.rejected_from_queue);
+    assert.equal(pending().hidden, true);
+    await component.retryPending();
+    assert.equal(server.requests.length, 2);
+  });
+
+  test("si se envía pero no se puede borrar de la cola, avisa que se envió", async (t) => {
+    t.mock.method(console, "warn", () => {});
+    const server = fakeServer("offline");
+    component = await mount({ fetchImpl: server });
+    fill();
+    await submitForm();
+
+    t.mock.method(IDBObjectStore.prototype, "delete", () => {
+      throw new Error("UnknownError");
+    });
+    await component.retryPending();
+    await settle();
+
+    assert.equal(status().textContent, en.contact_form.status.sent_from_queue);
+    assert.equal(pending().hidden, true);
+    await component.retryPending();
+    assert.equal(server.requests.length, 2);
+  });
+
+  test("408 y 429 no son rechazos: el mensaje queda guardado para reintentar", async () => {
+    const server = fakeServer({ status: 408 }, { status: 429 });
+    component = await mount({ fetchImpl: server });
+    fill();
+    await submitForm();
+    assert.equal(status().dataset.state, "queued");
+
+    await component.retryPending();
+    await settle();
+
+    assert.equal(server.requests.length, 2);
+    assert.equal(status().dataset.state, "queued");
+    assert.equal(cancelButtons().length, 1);
+  });
+
+  test("con Retry-After no reintenta antes de tiempo y lo hace solo al llegar el momento", async (t) => {
+    t.mock.timers.enable({ apis: ["setTimeout", "Date"], now: 0 });
+    const server = fakeServer({ status: 429, headers: { "Retry-After": "120" } });
+    component = await mount({ fetchImpl: server });
+    fill();
+    await submitForm();
+    assert.equal(status().dataset.state, "queued");
+
+    window.dispatchEvent(new Event("online"));
+    await settle();
+    assert.equal(server.requests.length, 1);
+
+    t.mock.timers.tick(120 * 1000);
+    await settle();
+    assert.equal(server.requests.length, 2);
+    assert.equal(status().dataset.state, "sent_from_queue");
+  });
+
+  test("Retry-After también vale como fecha HTTP al reenviar desde la cola", async (t) => {
+    t.mock.timers.enable({ apis: ["setTimeout", "Date"], now: Date.parse("2026-06-14T16:00:00Z") });
+    const server = fakeServer("offline", { status: 503, headers: { "Retry-After": "Sun, 14 Jun 2026 16:01:00 GMT" } });
+    component = await mount({ fetchImpl: server });
+    fill();
+    await submitForm();
+
+    await component.retryPending();
+    await settle();
+    t.mock.timers.tick(59 * 1000);
+    await settle();
+    assert.equal(server.requests.length, 2);
+
+    t.mock.timers.tick(1000);
+    await settle();
+    assert.equal(server.requests.length, 3);
+    assert.equal(pending().hidden, true);
+  });
+
+  test("lo pendiente de una visita anterior se envía al iniciar", async () => {
+    const first = await mount({ fetchImpl: fakeServer("offline") });
+    fill();
+    await first.submit();
+    first.destroy();
+
+    const server = fakeServer();
+    component = contactForm({ fetchImpl: server });
+    await settle();
+
+    assert.equal(server.requests.length, 1);
+    assert.equal(status().dataset.state, "sent_from_queue");
+  });
+
+  test("cancelar un pendiente lo borra y lleva el foco al mensaje", async () => {
+    component = await mount({ fetchImpl: fakeServer("offline", "offline") });
+    fill();
+    await submitForm();
+
+    cancelButtons()[0].click();
+    await settle();
+
+    assert.equal(pending().hidden, true);
+    assert.equal(document.activeElement, form().elements.message);
+  });
+
+  test("si no se puede cancelar lo avisa y deja el pendiente en la lista", async (t) => {
+    t.mock.method(console, "warn", () => {});
+    component = await mount({ fetchImpl: fakeServer("offline", "offline") });
+    fill();
+    await submitForm();
+
+    t.mock.method(IDBObjectStore.prototype, "delete", () => {
+      throw new Error("QuotaExceededError");
+    });
+    cancelButtons()[0].click();
+    await settle();
+
+    assert.equal(status().textContent, en.contact_form.status.cancel_error);
+    assert.equal(cancelButtons().length, 1);
+  });
+
+  test("al cambiar de idioma re-traduce errores, estado y pendientes", async () => {
+    component = await mount({ fetchImpl: fakeServer("offline") });
+    fill();
+    await submitForm();
+    fill({ email: "" });
+    await component.submit();
+
+    await setLanguage("fr");
+    await settle();
+
+    assert.equal($("#footer-email-error").textContent, fr.contact_form.errors.email_required);
+    assert.equal(status().textContent, fr.contact_form.status.invalid);
+    assert.equal(cancelButtons()[0].textContent, fr.contact_form.pending.cancel);
+  });
+
+  test("sin IndexedDB un fallo de red muestra el error", async (t) => {
+    t.mock.method(console, "error", () => {});
+    removeIndexedDB();
+    component = await mount({ fetchImpl: fakeServer("offline") });
+    fill();
+
+    await component.submit();
+
+    assert.equal(status().dataset.state, "error");
+    assert.equal(form().elements.name.value, "Ada Lovelace");
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { setupDom } from "./helpers/dom.js";
+
+setupDom({ html: '<!DOCTYPE html><div class="countdown"></div>' });
+
+const { countdown } = await import("../scripts/components/countdown.js");
+const { setLanguage } = await import("../scripts/utils/i18n.js");
+
+const now = new Date("2026-06-10T12:00:00Z").getTime();
+const DAY = 24 * 60 * 60 * 1000;
+
+const element = () => document.querySelector(".countdown");
+const parts = () =>
+  [...element().querySelectorAll(".countdown__part")].map((part) => [
+    part.querySelector(".countdown__value").textContent,
+    part.querySelector(".countdown__unit").textContent,
+  ]);
+
+describe("countdown", () => {
+  let timer;
+
+  beforeEach(async (t) => {
+    element().replaceChildren();
+    element().removeAttribute("data-countdown-ended");
+    element().removeAttribute("role");
+    await setLanguage("en");
+    t.mock.timers.enable({ apis: ["setTimeout", "Date"], now });
+  });
+
+  afterEach(() => {
+    timer?.destroy();
+    timer = null;
+  });
+
+  test("muestra días, horas, minutos y segundos restantes", () => {
+    timer = countdown({ target: now + 3 * DAY + 4 * 60 * 60 * 1000 + 5 * 60 * 1000 + 6000 });
+
+    assert.equal(element().getAttribute("role"), "timer");
+    assert.deepEqual(parts(), [
+      ["3", "days"],
+      ["4", "hours"],
+      ["5", "minutes"],
+      ["6", "seconds"],
+    ]);
+  });
+
+  test("avanza cada segundo", (t) => {
+    timer = countdown({ target: now + 10_000, units: ["second"] });
+    assert.deepEqual(parts(), [["10", "seconds"]]);
+
+    t.mock.timers.tick(1000);
+    assert.deepEqual(parts(), [["9", "seconds"]]);
+    assert.equal(timer.getRemaining(), 9000);
+  });
+
+  test("al llegar a cero avisa una sola vez", (t) => {
+    let calls = 0;
+    let events = 0;
+    document.addEventListener("countdown-end", () => events++, { once: true });
+
+    timer = countdown({ target: now + 2000, onEnd: () => calls++ });
+    t.mock.timers.tick(1000);
+    t.mock.timers.tick(1000);
+    t.mock.timers.tick(5000);
+
+    assert.equal(timer.isEnded(), true);
+    assert.equal(element().hasAttribute("data-countdown-ended"), true);
+    assert.equal(calls, 1);
+    assert.equal(events, 1);
+  });
+
+  test("traduce las unidades al cambiar de idioma", async () => {
+    timer = countdown({ target: now + 2 * DAY, units: ["day"] });
+    await setLanguage("fr");
+
+    assert.deepEqual(parts(), [["2", "jours"]]);
+  });
+
+  test("con una fecha inválida avisa y no hace nada", (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    timer = countdown({ target: "no es una fecha" });
+
+    assert.equal(warn.mock.callCount(), 1);
+    assert.equal(element().children.length, 0);
+    assert.equal(element().hasAttribute("role"), false);
+  });
+});
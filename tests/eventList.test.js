@@ -0,0 +1,192 @@
+import { describe, test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { setupDom, eventHtml, eventsData, siteUrl, fakeFetch, fakeSource, flushPromises } from "./helpers/dom.js";
+
+setupDom({ html: eventHtml, url: `${siteUrl}event/` });
+
+const { eventList } = await import("../scripts/components/eventList.js");
+const { setLanguage } = await import("../scripts/utils/i18n.js");
+
+const EVENT_ID = "trevor-claydon-fundraiser-2026";
+// El evento empieza 2026-06-14T16:00:00Z y termina a las 20:00Z
+const before = new Date("2026-05-01T12:00:00Z").getTime();
+const during = new Date("2026-06-14T17:00:00Z").getTime();
+const after = new Date("2026-10-19T12:00:00Z").getTime();
+
+const $ = (selector) => document.querySelector(selector);
+const upcomingCards = () => [...document.querySelectorAll(".events__upcoming .event-card")];
+const pastCards = () => [...document.querySelectorAll(".events__past .event-card")];
+
+describe("eventList", () => {
+  let list;
+
+  async function mount(t, now, options = {}) {
+    t.mock.timers.enable({ apis: ["setTimeout", "Date"], now });
+    list = eventList({ ...fakeSource("events", eventsData), ...options });
+    await flushPromises();
+    return list;
+  }
+
+  beforeEach(async (t) => {
+    document.body.innerHTML = new DOMParser().parseFromString(eventHtml, "text/html").body.innerHTML;
+    await setLanguage("en");
+    t.mock.method(console, "error", () => {});
+  });
+
+  afterEach(() => {
+    list?.destroy();
+    list = null;
+  });
+
+  test("muestra el aviso de carga mientras espera los eventos", (t) => {
+    t.mock.timers.enable({ apis: ["setTimeout", "Date"], now: before });
+    list = eventList({ ...fakeSource("events", eventsData), fetchImpl: () => new Promise(() => {}) });
+
+    assert.equal($(".events").getAttribute("aria-busy"), "true");
+    assert.equal($(".events__status").dataset.state, "loading");
+    assert.equal($(".events__status").textContent, "Loading events…");
+  });
+
+  test("dibuja un evento próximo con sus datos y enlaces", async (t) => {
+    await mount(t, before);
+
+    const [card] = upcomingCards();
+    assert.equal(upcomingCards().length, 1);
+    assert.equal(card.id, `event-${EVENT_ID}`);
+    assert.equal(card.querySelector('[data-event-text="title"]').textContent, "The Trevor Claydon Fundraiser");
+    assert.equal(card.getAttribute("aria-labelledby"), `event-${EVENT_ID}-title`);
+
+    const time = card.querySelector("time");
+    assert.equal(time.getAttribute("datetime"), "2026-06-14T10:00:00-06:00");
+    assert.match(time.textContent, /June 14, 2026/);
+
+    assert.equal(card.querySelectorAll('[data-event-list="description"] p').length, 2);
+    assert.equal(card.querySelectorAll('[data-event-list="highlights"] li').length, 3);
+    assert.equal(card.querySelector('[data-event-link="tickets"]').href, eventsData.events[0].links.tickets);
+    assert.equal(card.querySelector('[data-event-link="donate"]').href, eventsData.events[0].links.donate);
+
+    const ics = card.querySelector('[data-event-calendar="ics"]');
+    assert.match(ics.getAttribute("href"), /^blob:/);
+    assert.equal(ics.getAttribute("download"), `${EVENT_ID}.ics`);
+    assert.match(card.querySelector('[data-event-calendar="google"]').href, /^https:\/\/calendar\.google\.com\//);
+
+    assert.equal($(".events").hasAttribute("aria-busy"), false);
+    assert.equal($(".events__status").hidden, true);
+    assert.equal($(".events__section--past").hidden, true);
+  });
+
+  test("presenta el próximo evento con una cuenta regresiva", async (t) => {
+    await mount(t, before);
+
+    assert.equal($(".events__next").hidden, false);
+    const title = $('[data-event-next="title"]');
+    assert.equal(title.textContent, "The Trevor Claydon Fundraiser");
+    assert.equal(title.getAttribute("href"), `#event-${EVENT_ID}`);
+    assert.equal($('[data-event-next="status"]').textContent, "Starts in");
+    assert.equal($(".countdown").hidden, false);
+    assert.equal($(".countdown").querySelectorAll(".countdown__part").length, 4);
+  });
+
+  test("cuando termina la cuenta regresiva pasa a \"en curso\"", async (t) => {
+    await mount(t, new Date("2026-06-14T15:59:58Z").getTime());
+    assert.equal($('[data-event-next="status"]').textContent, "Starts in");
+
+    t.mock.timers.tick(1000);
+    t.mock.timers.tick(1000);
+
+    assert.equal($('[data-event-next="status"]').textContent, "Happening now");
+    assert.equal($(".countdown").hidden, true);
+  });
+
+  test("un evento en curso sigue entre los próximos, sin cuenta regresiva", async (t) => {
+    await mount(t, during);
+
+    assert.equal(upcomingCards().length, 1);
+    assert.equal($('[data-event-next="status"]').textContent, "Happening now");
+    assert.equal($(".countdown").hidden, true);
+  });
+
+  test("al terminar un evento en curso deja de mostrarse como \"en curso\"", async (t) => {
+    await mount(t, new Date("2026-06-14T19:59:59Z").getTime());
+    assert.equal($('[data-event-next="status"]').textContent, "Happening now");
+
+    t.mock.timers.tick(1000);
+    assert.equal($('[data-event-next="status"]').textContent, "Happening now");
+
+    t.mock.timers.tick(1);
+    assert.equal(upcomingCards().length, 0);
+    assert.equal(pastCards().length, 1);
+    assert.equal($(".events__next").hidden, true);
+    assert.equal($(".events__status").dataset.state, "none");
+  });
+
+  test("los eventos pasados van aparte y sin acciones", async (t) => {
+    await mount(t, after);
+
+    assert.equal(upcomingCards().length, 0);
+    assert.equal($(".events__status").dataset.state, "none");
+    assert.equal($(".events__status").hidden, false);
+    assert.equal($(".events__next").hidden, true);
+
+    const [card] = pastCards();
+    assert.equal($(".events__section--past").hidden, false);
+    assert.equal(card.classList.contains("event-card--past"), true);
+    assert.equal(card.querySelector("[data-event-upcoming]"), null);
+    assert.equal(card.querySelector("[data-event-calendar]"), null);
+  });
+
+  test("pastLimit limita la cantidad de eventos pasados", async (t) => {
+    const [event] = eventsData.events;
+    const events = ["a", "b", "c"].map((id, i) => ({
+      ...event,
+      id,
+      start: `2025-0${i + 1}-10T10:00:00Z`,
+      end: `2025-0${i + 1}-10T12:00:00Z`,
+    }));
+    await mount(t, after, { fetchImpl: fakeFetch({ events }), pastLimit: 2 });
+
+    assert.deepEqual(pastCards().map((card) => card.dataset.eventId), ["c", "b"]);
+  });
+
+  test("sin enlace, el botón correspondiente no se muestra", async (t) => {
+    const [event] = eventsData.events;
+    const events = [{ ...event, links: { donate: event.links.donate } }];
+    await mount(t, before, { fetchImpl: fakeFetch({ events }) });
+
+    const [card] = upcomingCards();
+    assert.equal(card.querySelector('[data-event-link="tickets"]'), null);
+    assert.ok(card.querySelector('[data-event-link="donate"]'));
+  });
+
+  test("avisa si no se pudieron cargar los eventos", async (t) => {
+    await mount(t, before, { fetchImpl: fakeFetch({}, { status: 404 }) });
+
+    assert.equal($(".events__status").dataset.state, "error");
+    assert.equal($(".events__status").textContent, "We couldn't load the events. Please try again later.");
+    assert.equal($(".events").hasAttribute("aria-busy"), false);
+  });
+
+  test("se vuelve a dibujar al cambiar de idioma", async (t) => {
+    await mount(t, before);
+    await setLanguage("fr");
+
+    const [card] = upcomingCards();
+    assert.equal(card.querySelector('[data-event-text="title"]').textContent, "Collecte de fonds Trevor Claydon");
+    assert.match(card.querySelector("time").textContent, /14 juin 2026/);
+    assert.equal($('[data-event-next="status"]').textContent, "Commence dans");
+    assert.equal(card.querySelector('[data-event-link="tickets"]').textContent.trim(), "Obtenir des billets");
+  });
+
+  test("destroy libera las URLs de los .ics y deja de escuchar el idioma", async (t) => {
+    const revoke = t.mock.method(URL, "revokeObjectURL");
+    await mount(t, before);
+    const href = $('[data-event-calendar="ics"]').getAttribute("href");
+
+    list.destroy();
+    assert.deepEqual(revoke.mock.calls.map((call) => call.arguments[0]), [href]);
+
+    await setLanguage("fr");
+    assert.equal(upcomingCards()[0].querySelector('[data-event-text="title"]').textContent, "The Trevor Claydon Fundraiser");
+    list = null;
+  });
+});
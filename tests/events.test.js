@@ -0,0 +1,149 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { eventsData, fakeFetch } from "./helpers/dom.js";
+import {
+  loadEvents,
+  findEvent,
+  localize,
+  splitEvents,
+  isHappening,
+  formatEventDate,
+  formatLocation,
+} from "../scripts/utils/events.js";
+import { toIcs, googleCalendarUrl } from "../scripts/utils/calendar.js";
+
+function makeEvent(overrides = {}) {
+  const event = {
+    id: "test-event",
+    title: { en: "Test event", fr: "Événement test" },
+    summary: { en: "Summary", fr: "Résumé" },
+    description: { en: ["First paragraph.", "Second paragraph."], fr: ["Premier.", "Deuxième."] },
+    highlights: { en: ["Music", "Food"], fr: ["Musique", "Nourriture"] },
+    start: "2026-06-14T10:00:00-06:00",
+    end: "2026-06-14T14:00:00-06:00",
+    timeZone: "America/Edmonton",
+    location: { name: "Blue Meadows", address: "4 Kuch Ct, Spruce Grove, AB" },
+    links: { tickets: "https://example.org/tickets" },
+    ...overrides,
+  };
+  return { ...event, startDate: new Date(event.start), endDate: new Date(event.end) };
+}
+
+describe("events", () => {
+  test("loadEvents pide el archivo una sola vez y agrega las fechas", async () => {
+    const fetchImpl = fakeFetch(eventsData);
+    const url = "test://events/once";
+
+    const events = await loadEvents({ url, fetchImpl });
+    await loadEvents({ url, fetchImpl });
+
+    assert.equal(fetchImpl.calls.length, 1);
+    const trevor = findEvent(events, "trevor-claydon-fundraiser-2026");
+    assert.equal(trevor.startDate.toISOString(), "2026-06-14T16:00:00.000Z");
+    assert.equal(findEvent(events, "no-existe"), null);
+  });
+
+  test("loadEvents vuelve a intentar después de un error", async () => {
+    const url = "test://events/retry";
+    await assert.rejects(loadEvents({ url, fetchImpl: fakeFetch({}, { status: 500 }) }), /HTTP 500/);
+
+    const events = await loadEvents({ url, fetchImpl: fakeFetch(eventsData) });
+    assert.equal(events.length, eventsData.events.length);
+  });
+
+  test("localize sigue la cadena de respaldo de i18n", () => {
+    assert.equal(localize({ en: "Hello", fr: "Bonjour" }, "fr"), "Bonjour");
+    assert.equal(localize({ en: "Hello" }, "fr"), "Hello");
+    assert.equal(localize("Same everywhere", "fr"), "Same everywhere");
+    assert.deepEqual(localize({ en: ["a"], fr: ["b"] }, "fr"), ["b"]);
+    assert.equal(localize(undefined, "en"), null);
+  });
+
+  test("splitEvents separa próximos y pasados, y el que está en curso es próximo", () => {
+    const past = makeEvent({ id: "past", start: "2026-01-10T10:00:00Z", end: "2026-01-10T12:00:00Z" });
+    const older = makeEvent({ id: "older", start: "2025-01-10T10:00:00Z", end: "2025-01-10T12:00:00Z" });
+    const now = makeEvent({ id: "now", start: "2026-06-14T10:00:00Z", end: "2026-06-14T18:00:00Z" });
+    const later = makeEvent({ id: "later", start: "2026-09-01T10:00:00Z", end: "2026-09-01T12:00:00Z" });
+    const at = new Date("2026-06-14T12:00:00Z");
+
+    const { upcoming, past: done } = splitEvents([later, past, now, older], at);
+
+    assert.deepEqual(upcoming.map((e) => e.id), ["now", "later"]);
+    assert.deepEqual(done.map((e) => e.id), ["past", "older"]);
+    assert.equal(isHappening(now, at), true);
+    assert.equal(isHappening(later, at), false);
+  });
+
+  test("formatEventDate usa la zona horaria del evento y el idioma", () => {
+    const event = makeEvent();
+
+    const en = formatEventDate(event, "en");
+    assert.match(en, /Sunday, June 14, 2026/);
+    assert.match(en, /10:00/);
+    assert.match(en, /2:00/);
+    assert.match(en, /MDT/);
+
+    assert.match(formatEventDate(event, "fr"), /dimanche 14 juin 2026/);
+  });
+
+  test("formatLocation une nombre y dirección", () => {
+    assert.equal(formatLocation(makeEvent(), "en"), "Blue Meadows, 4 Kuch Ct, Spruce Grove, AB");
+    assert.equal(formatLocation(makeEvent({ location: { name: { en: "Park", fr: "Parc" } } }), "fr"), "Parc");
+  });
+});
+
+describe("calendar", () => {
+  const now = new Date("2026-05-01T12:00:00Z");
+
+  test("toIcs arma un VCALENDAR con horas en UTC y líneas CRLF", () => {
+    const ics = toIcs(makeEvent(), { lang: "en", now });
+    const lines = ics.split("\r\n");
+
+    assert.equal(lines[0], "BEGIN:VCALENDAR");
+    assert.equal(lines.at(-1), "");
+    assert.equal(lines.at(-2), "END:VCALENDAR");
+    assert.ok(!/[^\r]\n/.test(ics), "solo saltos CRLF");
+    assert.ok(lines.includes("UID:test-event@flareinitiative.org"));
+    assert.ok(lines.includes("DTSTAMP:20260501T120000Z"));
+    assert.ok(lines.includes("DTSTART:20260614T160000Z"));
+    assert.ok(lines.includes("DTEND:20260614T200000Z"));
+    assert.ok(lines.includes("SUMMARY:Test event"));
+    assert.ok(lines.includes("URL:https://example.org/tickets"));
+  });
+
+  test("toIcs escapa comas, punto y coma, barras y saltos de línea", () => {
+    const event = makeEvent({ title: "A; B, C \\ D", description: ["One\nTwo"], highlights: null });
+    const unfolded = toIcs(event, { now }).replace(/\r\n /g, "");
+
+    assert.match(unfolded, /SUMMARY:A\\; B\\, C \\\\ D\r\n/);
+    assert.match(unfolded, /DESCRIPTION:One\\nTwo\\n\\nhttps:/);
+    assert.match(unfolded, /LOCATION:Blue Meadows\\, 4 Kuch Ct\\, Spruce Grove\\, AB/);
+  });
+
+  test("toIcs corta las líneas largas en 75 octetos sin partir caracteres", () => {
+    const title = "Événement ".repeat(20);
+    const ics = toIcs(makeEvent({ title }), { now });
+    const encoder = new TextEncoder();
+
+    ics.split("\r\n").forEach((line) => assert.ok(encoder.encode(line).length <= 75, line));
+    assert.ok(ics.replace(/\r\n /g, "").includes(`SUMMARY:${title}`));
+  });
+
+  test("toIcs escribe la descripción en el idioma pedido", () => {
+    const ics = toIcs(makeEvent(), { lang: "fr", now }).replace(/\r\n /g, "");
+    assert.match(ics, /SUMMARY:Événement test/);
+    assert.match(ics, /DESCRIPTION:Premier\.\\n\\nDeuxième\.\\n\\n• Musique\\n• Nourriture/);
+  });
+
+  test("googleCalendarUrl lleva título, fechas, lugar y zona", () => {
+    const url = new URL(googleCalendarUrl(makeEvent(), { lang: "fr" }));
+
+    assert.equal(url.origin + url.pathname, "https://calendar.google.com/calendar/render");
+    assert.equal(url.searchParams.get("action"), "TEMPLATE");
+    assert.equal(url.searchParams.get("text"), "Événement test");
+    assert.equal(url.searchParams.get("dates"), "20260614T160000Z/20260614T200000Z");
+    assert.equal(url.searchParams.get("location"), "Blue Meadows, 4 Kuch Ct, Spruce Grove, AB");
+    assert.equal(url.searchParams.get("ctz"), "America/Edmonton");
+    assert.match(url.searchParams.get("details"), /^Premier\./);
+  });
+});
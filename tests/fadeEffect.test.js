@@ -0,0 +1,148 @@
+import { describe, test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { setupDom, mockMatchMedia, advance } from "./helpers/dom.js";
+
+const html = `<!DOCTYPE html>
+<body>
+  <a id="internal" href="/pages/about.html">About</a>
+  <a id="anchor" href="#contact_us">Contact</a>
+  <a id="external" href="https://example.org/">External</a>
+  <a id="blank" href="/pages/about.html" target="_blank">New tab</a>
+  <a id="download" href="/files/report.pdf" download>Report</a>
+  <a id="skip" href="/pages/about.html" data-no-transition>Skip</a>
+</body>`;
+
+let dom = setupDom({ html });
+
+const { fadeEffect, easings } = await import("../scripts/components/fadeEffect.js");
+
+// Devuelve si el componente canceló el clic. Después se cancela igual, para
+// que jsdom no intente seguir el enlace.
+function click(id, options = {}) {
+  let prevented = null;
+  const record = (e) => {
+    prevented = e.defaultPrevented;
+    e.preventDefault();
+  };
+  document.addEventListener("click", record, { once: true });
+  document.getElementById(id).dispatchEvent(
+    new MouseEvent("click", { bubbles: true, cancelable: true, button: 0, ...options })
+  );
+  return prevented;
+}
+
+const navigations = () => dom.errors.filter((message) => message.includes("navigation")).length;
+
+describe("fadeEffect", () => {
+  let effect;
+
+  beforeEach((t) => {
+    dom = setupDom({ html });
+    t.mock.timers.enable({ apis: ["setTimeout", "Date"], now: 1000 });
+  });
+
+  afterEach(() => {
+    effect?.destroy();
+    effect = null;
+  });
+
+  test("hace el fundido de entrada y limpia los estilos al terminar", (t) => {
+    effect = fadeEffect({ duration: 200 });
+    assert.equal(document.body.style.opacity, "0");
+    assert.equal(document.body.style.willChange, "opacity");
+
+    advance(t.mock.timers, 120);
+    const midway = Number(document.body.style.opacity);
+    assert.ok(midway > 0 && midway < 1);
+
+    advance(t.mock.timers, 200);
+    assert.equal(document.body.style.opacity, "1");
+    assert.equal(document.body.style.willChange, "");
+  });
+
+  test("aplica la curva elegida", (t) => {
+    effect = fadeEffect({ duration: 320, easing: "easeOut" });
+    advance(t.mock.timers, 16 * 11);
+
+    // Con easeOut a mitad de camino ya se ve más de la mitad
+    const opacity = Number(document.body.style.opacity);
+    assert.ok(Math.abs(opacity - easings.easeOut(0.5)) < 0.01, `opacidad ${opacity}`);
+  });
+
+  test("sale con un fundido antes de seguir un enlace interno", (t) => {
+    effect = fadeEffect({ duration: 0, exitDuration: 100 });
+    advance(t.mock.timers, 50);
+
+    assert.equal(click("internal"), true);
+    assert.equal(navigations(), 0);
+
+    advance(t.mock.timers, 60);
+    assert.ok(Number(document.body.style.opacity) < 1);
+
+    advance(t.mock.timers, 100);
+    assert.equal(document.body.style.opacity, "0");
+    assert.equal(navigations(), 1);
+
+    // El timeout de respaldo no vuelve a navegar
+    advance(t.mock.timers, 500);
+    assert.equal(navigations(), 1);
+  });
+
+  test("no intercepta anclas, otros orígenes, pestañas nuevas ni descargas", () => {
+    effect = fadeEffect({ duration: 0 });
+
+    ["anchor", "external", "blank", "download", "skip"].forEach((id) => {
+      assert.equal(click(id), false, id);
+    });
+    assert.equal(click("internal", { ctrlKey: true }), false);
+  });
+
+  test("navega aunque requestAnimationFrame no corra (pestaña oculta)", (t) => {
+    effect = fadeEffect({ duration: 0, exitDuration: 100 });
+    window.requestAnimationFrame = () => 0;
+
+    click("internal");
+    advance(t.mock.timers, 200);
+    assert.equal(navigations(), 1);
+  });
+
+  test("al volver desde el bfcache restaura la opacidad", (t) => {
+    effect = fadeEffect({ duration: 0, exitDuration: 100 });
+    advance(t.mock.timers, 50);
+    click("internal");
+    advance(t.mock.timers, 50);
+
+    const pageshow = new Event("pageshow");
+    pageshow.persisted = true;
+    window.dispatchEvent(pageshow);
+
+    assert.equal(document.body.style.opacity, "1");
+    advance(t.mock.timers, 500);
+    assert.equal(document.body.style.opacity, "1");
+  });
+
+  test("con prefers-reduced-motion no anima ni intercepta enlaces", () => {
+    mockMatchMedia({ "(prefers-reduced-motion: reduce)": true });
+    effect = fadeEffect();
+
+    assert.equal(document.body.style.opacity, "1");
+    assert.equal(click("internal"), false);
+  });
+
+  test("deja las transiciones al navegador si soporta View Transitions", () => {
+    window.PageRevealEvent = class {};
+    document.startViewTransition = () => {};
+    effect = fadeEffect();
+
+    assert.equal(document.body.style.opacity, "1");
+    assert.equal(click("internal"), false);
+  });
+
+  test("destroy deja de interceptar clics", () => {
+    effect = fadeEffect({ duration: 0 });
+    effect.destroy();
+
+    assert.equal(click("internal"), false);
+    assert.equal(document.body.style.opacity, "1");
+  });
+});
@@ -0,0 +1,212 @@
+import { describe, test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { setupDom, indexHtml, fakeSource, flushPromises, intersect } from "./helpers/dom.js";
+
+setupDom({ html: indexHtml });
+
+const { getProgress, loadFundraising } = await import("../scripts/utils/fundraising.js");
+const { fundraisingProgress } = await import("../scripts/components/fundraisingProgress.js");
+const { default: ScrollAnimations } = await import("../scripts/components/scrollAnimations.js");
+const { setLanguage } = await import("../scripts/utils/i18n.js");
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date("2026-10-19T12:00:00Z");
+
+function campaign(overrides = {}) {
+  return {
+    id: "first-responders",
+    currency: "CAD",
+    goal: 10000,
+    raised: 4500,
+    donors: 12,
+    deadline: "2026-10-29T23:59:00Z",
+    updatedAt: "2026-10-18T09:00:00Z",
+    ...overrides,
+  };
+}
+
+const source = (body, options) => fakeSource("fundraising", body, options);
+
+describe("getProgress", () => {
+  test("sin meta o sin monto no hay nada que mostrar", () => {
+    assert.equal(getProgress(null), null);
+    assert.equal(getProgress(campaign({ goal: null }), { now }), null);
+    assert.equal(getProgress(campaign({ goal: 0 }), { now }), null);
+    assert.equal(getProgress(campaign({ raised: null }), { now }), null);
+    assert.equal(getProgress(campaign({ raised: "4500" }), { now }), null);
+  });
+
+  test("calcula el avance, los días que faltan y si los datos son viejos", () => {
+    const progress = getProgress(campaign(), { now });
+
+    assert.equal(progress.ratio, 0.45);
+    assert.equal(progress.daysLeft, 10);
+    assert.equal(progress.ended, false);
+    assert.equal(progress.stale, false);
+    assert.equal(progress.donors, 12);
+  });
+
+  test("marca las campañas cerradas y los datos de más de staleAfterDays días", () => {
+    const old = campaign({ deadline: "2026-10-01T00:00:00Z", updatedAt: "2026-10-01T00:00:00Z" });
+
+    assert.equal(getProgress(old, { now }).ended, true);
+    assert.equal(getProgress(old, { now }).daysLeft, null);
+    assert.equal(getProgress(old, { now }).stale, true);
+    assert.equal(getProgress(old, { now, staleAfterDays: 30 }).stale, false);
+  });
+
+  test("los campos opcionales pueden faltar", () => {
+    const progress = getProgress({ goal: 500, raised: 750 }, { now });
+
+    assert.equal(progress.currency, "CAD");
+    assert.equal(progress.ratio, 1.5);
+    assert.equal(progress.donors, null);
+    assert.equal(progress.daysLeft, null);
+    assert.equal(progress.stale, false);
+  });
+
+  test("normaliza la moneda y descarta un código que Intl no acepta", () => {
+    assert.equal(getProgress(campaign({ currency: "usd" }), { now }).currency, "USD");
+    assert.equal(getProgress(campaign({ currency: "dollars" }), { now }).currency, null);
+    assert.equal(getProgress(campaign({ currency: 42 }), { now }).currency, null);
+  });
+});
+
+describe("loadFundraising", () => {
+  test("busca la campaña en { campaigns } o acepta un endpoint de una sola", async () => {
+    const list = { campaigns: [campaign({ id: "other" }), campaign()] };
+    assert.equal((await loadFundraising("first-responders", source(list))).id, "first-responders");
+    assert.equal(await loadFundraising("missing", source(list)), null);
+
+    assert.equal((await loadFundraising("first-responders", source(campaign()))).raised, 4500);
+    assert.equal(await loadFundraising("first-responders", source(campaign({ id: "other" }))), null);
+  });
+});
+
+describe("fundraisingProgress", () => {
+  let widget;
+  const element = () => document.querySelector(".how-to-help .fundraising");
+  const text = (name) => element().querySelector(`[data-fundraising-text="${name}"]`);
+
+  async function mount(data, options = {}) {
+    widget = fundraisingProgress({
+      selector: element(),
+      campaign: "first-responders",
+      ...source(data),
+      ...options,
+    });
+    await flushPromises();
+    return widget;
+  }
+
+  beforeEach(async (t) => {
+    await setLanguage("en");
+    t.mock.timers.enable({ apis: ["Date"], now });
+    element().hidden = true;
+    element().removeAttribute("data-stale");
+  });
+
+  afterEach(() => {
+    widget?.destroy();
+    widget = null;
+  });
+
+  test("muestra monto, meta, donantes y días restantes con el formato del idioma", async () => {
+    await mount({ campaigns: [campaign()] });
+
+    assert.equal(element().hidden, false);
+    assert.equal(element().dataset.state, "ready");
+    assert.equal(text("raised").textContent, "$4,500 raised of $10,000");
+    assert.equal(text("percent").textContent, "45% of goal");
+    assert.equal(text("donors").textContent, "12 donors");
+    assert.equal(text("deadline").textContent, "10 days left");
+    assert.equal(text("updated").textContent, "Updated Oct 18, 2026");
+    assert.equal(element().style.getPropertyValue("--fundraising-progress"), "0.45");
+
+    const bar = element().querySelector("[data-fundraising-bar]");
+    assert.equal(bar.getAttribute("aria-valuemax"), "10000");
+    assert.equal(bar.getAttribute("aria-valuenow"), "4500");
+    assert.equal(bar.getAttribute("aria-valuetext"), "$4,500 raised of $10,000");
+  });
+
+  test("cambia de formato y de textos con el idioma", async () => {
+    await mount({ campaigns: [campaign()] });
+    await setLanguage("fr");
+
+    assert.match(text("raised").textContent, /^4\s500\s\$ amassés sur 10\s000\s\$$/);
+    assert.match(text("percent").textContent, /^45\s% de l'objectif$/);
+    assert.equal(text("deadline").textContent, "10 jours restants");
+  });
+
+  test("con una moneda inválida muestra los montos sin moneda, también al cambiar de idioma", async () => {
+    await mount({ campaigns: [campaign({ currency: "dollars" })] });
+
+    assert.equal(element().dataset.state, "ready");
+    assert.equal(text("raised").textContent, "4,500 raised of 10,000");
+
+    await setLanguage("fr");
+    assert.match(text("raised").textContent, /^4\s500 amassés sur 10\s000$/);
+  });
+
+  test("con la meta superada la barra queda llena", async () => {
+    await mount({ campaigns: [campaign({ raised: 12500 })] });
+
+    assert.equal(element().style.getPropertyValue("--fundraising-progress"), "1");
+    assert.equal(text("percent").textContent, "125% of goal");
+    assert.equal(element().querySelector("[data-fundraising-bar]").getAttribute("aria-valuenow"), "10000");
+  });
+
+  test("oculta lo que no está en los datos", async () => {
+    await mount({ campaigns: [campaign({ donors: null, deadline: null, updatedAt: null })] });
+
+    assert.equal(text("donors").hidden, true);
+    assert.equal(text("deadline").hidden, true);
+    assert.equal(text("updated").hidden, true);
+    assert.equal(text("raised").hidden, false);
+  });
+
+  test("una campaña cerrada lo dice en lugar de los días", async () => {
+    await mount({ campaigns: [campaign({ deadline: "2026-10-01T00:00:00Z" })] });
+
+    assert.equal(text("deadline").textContent, "Campaign ended");
+    assert.equal(element().hasAttribute("data-ended"), true);
+  });
+
+  test("con datos viejos se muestra igual, con un aviso", async () => {
+    await mount({ campaigns: [campaign({ updatedAt: "2026-09-01T00:00:00Z" })] });
+
+    assert.equal(element().hidden, false);
+    assert.equal(element().hasAttribute("data-stale"), true);
+    assert.equal(text("updated").textContent, "These figures may be out of date (last updated Sep 1, 2026).");
+  });
+
+  test("sin cifras publicadas queda oculto y sin avisos", async (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    await mount({ campaigns: [campaign({ goal: null, raised: null })] });
+
+    assert.equal(element().hidden, true);
+    assert.equal(element().dataset.state, "missing");
+    assert.equal(warn.mock.callCount(), 0);
+  });
+
+  test("si los datos no cargan queda oculto", async (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    widget = fundraisingProgress({ selector: element(), campaign: "first-responders", ...source({}, { status: 503 }) });
+    await flushPromises();
+
+    assert.equal(element().hidden, true);
+    assert.equal(element().dataset.state, "missing");
+    assert.equal(warn.mock.callCount(), 1);
+  });
+
+  test("el relleno se anima con la clase de ScrollAnimations", async (t) => {
+    t.mock.method(console, "warn", () => {});
+    await mount({ campaigns: [campaign()] });
+    const animations = new ScrollAnimations();
+
+    assert.equal(element().classList.contains("scrolled"), false);
+    intersect(element());
+    assert.equal(element().classList.contains("scrolled"), true);
+    animations.destroy();
+  });
+});
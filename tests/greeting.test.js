@@ -0,0 +1,85 @@
+import { describe, test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { setupDom, advance } from "./helpers/dom.js";
+
+// Las horas sin timeZone se leen en la zona del proceso
+process.env.TZ = "UTC";
+
+setupDom({ html: '<!DOCTYPE html><p class="main__intro-salutations">Hello</p>' });
+
+const { actualizarSaludo, saludo } = await import("../scripts/components/greeting.js");
+const { setLanguage } = await import("../scripts/utils/i18n.js");
+
+const at = (time) => new Date(`2026-03-10T${time}:00Z`).getTime();
+
+describe("saludo", () => {
+  let element;
+
+  beforeEach(async (t) => {
+    await setLanguage("en");
+    element = document.querySelector(".main__intro-salutations");
+    t.mock.method(console, "warn", () => {});
+  });
+
+  test("elige el período según la hora", (t) => {
+    t.mock.timers.enable({ apis: ["Date"], now: at("08:30") });
+    assert.equal(actualizarSaludo(), "morning");
+    assert.equal(element.textContent, "Good morning");
+
+    t.mock.timers.setTime(at("12:00"));
+    assert.equal(actualizarSaludo(), "afternoon");
+    assert.equal(element.textContent, "Good afternoon");
+
+    t.mock.timers.setTime(at("23:15"));
+    assert.equal(actualizarSaludo(), "evening");
+    assert.equal(element.textContent, "Good evening");
+  });
+
+  test("saluda en francés a quien navega en francés", async (t) => {
+    t.mock.timers.enable({ apis: ["Date"], now: at("09:00") });
+    await setLanguage("fr");
+
+    actualizarSaludo();
+    assert.equal(element.textContent, "Bonjour");
+  });
+
+  test("usa la zona horaria pedida", (t) => {
+    // 20:00 UTC son las 13:00 en Edmonton
+    t.mock.timers.enable({ apis: ["Date"], now: at("20:00") });
+    assert.equal(actualizarSaludo(element, { timeZone: "America/Edmonton" }), "afternoon");
+  });
+
+  test("las horas de corte se pueden sobrescribir", (t) => {
+    t.mock.timers.enable({ apis: ["Date"], now: at("11:00") });
+    assert.equal(actualizarSaludo(element, { limites: { afternoon: 10 } }), "afternoon");
+  });
+
+  test("sin el elemento devuelve null", () => {
+    assert.equal(actualizarSaludo(".no-existe"), null);
+  });
+
+  test("saludo() se actualiza solo al llegar la hora de corte", (t) => {
+    t.mock.timers.enable({ apis: ["setTimeout", "Date"], now: at("11:58") });
+    const instance = saludo({ selector: element });
+    assert.equal(element.textContent, "Good morning");
+
+    advance(t.mock.timers, 3 * 60 * 1000, 1000);
+    assert.equal(element.textContent, "Good afternoon");
+
+    instance.destroy();
+  });
+
+  test("saludo() sigue los cambios de idioma hasta destroy", async (t) => {
+    t.mock.timers.enable({ apis: ["Date"], now: at("19:00") });
+    const instance = saludo({ selector: element });
+    assert.equal(element.textContent, "Good evening");
+
+    await setLanguage("fr");
+    assert.equal(element.textContent, "Bonsoir");
+
+    instance.destroy();
+    element.textContent = "";
+    await setLanguage("en");
+    assert.equal(element.textContent, "");
+  });
+});
@@ -0,0 +1,240 @@
+/**
+ * Entorno de navegador para las pruebas (jsdom), sin red.
+ *
+ * Los módulos del sitio usan globales (document, localStorage...) y algunos
+ * los leen al importarse (i18n.js), así que setupDom() va antes del import:
+ *
+ *   const dom = setupDom({ html: indexHtml });
+ *   const { typewriter } = await import("../scripts/components/typewriter.js");
+ *
+ * requestAnimationFrame corre sobre setTimeout para que los timers falsos de
+ * node:test (t.mock.timers) también controlen las animaciones.
+ */
+import { readFileSync } from "node:fs";
+import { JSDOM, VirtualConsole } from "jsdom";
+import { IDBFactory } from "fake-indexeddb";
+
+export const indexHtml = readFileSync(new URL("../../index.html", import.meta.url), "utf8");
+export const eventHtml = readFileSync(new URL("../../event/index.html", import.meta.url), "utf8");
+export const statisticsHtml = readFileSync(new URL("../../statistics/index.html", import.meta.url), "utf8");
+export const eventsData = JSON.parse(
+  readFileSync(new URL("../../scripts/data/events.json", import.meta.url), "utf8")
+);
+
+// Dominio real (ver CNAME): en localhost i18n.js publicaría su reporte de desarrollo
+export const siteUrl = "https://www.flareinitiative.org/";
+
+const FRAME = 16;
+
+// Propiedades de window que el código usa como globales
+const GLOBALS = [
+  "window",
+  "document",
+  "navigator",
+  "location",
+  "history",
+  "localStorage",
+  "sessionStorage",
+  "Node",
+  "Element",
+  "HTMLElement",
+  "Event",
+  "CustomEvent",
+  "KeyboardEvent",
+  "MouseEvent",
+  "FocusEvent",
+  "MutationObserver",
+  "DOMParser",
+  "FormData",
+  "getComputedStyle",
+];
+
+/**
+ * Crea un documento nuevo y lo instala como global. Devuelve el JSDOM, con
+ * `errors` (mensajes de jsdom, p. ej. "Not implemented: navigation").
+ */
+export function setupDom({ html = "<!DOCTYPE html><html><head></head><body></body></html>", url = siteUrl } = {}) {
+  const virtualConsole = new VirtualConsole();
+  const errors = [];
+  virtualConsole.on("jsdomError", (error) => errors.push(error.message));
+
+  const dom = new JSDOM(html, { url, pretendToBeVisual: true, virtualConsole });
+  const { window } = dom;
+
+  window.requestAnimationFrame = (callback) => setTimeout(() => callback(Date.now()), FRAME);
+  window.cancelAnimationFrame = (id) => clearTimeout(id);
+
+  GLOBALS.forEach((name) => setGlobal(name, window[name]));
+  setGlobal("requestAnimationFrame", window.requestAnimationFrame);
+  setGlobal("cancelAnimationFrame", window.cancelAnimationFrame);
+
+  mockMatchMedia();
+  mockIntersectionObserver();
+
+  dom.errors = errors;
+  return dom;
+}
+
+function setGlobal(name, value) {
+  Object.defineProperty(globalThis, name, { value, configurable: true, writable: true });
+}
+
+/**
+ * matchMedia controlable: `matches` indica qué consultas coinciden.
+ *   const media = mockMatchMedia({ "(max-width: 991.98px)": true });
+ *   media.set("(max-width: 991.98px)", false); // emite "change"
+ */
+export function mockMatchMedia(matches = {}) {
+  const state = { ...matches };
+  const lists = [];
+
+  window.matchMedia = (query) => {
+    const listeners = new Set();
+    const list = {
+      media: query,
+      get matches() {
+        return Boolean(state[query]);
+      },
+      addEventListener: (type, listener) => type === "change" && listeners.add(listener),
+      removeEventListener: (type, listener) => type === "change" && listeners.delete(listener),
+      addListener: (listener) => listeners.add(listener),
+      removeListener: (listener) => listeners.delete(listener),
+      listeners,
+    };
+    lists.push(list);
+    return list;
+  };
+
+  return {
+    set(query, value) {
+      state[query] = value;
+      lists
+        .filter((list) => list.media === query)
+        .forEach((list) => list.listeners.forEach((listener) => listener({ matches: value, media: query })));
+    },
+    // Listeners de "change" todavía registrados para `query`
+    listenerCount: (query) =>
+      lists.filter((list) => list.media === query).reduce((total, list) => total + list.listeners.size, 0),
+  };
+}
+
+/**
+ * IntersectionObserver falso. Los observers creados quedan en
+ * `IntersectionObserver.instances`; `intersect(el, true)` simula que `el`
+ * entra (o sale) en todos los que lo observan.
+ */
+export function mockIntersectionObserver() {
+  class MockIntersectionObserver {
+    static instances = [];
+
+    constructor(callback, options = {}) {
+      this.callback = callback;
+      this.options = options;
+      this.targets = new Set();
+      MockIntersectionObserver.instances.push(this);
+    }
+
+    observe(el) {
+      this.targets.add(el);
+    }
+
+    unobserve(el) {
+      this.targets.delete(el);
+    }
+
+    disconnect() {
+      this.targets.clear();
+    }
+
+    takeRecords() {
+      return [];
+    }
+  }
+
+  window.IntersectionObserver = MockIntersectionObserver;
+  setGlobal("IntersectionObserver", MockIntersectionObserver);
+  return MockIntersectionObserver;
+}
+
+export function intersect(el, isIntersecting = true, ratio = isIntersecting ? 1 : 0) {
+  window.IntersectionObserver.instances
+    .filter((observer) => observer.targets.has(el))
+    .forEach((observer) => {
+      observer.callback(
+        [
+          {
+            target: el,
+            isIntersecting,
+            intersectionRatio: ratio,
+            boundingClientRect: el.getBoundingClientRect(),
+          },
+        ],
+        observer
+      );
+    });
+}
+
+// Sin IntersectionObserver, para probar los caminos alternativos
+export function removeIntersectionObserver() {
+  delete window.IntersectionObserver;
+  delete globalThis.IntersectionObserver;
+}
+
+// IndexedDB vacío en memoria (jsdom no lo trae); sin él, los caminos sin soporte
+export function mockIndexedDB() {
+  const factory = new IDBFactory();
+  window.indexedDB = factory;
+  setGlobal("indexedDB", factory);
+  return factory;
+}
+
+export function removeIndexedDB() {
+  delete window.indexedDB;
+  delete globalThis.indexedDB;
+}
+
+/**
+ * Avanza los timers falsos `ms` milisegundos de a uno. En Node 20 un solo
+ * tick() no ejecuta los timeouts que se programan durante ese mismo tick
+ * (cada letra del typewriter, cada cuadro de una animación).
+ */
+export function advance(timers, ms, step = 1) {
+  for (let elapsed = 0; elapsed < ms; elapsed += step) timers.tick(step);
+}
+
+/**
+ * fetch falso que responde `body` (objeto o texto, p. ej. un CSV) o un error
+ * HTTP con `status`. Las URLs pedidas quedan en `fetchImpl.calls`.
+ */
+export function fakeFetch(body, { status = 200 } = {}) {
+  const calls = [];
+  const fetchImpl = (url) => {
+    calls.push(String(url));
+    return Promise.resolve({
+      ok: status >= 200 && status < 300,
+      status,
+      json: () => Promise.resolve(typeof body === "string" ? JSON.parse(body) : structuredClone(body)),
+      text: () => Promise.resolve(typeof body === "string" ? body : JSON.stringify(body)),
+    });
+  };
+  fetchImpl.calls = calls;
+  return fetchImpl;
+}
+
+let sources = 0;
+
+/**
+ * URL nueva y fetch falso para los cargadores de utils/fetchCache.js, que
+ * guardan una sola descarga por URL: así ninguna prueba reutiliza la de otra.
+ *
+ *   fakeSource("fundraising", { campaigns })  -> { url: "test://fundraising/1", fetchImpl }
+ *   fakeSource("statistics", records, { extension: ".json", status: 404 })
+ */
+export function fakeSource(name, body, { extension = "", ...options } = {}) {
+  return { url: `test://${name}/${++sources}${extension}`, fetchImpl: fakeFetch(body, options) };
+}
+
+// Espera a que se resuelvan las promesas pendientes (imports de idiomas, etc.)
+export function flushPromises() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
@@ -0,0 +1,130 @@
+import { describe, test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { setupDom, siteUrl } from "./helpers/dom.js";
+
+const html = `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta name="description" data-i18n-attr="content:meta.description" content="" />
+  </head>
+  <body>
+    <a id="home" data-i18n="nav.home">Home</a>
+    <input id="name" data-i18n-attr="placeholder:footer.name_placeholder" />
+    <p id="pending" data-i18n="contact_form.pending.title" data-i18n-args='{"count": 2}'></p>
+    <p id="missing" data-i18n="nope.not_there">Original</p>
+  </body>
+</html>`;
+
+setupDom({ html });
+
+const i18n = await import("../scripts/utils/i18n.js");
+const { setLanguage, t, getCurrentLanguage, translateElement, getI18nReport } = i18n;
+
+function collectLanguageEvents() {
+  const events = [];
+  document.addEventListener("language-changed", (e) => events.push(e.detail.lang));
+  return events;
+}
+
+describe("i18n", () => {
+  beforeEach(async () => {
+    await setLanguage("en");
+  });
+
+  test("arranca en inglés si no hay idioma en la URL ni guardado", () => {
+    assert.equal(getCurrentLanguage(), "en");
+  });
+
+  test("setLanguage traduce data-i18n, <html lang> y guarda la preferencia", async () => {
+    await setLanguage("fr");
+
+    assert.equal(document.getElementById("home").textContent, "Accueil");
+    assert.equal(document.documentElement.lang, "fr");
+    assert.equal(localStorage.getItem("site-lang"), "fr");
+    assert.equal(getCurrentLanguage(), "fr");
+  });
+
+  test("traduce atributos con data-i18n-attr", async () => {
+    await setLanguage("fr");
+
+    const input = document.getElementById("name");
+    const meta = document.querySelector('meta[name="description"]');
+    assert.equal(input.getAttribute("placeholder"), t("footer.name_placeholder"));
+    assert.match(meta.getAttribute("content"), /Flare/);
+
+    await setLanguage("en");
+    assert.equal(input.getAttribute("placeholder"), "E.g. John Doe");
+  });
+
+  test("formatea plurales con data-i18n-args", async () => {
+    assert.equal(
+      document.getElementById("pending").textContent,
+      "2 messages are waiting to be sent from this device"
+    );
+    assert.equal(
+      t("contact_form.pending.title", { count: 1 }),
+      "1 message is waiting to be sent from this device"
+    );
+  });
+
+  test("emite language-changed con el idioma", async () => {
+    const events = collectLanguageEvents();
+    await setLanguage("fr");
+    assert.deepEqual(events, ["fr"]);
+  });
+
+  test("si se pide otro idioma antes de terminar, solo aplica el último", async () => {
+    const events = collectLanguageEvents();
+    const first = setLanguage("fr");
+    const second = setLanguage("en");
+    await Promise.all([first, second]);
+
+    assert.deepEqual(events, ["en"]);
+    assert.equal(getCurrentLanguage(), "en");
+    assert.equal(document.getElementById("home").textContent, "Home");
+  });
+
+  test("ignora idiomas no registrados", async () => {
+    const events = collectLanguageEvents();
+    await setLanguage("de");
+
+    assert.deepEqual(events, []);
+    assert.equal(getCurrentLanguage(), "en");
+  });
+
+  test("una clave inexistente deja el texto del HTML y queda en el reporte", () => {
+    assert.equal(document.getElementById("missing").textContent, "Original");
+    assert.equal(t("nope.not_there"), null);
+
+    const missing = getI18nReport().missing.map((entry) => entry.key);
+    assert.ok(missing.includes("nope.not_there"));
+  });
+
+  test("translateElement traduce contenido insertado después", async () => {
+    await setLanguage("fr");
+
+    const link = document.createElement("a");
+    link.setAttribute("data-i18n", "nav.contact");
+    document.body.appendChild(link);
+    translateElement(link);
+
+    assert.equal(link.textContent, t("nav.contact"));
+    assert.notEqual(link.textContent, "");
+  });
+
+  test("refleja el idioma en la URL", async () => {
+    await setLanguage("fr");
+    assert.notEqual(location.href, siteUrl);
+    await setLanguage("en");
+    assert.equal(location.href, siteUrl);
+  });
+
+  test("al importarse toma el idioma guardado", async () => {
+    localStorage.setItem("site-lang", "fr");
+    history.replaceState(null, "", "/");
+
+    // Otra instancia del módulo, que vuelve a leer localStorage
+    const fresh = await import("../scripts/utils/i18n.js?guardado");
+    assert.equal(fresh.getCurrentLanguage(), "fr");
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { setupDom, siteUrl } from "./helpers/dom.js";
+
+// La estrategia (prefijo o ?lang=) se decide al importar el módulo según la
+// URL de la página: una copia del módulo para cada una, importadas en orden
+async function importWithUrl(url, copy) {
+  setupDom({ url });
+  return import(`../scripts/utils/languageUrl.js?${copy}`);
+}
+
+const withPrefix = await importWithUrl(`${siteUrl}fr/`, "path");
+const withQuery = await importWithUrl(siteUrl, "query");
+
+const head = (selector) => [...document.head.querySelectorAll(selector)];
+const alternates = () =>
+  Object.fromEntries(head('link[rel="alternate"][hreflang]').map((link) => [link.hreflang, link.href]));
+
+describe("languageUrl con ?lang= (página sin prefijo)", () => {
+  const { getLanguageFromUrl, buildLanguageUrl, syncUrl, updateLanguageMetadata } = withQuery;
+
+  beforeEach(() => {
+    history.replaceState(null, "", siteUrl);
+    document.head.replaceChildren();
+  });
+
+  test("lee el idioma del prefijo o del parámetro, sin importar mayúsculas", () => {
+    assert.equal(getLanguageFromUrl(`${siteUrl}?lang=FR`), "fr");
+    assert.equal(getLanguageFromUrl(`${siteUrl}fr/`), "fr");
+    assert.equal(getLanguageFromUrl(`${siteUrl}?lang=de`), null);
+    assert.equal(getLanguageFromUrl(`${siteUrl}event/`), null);
+    assert.equal(getLanguageFromUrl(), null);
+  });
+
+  test("agrega ?lang= salvo para el idioma por defecto y conserva el resto de la URL", () => {
+    assert.equal(buildLanguageUrl("fr", `${siteUrl}?ref=mail#about`), `${siteUrl}?ref=mail&lang=fr#about`);
+    assert.equal(buildLanguageUrl("en", `${siteUrl}?lang=fr&ref=mail`), `${siteUrl}?ref=mail`);
+  });
+
+  test("syncUrl reemplaza la URL sin sumar entradas al historial", () => {
+    const length = history.length;
+    syncUrl("fr");
+
+    assert.equal(location.href, `${siteUrl}?lang=fr`);
+    assert.equal(history.length, length);
+  });
+
+  test("escribe canonical, hreflang y og:* sin hash ni duplicados", () => {
+    history.replaceState(null, "", `${siteUrl}?lang=fr#contact`);
+    updateLanguageMetadata("fr");
+    updateLanguageMetadata("fr");
+
+    assert.equal(head('link[rel="canonical"]').length, 1);
+    assert.equal(document.head.querySelector('link[rel="canonical"]').href, `${siteUrl}?lang=fr`);
+    assert.deepEqual(alternates(), {
+      en: siteUrl,
+      fr: `${siteUrl}?lang=fr`,
+      "x-default": siteUrl,
+    });
+    assert.equal(document.head.querySelector('meta[property="og:url"]').content, `${siteUrl}?lang=fr`);
+    assert.equal(document.head.querySelector('meta[property="og:locale"]').content, "fr_CA");
+    assert.deepEqual(
+      head('meta[property="og:locale:alternate"]').map((meta) => meta.content),
+      ["en_CA"]
+    );
+  });
+});
+
+describe("languageUrl con prefijo (página /fr/)", () => {
+  const { buildLanguageUrl, updateLanguageMetadata } = withPrefix;
+
+  beforeEach(() => {
+    document.head.replaceChildren();
+  });
+
+  test("cambia el prefijo existente o lo agrega, y quita ?lang=", () => {
+    assert.equal(buildLanguageUrl("en", `${siteUrl}fr/#about`), `${siteUrl}en/#about`);
+    assert.equal(buildLanguageUrl("fr", `${siteUrl}event/?lang=en`), `${siteUrl}fr/event/`);
+  });
+
+  test("los hreflang apuntan a cada prefijo", () => {
+    updateLanguageMetadata("fr");
+
+    assert.deepEqual(alternates(), {
+      en: `${siteUrl}en/`,
+      fr: `${siteUrl}fr/`,
+      "x-default": `${siteUrl}en/`,
+    });
+  });
+});
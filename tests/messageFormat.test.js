@@ -0,0 +1,81 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { formatMessage } from "../scripts/utils/messageFormat.js";
+
+// Intl separa con espacios finos o duros según el idioma
+const normalizeSpaces = (text) => text.replace(/[  ]/g, " ");
+
+describe("formatMessage", () => {
+  test("sin llaves devuelve el mensaje tal cual, aunque no sea texto", () => {
+    assert.equal(formatMessage("Hello"), "Hello");
+    assert.deepEqual(formatMessage(["a", "b"]), ["a", "b"]);
+    assert.equal(formatMessage(null), null);
+  });
+
+  test("reemplaza argumentos simples y deja visibles los que faltan", () => {
+    assert.equal(formatMessage("Hi {name}, {missing}", { name: "Ana" }), "Hi Ana, {missing}");
+    assert.equal(formatMessage("{n}", { n: 0 }), "0");
+  });
+
+  test("formatea números, porcentajes y moneda según el idioma", () => {
+    assert.equal(formatMessage("{n, number}", { n: 12345.5 }, "en-CA"), "12,345.5");
+    assert.equal(normalizeSpaces(formatMessage("{n, number}", { n: 12345.5 }, "fr-CA")), "12 345,5");
+    assert.equal(formatMessage("{n, number, integer}", { n: 2.7 }, "en-CA"), "3");
+    assert.equal(formatMessage("{r, number, percent}", { r: 0.45 }, "en-CA"), "45%");
+    assert.equal(formatMessage("{a, currency}", { a: 1500 }, "en-CA"), "$1,500.00");
+    assert.equal(formatMessage("{a, currency, USD}", { a: 5 }, "en-CA"), "US$5.00");
+  });
+
+  test("formatea fechas y horas con timeZone de los argumentos", () => {
+    const args = { start: "2026-06-14T16:00:00Z", timeZone: "America/Edmonton" };
+
+    assert.equal(formatMessage("{start, date, long}", args, "en-CA"), "June 14, 2026");
+    assert.equal(formatMessage("{start, date, long}", args, "fr-CA"), "14 juin 2026");
+    assert.equal(normalizeSpaces(formatMessage("{start, time}", args, "en-CA")), "10:00 a.m.");
+    assert.equal(formatMessage("{start, time}", { ...args, timeZone: "UTC" }, "fr-CA"), "16 h 00");
+  });
+
+  test("una fecha, zona horaria o moneda inválidas muestran el valor tal cual, sin cortar el mensaje", (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+
+    assert.equal(formatMessage("Starts {start, date} at {start, time}", { start: "soon" }), "Starts soon at soon");
+    assert.equal(
+      formatMessage("{start, date, long}", { start: "2026-06-14T16:00:00Z", timeZone: "Mars/Olympus" }),
+      "2026-06-14T16:00:00Z"
+    );
+    assert.equal(formatMessage("Goal: {a, currency, DOLLARS} of {n, number}", { a: 50, n: 2 }), "Goal: 50 of 2");
+    assert.equal(warn.mock.callCount(), 4);
+  });
+
+  test("elige la forma del plural, con =N antes que la categoría", () => {
+    const message = "{count, plural, =0 {No messages} one {# message} other {# messages}}";
+
+    assert.equal(formatMessage(message, { count: 0 }), "No messages");
+    assert.equal(formatMessage(message, { count: 1 }), "1 message");
+    assert.equal(formatMessage(message, { count: 1200 }, "en-CA"), "1,200 messages");
+    // En francés 0 y 1 son "one"
+    assert.equal(formatMessage("{n, plural, one {# jour} other {# jours}}", { n: 0 }, "fr-CA"), "0 jour");
+  });
+
+  test("select elige la opción por valor, con other de respaldo y # del plural exterior", () => {
+    const message = "{count, plural, other {# {role, select, police {officers} other {responders}}}}";
+
+    assert.equal(formatMessage(message, { count: 3, role: "police" }), "3 officers");
+    assert.equal(formatMessage(message, { count: 3, role: "fire" }), "3 responders");
+  });
+
+  test("un mensaje mal formado se devuelve sin formato y con un aviso", (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+
+    assert.equal(formatMessage("Hi {name", { name: "Ana" }), "Hi {name");
+    assert.equal(formatMessage("Hi } {name}", { name: "Ana" }), "Hi } {name}");
+    assert.equal(warn.mock.callCount(), 2);
+  });
+
+  test("avisa de un tipo desconocido y usa el valor tal cual", (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+
+    assert.equal(formatMessage("{n, ordinal}", { n: 3 }), "3");
+    assert.equal(warn.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,164 @@
+import { describe, test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { setupDom } from "./helpers/dom.js";
+
+setupDom();
+
+const { modal } = await import("../scripts/components/modal.js");
+
+const html = `
+  <header id="header" aria-hidden="false"><a href="#">Home</a></header>
+  <main id="main">
+    <button id="opener">Open</button>
+    <aside id="already-inert" inert></aside>
+    <div class="overlay" id="dialog">
+      <div class="overlay__content">
+        <h2>Title</h2>
+        <a id="first" href="#">Link</a>
+        <button id="hidden-button" hidden>Hidden</button>
+        <input id="field" />
+        <button id="last" data-modal-close>Close</button>
+      </div>
+    </div>
+  </main>
+  <footer id="footer"></footer>`;
+
+function key(name, options = {}) {
+  const event = new KeyboardEvent("keydown", { key: name, bubbles: true, cancelable: true, ...options });
+  document.activeElement.dispatchEvent(event);
+  return event;
+}
+
+const $ = (id) => document.getElementById(id);
+
+describe("modal", () => {
+  let dialog, events;
+
+  beforeEach(() => {
+    document.body.innerHTML = html;
+    document.body.style.overflow = "auto";
+    events = [];
+    $("dialog").addEventListener("modal-open", () => events.push("open"));
+    $("dialog").addEventListener("modal-close", (e) => events.push(`close:${e.detail.reason}`));
+  });
+
+  afterEach(() => {
+    dialog?.destroy();
+    dialog = null;
+  });
+
+  test("marca el diálogo con role y aria-modal", () => {
+    dialog = modal({ element: "#dialog" });
+
+    assert.equal($("dialog").getAttribute("role"), "dialog");
+    assert.equal($("dialog").getAttribute("aria-modal"), "true");
+    assert.equal(dialog.element, $("dialog"));
+  });
+
+  test("al abrir enfoca lo primero, bloquea el scroll y vuelve inerte el resto", () => {
+    dialog = modal({ element: $("dialog") });
+    $("opener").focus();
+    dialog.open();
+
+    assert.equal(dialog.isOpen(), true);
+    assert.equal($("dialog").classList.contains("is-visible"), true);
+    assert.equal(document.activeElement, $("first"));
+    assert.equal(document.body.style.overflow, "hidden");
+    ["header", "opener", "footer"].forEach((id) => {
+      assert.equal($(id).hasAttribute("inert"), true, id);
+      assert.equal($(id).getAttribute("aria-hidden"), "true", id);
+    });
+    assert.equal($("main").hasAttribute("inert"), false);
+    assert.deepEqual(events, ["open"]);
+  });
+
+  test("al cerrar restaura atributos previos, el scroll y el foco", () => {
+    dialog = modal({ element: $("dialog") });
+    $("opener").focus();
+    dialog.open();
+    $("last").click();
+
+    assert.equal(dialog.isOpen(), false);
+    assert.equal(document.body.style.overflow, "auto");
+    assert.equal($("header").hasAttribute("inert"), false);
+    assert.equal($("header").getAttribute("aria-hidden"), "false");
+    assert.equal($("footer").hasAttribute("aria-hidden"), false);
+    assert.equal($("already-inert").hasAttribute("inert"), true);
+    assert.equal(document.activeElement, $("opener"));
+    assert.deepEqual(events, ["open", "close:button"]);
+  });
+
+  test("Tab y Shift+Tab dan la vuelta dentro del diálogo, salteando lo oculto", () => {
+    dialog = modal({ element: $("dialog") });
+    dialog.open();
+
+    $("last").focus();
+    assert.equal(key("Tab").defaultPrevented, true);
+    assert.equal(document.activeElement, $("first"));
+
+    assert.equal(key("Tab", { shiftKey: true }).defaultPrevented, true);
+    assert.equal(document.activeElement, $("last"));
+
+    $("field").focus();
+    assert.equal(key("Tab").defaultPrevented, false);
+  });
+
+  test("Escape y el clic en el fondo cierran, salvo que se desactiven", () => {
+    dialog = modal({ element: $("dialog") });
+    dialog.open();
+    key("Escape");
+    dialog.open();
+    $("dialog").querySelector(".overlay__content").click();
+    assert.equal(dialog.isOpen(), true);
+    $("dialog").click();
+
+    assert.deepEqual(events, ["open", "close:escape", "open", "close:overlay"]);
+    dialog.destroy();
+
+    dialog = modal({ element: $("dialog"), closeOnEscape: false, closeOnOverlay: false });
+    dialog.open();
+    key("Escape");
+    $("dialog").click();
+    assert.equal(dialog.isOpen(), true);
+  });
+
+  test("initialFocus elige dónde empieza el foco y el foco que escapa vuelve adentro", () => {
+    dialog = modal({ element: $("dialog"), initialFocus: "#field" });
+    dialog.open();
+    assert.equal(document.activeElement, $("field"));
+
+    $("opener").focus();
+    assert.equal(document.activeElement, $("field"));
+  });
+
+  test("sin nada enfocable, el foco va al propio diálogo", () => {
+    $("dialog").innerHTML = "<p>Only text</p>";
+    dialog = modal({ element: $("dialog") });
+    dialog.open();
+
+    assert.equal(document.activeElement, $("dialog"));
+    assert.equal($("dialog").getAttribute("tabindex"), "-1");
+    assert.equal(key("Tab").defaultPrevented, true);
+  });
+
+  test("destroy cierra el diálogo abierto y deja de escuchar el teclado", () => {
+    dialog = modal({ element: $("dialog") });
+    dialog.open();
+    dialog.destroy();
+
+    assert.deepEqual(events, ["open", "close:destroy"]);
+    dialog.open();
+    key("Escape");
+    assert.equal(dialog.isOpen(), true);
+    dialog = null;
+  });
+
+  test("sin elemento avisa y no hace nada", (t) => {
+    const error = t.mock.method(console, "error", () => {});
+    dialog = modal({ element: "#nope" });
+    dialog.open();
+
+    assert.equal(dialog.isOpen(), false);
+    assert.equal(error.mock.callCount(), 1);
+  });
+});
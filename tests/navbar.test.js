@@ -0,0 +1,202 @@
+import { describe, test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { setupDom, indexHtml, mockMatchMedia, intersect } from "./helpers/dom.js";
+
+const MOBILE = "(max-width: 991.98px)";
+
+setupDom({ html: indexHtml });
+
+const { barraNavegacion } = await import("../scripts/components/navbar.js");
+
+function key(target, name, options = {}) {
+  const event = new KeyboardEvent("keydown", { key: name, bubbles: true, cancelable: true, ...options });
+  target.dispatchEvent(event);
+  return event;
+}
+
+describe("barraNavegacion", () => {
+  let media, navbar, header, burger, nav, events;
+
+  beforeEach(() => {
+    setupDom({ html: indexHtml });
+    media = mockMatchMedia({ [MOBILE]: true });
+
+    header = document.querySelector(".header");
+    burger = document.querySelector(".header__nav-burguer");
+    nav = document.querySelector(".header__nav-list");
+
+    events = [];
+    header.addEventListener("nav-drawer-open", (e) => events.push(`open:${e.detail.reason}`));
+    header.addEventListener("nav-drawer-close", (e) => events.push(`close:${e.detail.reason}`));
+  });
+
+  afterEach(() => {
+    navbar?.destroy();
+    navbar = null;
+  });
+
+  describe("drawer móvil", () => {
+    test("el botón abre y cierra el menú", () => {
+      navbar = barraNavegacion();
+      assert.equal(nav.hasAttribute("inert"), true);
+
+      burger.click();
+      assert.equal(navbar.isMenuOpen(), true);
+      assert.equal(burger.getAttribute("aria-expanded"), "true");
+      assert.ok(nav.classList.contains("header__nav--active"));
+      assert.equal(nav.hasAttribute("inert"), false);
+      assert.equal(document.body.style.overflow, "hidden");
+
+      burger.click();
+      assert.equal(navbar.isMenuOpen(), false);
+      assert.equal(burger.getAttribute("aria-expanded"), "false");
+      assert.equal(nav.hasAttribute("inert"), true);
+      assert.equal(document.body.style.overflow, "");
+
+      assert.deepEqual(events, ["open:burger", "close:burger"]);
+    });
+
+    test("Escape cierra y devuelve el foco al botón", () => {
+      navbar = barraNavegacion();
+      navbar.openMenu();
+      nav.querySelector("a").focus();
+
+      key(document.activeElement, "Escape");
+
+      assert.equal(navbar.isMenuOpen(), false);
+      assert.equal(document.activeElement, burger);
+      assert.equal(events.at(-1), "close:escape");
+    });
+
+    test("Tab no sale del drawer", () => {
+      navbar = barraNavegacion();
+      navbar.openMenu();
+
+      burger.focus();
+      const event = key(burger, "Tab");
+      assert.equal(event.defaultPrevented, true);
+      assert.ok(nav.contains(document.activeElement));
+
+      key(document.activeElement, "Tab", { shiftKey: true });
+      assert.equal(document.activeElement, burger);
+    });
+
+    test("un clic afuera o en un enlace lo cierra", () => {
+      navbar = barraNavegacion();
+
+      navbar.openMenu();
+      document.querySelector(".main__intro").click();
+      assert.equal(navbar.isMenuOpen(), false);
+
+      navbar.openMenu();
+      nav.querySelector(".header__nav-item").click();
+      assert.equal(navbar.isMenuOpen(), false);
+
+      assert.deepEqual(events, ["open:api", "close:outside", "open:api", "close:navigate"]);
+    });
+
+    test("pasar a escritorio cierra el drawer y quita inert", () => {
+      navbar = barraNavegacion();
+      navbar.openMenu();
+
+      media.set(MOBILE, false);
+
+      assert.equal(navbar.isMenuOpen(), false);
+      assert.equal(nav.hasAttribute("inert"), false);
+      assert.equal(events.at(-1), "close:breakpoint");
+    });
+
+    test("en escritorio no bloquea el scroll", () => {
+      media.set(MOBILE, false);
+      navbar = barraNavegacion();
+
+      assert.equal(nav.hasAttribute("inert"), false);
+      navbar.openMenu();
+      assert.equal(document.body.style.overflow, "");
+    });
+  });
+
+  describe("selector de idioma", () => {
+    test("arma un menuitemradio por idioma con el actual marcado", () => {
+      navbar = barraNavegacion();
+      const items = [...document.querySelectorAll('.header__nav-langlist [role="menuitemradio"]')];
+
+      assert.deepEqual(items.map((item) => item.dataset.lang), ["en", "fr"]);
+      assert.deepEqual(items.map((item) => item.textContent), ["English", "Français"]);
+      assert.deepEqual(items.map((item) => item.getAttribute("aria-checked")), ["true", "false"]);
+    });
+
+    test("elegir un idioma llama a onSelectLanguage y cierra el menú", (t) => {
+      const onSelectLanguage = t.mock.fn();
+      navbar = barraNavegacion({ onSelectLanguage });
+      const langMenu = document.querySelector(".header__nav-langmenu");
+
+      langMenu.click();
+      assert.equal(langMenu.getAttribute("aria-expanded"), "true");
+
+      document.getElementById("btn-fr").click();
+      assert.deepEqual(onSelectLanguage.mock.calls.map((call) => call.arguments[0]), ["fr"]);
+      assert.equal(langMenu.getAttribute("aria-expanded"), "false");
+    });
+
+    test("las flechas recorren los idiomas y Escape vuelve al botón", (t) => {
+      navbar = barraNavegacion({ onSelectLanguage: t.mock.fn() });
+      const langMenu = document.querySelector(".header__nav-langmenu");
+
+      key(langMenu, "ArrowDown");
+      assert.equal(document.activeElement.id, "btn-en");
+
+      key(document.activeElement, "ArrowDown");
+      assert.equal(document.activeElement.id, "btn-fr");
+      assert.equal(document.activeElement.getAttribute("tabindex"), "0");
+
+      key(document.activeElement, "Escape");
+      assert.equal(document.activeElement, langMenu);
+      assert.equal(langMenu.getAttribute("aria-expanded"), "false");
+    });
+
+    test("marca el idioma nuevo con language-changed", () => {
+      navbar = barraNavegacion();
+      document.dispatchEvent(new CustomEvent("language-changed", { detail: { lang: "fr" } }));
+
+      assert.equal(document.getElementById("btn-fr").getAttribute("aria-checked"), "true");
+      assert.equal(document.getElementById("btn-en").getAttribute("aria-checked"), "false");
+    });
+  });
+
+  test("scroll-spy marca la sección visible", () => {
+    navbar = barraNavegacion();
+    const about = document.getElementById("about_us");
+    const link = document.querySelector('.header__nav-item a[href="#about_us"]');
+
+    intersect(about, true);
+    assert.equal(link.getAttribute("aria-current"), "location");
+    assert.ok(link.parentElement.classList.contains("item--active"));
+
+    intersect(about, false);
+    assert.equal(link.hasAttribute("aria-current"), false);
+  });
+
+  test("destroy quita los listeners y deja el menú cerrado", (t) => {
+    const onSelectLanguage = t.mock.fn();
+    navbar = barraNavegacion({ onSelectLanguage });
+    navbar.openMenu();
+    navbar.destroy();
+
+    assert.equal(navbar.isMenuOpen(), false);
+    assert.equal(document.body.style.overflow, "");
+    assert.equal(nav.hasAttribute("inert"), false);
+    assert.equal(media.listenerCount(MOBILE), 0);
+
+    burger.click();
+    document.getElementById("btn-fr").click();
+    const item = nav.querySelector(".header__nav-item");
+    key(item, "Enter");
+
+    assert.equal(burger.getAttribute("aria-expanded"), "false");
+    assert.equal(onSelectLanguage.mock.callCount(), 0);
+    assert.equal(item.classList.contains("item--active"), false);
+    assert.deepEqual(events, ["open:api", "close:destroy"]);
+    navbar = null;
+  });
+});
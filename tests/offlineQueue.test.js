@@ -0,0 +1,214 @@
+import { describe, test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { IDBObjectStore } from "fake-indexeddb";
+import { setupDom, mockIndexedDB, removeIndexedDB } from "./helpers/dom.js";
+
+setupDom();
+
+const { offlineQueue } = await import("../scripts/utils/offlineQueue.js");
+
+const HOUR = 60 * 60 * 1000;
+
+function failure(message, retryable) {
+  const error = new Error(message);
+  error.retryable = retryable;
+  return error;
+}
+
+// send() falso: responde con lo que indique `outcomes[payload.text]`
+function fakeSend(outcomes = {}) {
+  const calls = [];
+  const send = async (payload) => {
+    calls.push(payload.text);
+    const outcome = outcomes[payload.text];
+    if (outcome) throw outcome;
+  };
+  send.calls = calls;
+  return send;
+}
+
+const texts = (items) => items.map((item) => item.payload.text);
+
+// Lo que hay guardado, leído directo de IndexedDB (list() ya purga)
+function stored() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open("flare-offline", 1);
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const db = request.result;
+      const getAll = db.transaction("outbox", "readonly").objectStore("outbox").getAll();
+      getAll.onsuccess = () => {
+        db.close();
+        resolve(texts(getAll.result));
+      };
+      getAll.onerror = () => reject(getAll.error);
+    };
+  });
+}
+
+describe("offlineQueue", () => {
+  let changes;
+  const onChange = () => changes++;
+
+  beforeEach(() => {
+    mockIndexedDB();
+    changes = 0;
+  });
+
+  test("guarda en orden, lista y borra; cada cambio avisa", async () => {
+    const queue = offlineQueue({ send: fakeSend(), onChange });
+    const first = await queue.add({ text: "first" });
+    await queue.add({ text: "second" });
+
+    const items = await queue.list();
+    assert.deepEqual(texts(items), ["first", "second"]);
+    assert.equal(items[0].attempts, 0);
+
+    await queue.remove(first);
+    assert.deepEqual(texts(await queue.list()), ["second"]);
+    assert.equal(changes, 3);
+  });
+
+  test("lo que pasa su ttl se borra antes de listarlo", async (t) => {
+    t.mock.timers.enable({ apis: ["Date"], now: 0 });
+    const queue = offlineQueue({ send: fakeSend(), ttl: HOUR, onChange });
+    await queue.add({ text: "old" });
+    t.mock.timers.tick(HOUR / 2);
+    await queue.add({ text: "new" });
+
+    t.mock.timers.tick(HOUR / 2);
+    assert.deepEqual(texts(await queue.list()), ["new"]);
+    assert.equal(await queue.purgeExpired(2 * HOUR), 1);
+    assert.deepEqual(await queue.list(), []);
+  });
+
+  test("al abrirse borra lo vencido, aunque nadie liste la cola", async (t) => {
+    t.mock.timers.enable({ apis: ["Date"], now: 0 });
+    await offlineQueue({ send: fakeSend(), ttl: HOUR }).add({ text: "old" });
+    t.mock.timers.tick(HOUR);
+
+    await offlineQueue({ send: fakeSend(), ttl: HOUR, onChange }).add({ text: "new" });
+
+    assert.deepEqual(await stored(), ["new"]);
+    assert.equal(changes, 2);
+  });
+
+  test("flush no envía lo vencido", async (t) => {
+    t.mock.timers.enable({ apis: ["Date"], now: 0 });
+    const send = fakeSend();
+    const queue = offlineQueue({ send, ttl: HOUR });
+    await queue.add({ text: "old" });
+    t.mock.timers.tick(HOUR);
+
+    assert.deepEqual(await queue.flush(), { sent: 0, rejected: 0 });
+    assert.deepEqual(send.calls, []);
+    assert.deepEqual(await stored(), []);
+  });
+
+  test("flush envía todo en orden y vacía la cola", async () => {
+    const send = fakeSend();
+    const queue = offlineQueue({ send, onChange });
+    await queue.add({ text: "a" });
+    await queue.add({ text: "b" });
+    changes = 0;
+
+    assert.deepEqual(await queue.flush(), { sent: 2, rejected: 0 });
+    assert.deepEqual(send.calls, ["a", "b"]);
+    assert.deepEqual(await queue.list(), []);
+    assert.equal(changes, 1);
+  });
+
+  test("un error reintentable corta el flush y conserva el mensaje con el intento anotado", async () => {
+    const send = fakeSend({ b: failure("offline", true) });
+    const queue = offlineQueue({ send, onChange });
+    await queue.add({ text: "a" });
+    await queue.add({ text: "b" });
+    await queue.add({ text: "c" });
+
+    assert.deepEqual(await queue.flush(), { sent: 1, rejected: 0 });
+    assert.deepEqual(send.calls, ["a", "b"]);
+
+    const items = await queue.list();
+    assert.deepEqual(texts(items), ["b", "c"]);
+    assert.equal(items[0].attempts, 1);
+    assert.equal(items[0].lastError, "offline");
+  });
+
+  test("con retryAfter ese mensaje y los que siguen esperan el tiempo pedido", async (t) => {
+    t.mock.timers.enable({ apis: ["Date"], now: 0 });
+    const wait = failure("HTTP 429", true);
+    wait.retryAfter = HOUR;
+    const outcomes = { a: wait };
+    const send = fakeSend(outcomes);
+    const queue = offlineQueue({ send, ttl: 2 * HOUR });
+    await queue.add({ text: "a" });
+    await queue.add({ text: "b" }, { retryAfter: HOUR / 2 });
+
+    assert.deepEqual(await queue.flush(), { sent: 0, rejected: 0 });
+    delete outcomes.a;
+    t.mock.timers.tick(HOUR - 1);
+    assert.deepEqual(await queue.flush(), { sent: 0, rejected: 0 });
+    assert.deepEqual(send.calls, ["a"]);
+
+    t.mock.timers.tick(1);
+    assert.deepEqual(await queue.flush(), { sent: 2, rejected: 0 });
+    assert.deepEqual(send.calls, ["a", "a", "b"]);
+  });
+
+  test("un rechazo definitivo (4xx) borra el mensaje y sigue con los demás", async () => {
+    const send = fakeSend({ a: failure("HTTP 422", false) });
+    const queue = offlineQueue({ send, onChange });
+    await queue.add({ text: "a" });
+    await queue.add({ text: "b" });
+    changes = 0;
+
+    assert.deepEqual(await queue.flush(), { sent: 1, rejected: 1 });
+    assert.deepEqual(send.calls, ["a", "b"]);
+    assert.deepEqual(await queue.list(), []);
+    assert.equal(changes, 1);
+
+    // Ya no se vuelve a intentar
+    assert.deepEqual(await queue.flush(), { sent: 0, rejected: 0 });
+    assert.deepEqual(send.calls, ["a", "b"]);
+  });
+
+  test("si el borrado falla tras un envío aceptado, cuenta como enviado y no se reenvía", async (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    const send = fakeSend({ b: failure("HTTP 422", false) });
+    const queue = offlineQueue({ send });
+    await queue.add({ text: "a" });
+    await queue.add({ text: "b" });
+
+    const failing = t.mock.method(IDBObjectStore.prototype, "delete", () => {
+      throw new Error("UnknownError");
+    });
+    assert.deepEqual(await queue.flush(), { sent: 1, rejected: 1 });
+    assert.equal(warn.mock.callCount(), 2);
+    assert.deepEqual(await queue.list(), []);
+    assert.deepEqual(await stored(), ["a", "b"]);
+
+    failing.mock.restore();
+    assert.deepEqual(await queue.flush(), { sent: 0, rejected: 0 });
+    assert.deepEqual(send.calls, ["a", "b"]);
+    assert.deepEqual(await stored(), []);
+  });
+
+  test("dos flush a la vez comparten el mismo envío", async () => {
+    const send = fakeSend();
+    const queue = offlineQueue({ send });
+    await queue.add({ text: "a" });
+
+    const [first, second] = await Promise.all([queue.flush(), queue.flush()]);
+    assert.deepEqual(first, { sent: 1, rejected: 0 });
+    assert.equal(second, first);
+    assert.deepEqual(send.calls, ["a"]);
+  });
+
+  test("sin IndexedDB lo informa y rechaza en lugar de fallar al crearse", async () => {
+    removeIndexedDB();
+    const queue = offlineQueue({ send: fakeSend() });
+
+    assert.equal(queue.isSupported(), false);
+    await assert.rejects(queue.add({ text: "a" }), /IndexedDB/);
+  });
+});
@@ -0,0 +1,301 @@
+import { describe, test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { setupDom, indexHtml, eventsData, fakeSource, flushPromises } from "./helpers/dom.js";
+
+setupDom({ html: indexHtml });
+
+const { initPopup, selectCampaign } = await import("../scripts/components/popup.js");
+const { setLanguage } = await import("../scripts/utils/i18n.js");
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date("2026-05-01T12:00:00Z");
+
+function campaign(overrides = {}) {
+  return {
+    id: "test",
+    start: null,
+    end: null,
+    locales: null,
+    frequency: { type: "once" },
+    delay: 1000,
+    template: "campaign-popup-template",
+    i18nKey: "popup",
+    ...overrides,
+  };
+}
+
+const stored = (id) => JSON.parse(localStorage.getItem(`flare_campaign_${id}`));
+
+describe("selectCampaign", () => {
+  beforeEach(() => {
+    localStorage.clear();
+    sessionStorage.clear();
+  });
+
+  const select = (campaigns, options = {}) => selectCampaign(campaigns, { now, lang: "en", ...options })?.id ?? null;
+
+  test("respeta las fechas de inicio y fin", () => {
+    assert.equal(select([campaign({ start: "2026-05-02T00:00:00Z" })]), null);
+    assert.equal(select([campaign({ end: "2026-04-30T00:00:00Z" })]), null);
+    assert.equal(select([campaign({ start: "2026-04-01T00:00:00Z", end: "2026-06-01T00:00:00Z" })]), "test");
+  });
+
+  test("filtra por idioma", () => {
+    const onlyFrench = [campaign({ locales: ["fr"] })];
+    assert.equal(select(onlyFrench), null);
+    assert.equal(select(onlyFrench, { lang: "fr" }), "test");
+  });
+
+  test("gana la de mayor prioridad y, a igual prioridad, la que termina antes", () => {
+    const campaigns = [
+      campaign({ id: "later", end: "2026-07-01T00:00:00Z" }),
+      campaign({ id: "sooner", end: "2026-06-01T00:00:00Z" }),
+      campaign({ id: "low", priority: -1, end: "2026-05-02T00:00:00Z" }),
+    ];
+    assert.equal(select(campaigns), "sooner");
+    assert.equal(select([...campaigns, campaign({ id: "urgent", priority: 5 })]), "urgent");
+  });
+
+  test('"once" no vuelve a mostrarse después de cerrarla', () => {
+    localStorage.setItem("flare_campaign_test", JSON.stringify({ dismissedAt: now.getTime() - 365 * DAY }));
+    assert.equal(select([campaign()]), null);
+  });
+
+  test('"days" vuelve a mostrarse pasados N días', () => {
+    const weekly = [campaign({ frequency: { type: "days", days: 7 } })];
+
+    localStorage.setItem("flare_campaign_test", JSON.stringify({ dismissedAt: now.getTime() - 6 * DAY }));
+    assert.equal(select(weekly), null);
+
+    localStorage.setItem("flare_campaign_test", JSON.stringify({ dismissedAt: now.getTime() - 7 * DAY }));
+    assert.equal(select(weekly), "test");
+  });
+
+  test('"until-cta" se muestra una vez por sesión hasta usar el CTA', () => {
+    const untilCta = [campaign({ frequency: { type: "until-cta" } })];
+    assert.equal(select(untilCta), "test");
+
+    sessionStorage.setItem("flare_campaign_test", "true");
+    assert.equal(select(untilCta), null);
+
+    sessionStorage.clear();
+    localStorage.setItem("flare_campaign_test", JSON.stringify({ ctaClicked: true }));
+    assert.equal(select(untilCta), null);
+  });
+
+  test("la clave del popup anterior cuenta como cerrada", () => {
+    localStorage.setItem("flare_popup_seen", "true");
+    assert.equal(select([campaign({ legacyStorageKey: "flare_popup_seen" })]), null);
+  });
+
+  test("un estado guardado inválido no rompe la selección", () => {
+    localStorage.setItem("flare_campaign_test", "{no es json");
+    assert.equal(select([campaign()]), "test");
+  });
+});
+
+describe("initPopup", () => {
+  let popup;
+
+  beforeEach((t) => {
+    localStorage.clear();
+    sessionStorage.clear();
+    t.mock.timers.enable({ apis: ["setTimeout", "Date"], now });
+  });
+
+  afterEach(() => {
+    popup?.destroy();
+    popup = null;
+  });
+
+  test("no hace nada si no hay campaña disponible", () => {
+    assert.equal(initPopup({ campaigns: [], now }), null);
+    assert.equal(document.querySelector(".popup-overlay"), null);
+  });
+
+  test("se abre después de la demora de la campaña", (t) => {
+    popup = initPopup({ campaigns: [campaign()], now });
+    assert.equal(popup.element.id, "campaign-test");
+    assert.equal(popup.element.classList.contains("is-visible"), false);
+
+    t.mock.timers.tick(999);
+    assert.equal(popup.element.classList.contains("is-visible"), false);
+    t.mock.timers.tick(1);
+    assert.equal(popup.element.classList.contains("is-visible"), true);
+  });
+
+  test("cerrarla guarda la fecha y la marca en la sesión", (t) => {
+    popup = initPopup({ campaigns: [campaign()], now });
+    t.mock.timers.tick(1000);
+
+    popup.element.querySelector("[data-campaign-close]").click();
+
+    assert.equal(popup.element.classList.contains("is-visible"), false);
+    assert.equal(stored("test").dismissedAt, now.getTime() + 1000);
+    assert.equal(sessionStorage.getItem("flare_campaign_test"), "true");
+    assert.equal(initPopup({ campaigns: [campaign()], now }), null);
+  });
+
+  test("el CTA queda registrado y cierra el popup", (t) => {
+    popup = initPopup({ campaigns: [campaign({ frequency: { type: "until-cta" } })], now });
+    t.mock.timers.tick(1000);
+
+    popup.element.querySelector("[data-campaign-cta]").click();
+
+    assert.equal(stored("test").ctaClicked, true);
+    assert.equal(popup.element.classList.contains("is-visible"), false);
+  });
+
+  test("destroy cancela la apertura pendiente y quita el marcado", (t) => {
+    popup = initPopup({ campaigns: [campaign()], now });
+    const { element } = popup;
+    popup.destroy();
+    popup = null;
+
+    t.mock.timers.tick(2000);
+    assert.equal(element.isConnected, false);
+    assert.equal(localStorage.getItem("flare_campaign_test"), null);
+  });
+});
+
+describe("initPopup con un evento", () => {
+  const EVENT_ID = "trevor-claydon-fundraiser-2026";
+  let popup;
+  const eventsOptions = (body = eventsData, options) => fakeSource("popup-events", body, options);
+  const text = (name) => popup.element.querySelector(`[data-campaign-text="${name}"]`).textContent;
+  const items = (name) =>
+    [...popup.element.querySelectorAll(`[data-campaign-list="${name}"] > *`)].map((el) => el.textContent);
+
+  beforeEach(async (t) => {
+    localStorage.clear();
+    sessionStorage.clear();
+    await setLanguage("en");
+    t.mock.timers.enable({ apis: ["setTimeout", "Date"], now });
+  });
+
+  afterEach(() => {
+    popup?.destroy();
+    popup = null;
+  });
+
+  test("completa título, fecha, lugar, textos y enlaces desde events.json", async (t) => {
+    popup = initPopup({ campaigns: [campaign({ event: EVENT_ID })], now, eventsOptions: eventsOptions() });
+    assert.equal(await popup.ready, true);
+
+    const [event] = eventsData.events;
+    assert.equal(text("title"), event.title.en);
+    assert.equal(text("tagline"), event.summary.en);
+    assert.match(text("date_value"), /June 14, 2026/);
+    assert.equal(text("location_value"), "Blue Meadows, 4 Kuch Ct, Spruce Grove, AB T7Y 1A8");
+    assert.deepEqual(items("blurb"), event.description.en);
+    assert.deepEqual(items("highlights"), event.highlights.en);
+    assert.equal(popup.element.querySelector("[data-campaign-cta]").href, event.links.donate);
+    // Las etiquetas siguen saliendo de las traducciones
+    assert.equal(text("date_label"), "Date & Time");
+
+    t.mock.timers.tick(1000);
+    await flushPromises();
+    assert.equal(popup.element.classList.contains("is-visible"), true);
+  });
+
+  test("cambia de idioma junto con el sitio", async () => {
+    popup = initPopup({ campaigns: [campaign({ event: EVENT_ID })], now, eventsOptions: eventsOptions() });
+    await popup.ready;
+    await setLanguage("fr");
+
+    assert.equal(text("title"), eventsData.events[0].title.fr);
+    assert.deepEqual(items("highlights"), eventsData.events[0].highlights.fr);
+    assert.match(text("date_value"), /14 juin 2026/);
+  });
+
+  test("no se abre si el evento no existe o no se pudo cargar", async (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+
+    popup = initPopup({ campaigns: [campaign({ event: "no-existe" })], now, eventsOptions: eventsOptions() });
+    assert.equal(await popup.ready, false);
+    t.mock.timers.tick(1000);
+    await flushPromises();
+    assert.equal(popup.element.classList.contains("is-visible"), false);
+    popup.destroy();
+
+    popup = initPopup({
+      campaigns: [campaign({ event: EVENT_ID })],
+      now,
+      eventsOptions: eventsOptions({}, { status: 500 }),
+    });
+    assert.equal(await popup.ready, false);
+    t.mock.timers.tick(1000);
+    await flushPromises();
+    assert.equal(popup.element.classList.contains("is-visible"), false);
+    assert.equal(warn.mock.callCount(), 2);
+  });
+
+  test("espera al evento aunque la demora ya haya pasado", async (t) => {
+    let respond;
+    const fetchImpl = () => new Promise((resolve) => (respond = resolve));
+    popup = initPopup({
+      campaigns: [campaign({ event: EVENT_ID })],
+      now,
+      eventsOptions: { ...eventsOptions(), fetchImpl },
+    });
+
+    t.mock.timers.tick(1000);
+    await flushPromises();
+    assert.equal(popup.element.classList.contains("is-visible"), false);
+
+    respond({ ok: true, status: 200, json: () => Promise.resolve(structuredClone(eventsData)) });
+    await popup.ready;
+    await flushPromises();
+    assert.equal(popup.element.classList.contains("is-visible"), true);
+  });
+});
+
+describe("initPopup con una campaña de donación", () => {
+  let popup;
+  const fundraisingOptions = (body) => fakeSource("popup-fundraising", body);
+  const block = () => popup.element.querySelector("[data-campaign-fundraising]");
+
+  beforeEach(async (t) => {
+    localStorage.clear();
+    sessionStorage.clear();
+    await setLanguage("en");
+    t.mock.timers.enable({ apis: ["setTimeout", "Date"], now });
+  });
+
+  afterEach(() => {
+    popup?.destroy();
+    popup = null;
+  });
+
+  test("sin `fundraising` la barra no forma parte del popup", () => {
+    popup = initPopup({ campaigns: [campaign()], now });
+    assert.equal(block(), null);
+  });
+
+  test("muestra el avance de la campaña indicada", async () => {
+    const data = { campaigns: [{ id: "spring", goal: 2000, raised: 500 }] };
+    popup = initPopup({
+      campaigns: [campaign({ fundraising: "spring" })],
+      now,
+      fundraisingOptions: fundraisingOptions(data),
+    });
+    await flushPromises();
+
+    assert.equal(block().hidden, false);
+    assert.equal(block().querySelector('[data-fundraising-text="raised"]').textContent, "$500 raised of $2,000");
+  });
+
+  test("sin cifras el popup se abre igual, sin la barra", async (t) => {
+    const data = { campaigns: [{ id: "spring", goal: null, raised: null }] };
+    popup = initPopup({
+      campaigns: [campaign({ fundraising: "spring" })],
+      now,
+      fundraisingOptions: fundraisingOptions(data),
+    });
+    await flushPromises();
+    t.mock.timers.tick(1000);
+
+    assert.equal(block().hidden, true);
+    assert.equal(popup.element.classList.contains("is-visible"), true);
+  });
+});
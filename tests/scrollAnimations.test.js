@@ -0,0 +1,168 @@
+import { describe, test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  setupDom,
+  mockMatchMedia,
+  intersect,
+  removeIntersectionObserver,
+  advance,
+  flushPromises,
+} from "./helpers/dom.js";
+
+const html = `<!DOCTYPE html>
+<body>
+  <h2 class="js-scroll" id="title" data-scroll-animation="fade-up">Title</h2>
+  <p class="js-scroll" id="late" data-scroll-delay="200" data-scroll-threshold="0.5">Text</p>
+  <p class="js-scroll" id="repeat" data-scroll-once="false">Again</p>
+  <ul id="grid" data-scroll-stagger="100" data-scroll-animation="zoom">
+    <li id="first">1</li>
+    <li id="second">2</li>
+    <li id="third" data-scroll-delay="50">3</li>
+  </ul>
+</body>`;
+
+setupDom({ html });
+
+const { default: ScrollAnimations } = await import("../scripts/components/scrollAnimations.js");
+
+const byId = (id) => document.getElementById(id);
+const isShown = (id) => byId(id).classList.contains("scrolled");
+
+describe("ScrollAnimations", () => {
+  let animations;
+
+  beforeEach((t) => {
+    setupDom({ html });
+    t.mock.method(console, "warn", () => {});
+  });
+
+  afterEach(() => {
+    animations?.destroy();
+    animations = null;
+  });
+
+  test("muestra cada elemento al entrar en pantalla", () => {
+    animations = new ScrollAnimations();
+    assert.equal(isShown("title"), false);
+    assert.equal(byId("title").style.willChange, "opacity, transform");
+
+    intersect(byId("title"));
+    assert.equal(isShown("title"), true);
+  });
+
+  test("lee delay y threshold de los data-*", () => {
+    animations = new ScrollAnimations();
+    const thresholds = window.IntersectionObserver.instances.map((observer) => observer.options.threshold);
+    assert.deepEqual(thresholds.sort(), [0, 0.5]);
+
+    intersect(byId("late"));
+    assert.equal(byId("late").style.transitionDelay, "200ms");
+  });
+
+  test("los hijos de un stagger heredan la animación con retrasos crecientes", () => {
+    animations = new ScrollAnimations();
+
+    ["first", "second", "third"].forEach((id) => {
+      assert.ok(byId(id).classList.contains("js-scroll"));
+      assert.equal(byId(id).dataset.scrollAnimation, "zoom");
+      intersect(byId(id));
+    });
+
+    assert.equal(byId("first").style.transitionDelay, "");
+    assert.equal(byId("second").style.transitionDelay, "100ms");
+    assert.equal(byId("third").style.transitionDelay, "50ms");
+  });
+
+  test("por defecto anima una sola vez; con data-scroll-once=false se oculta al salir", () => {
+    const left = [];
+    animations = new ScrollAnimations({ onLeave: (el) => left.push(el.id) });
+
+    intersect(byId("title"));
+    intersect(byId("repeat"));
+    intersect(byId("title"), false);
+    intersect(byId("repeat"), false);
+
+    assert.equal(isShown("title"), true);
+    assert.equal(isShown("repeat"), false);
+    assert.deepEqual(left, ["repeat"]);
+  });
+
+  test("emite scroll-enter y llama a onEnter", () => {
+    const entered = [];
+    const onEnter = (el) => entered.push(`callback:${el.id}`);
+    document.addEventListener("scroll-enter", (e) => entered.push(`event:${e.detail.element.id}`));
+    animations = new ScrollAnimations({ onEnter });
+
+    intersect(byId("title"));
+    intersect(byId("title"));
+
+    assert.deepEqual(entered, ["callback:title", "event:title"]);
+  });
+
+  test("con prefers-reduced-motion muestra todo sin observar", () => {
+    mockMatchMedia({ "(prefers-reduced-motion: reduce)": true });
+    animations = new ScrollAnimations();
+
+    assert.ok(["title", "late", "first", "third"].every(isShown));
+    assert.equal(window.IntersectionObserver.instances.length, 0);
+  });
+
+  test("sin IntersectionObserver calcula la visibilidad al hacer scroll", (t) => {
+    t.mock.timers.enable({ apis: ["setTimeout"] });
+    removeIntersectionObserver();
+
+    const rect = (top, height = 100) => () => ({ top, bottom: top + height, height, left: 0, right: 0, width: 0 });
+    document.querySelectorAll(".js-scroll, #grid > li").forEach((el) => {
+      el.getBoundingClientRect = rect(5000);
+    });
+    byId("title").getBoundingClientRect = rect(100);
+
+    animations = new ScrollAnimations();
+    advance(t.mock.timers, 16);
+    assert.equal(isShown("title"), true);
+    assert.equal(isShown("late"), false);
+
+    byId("late").getBoundingClientRect = rect(200);
+    window.dispatchEvent(new Event("scroll"));
+    advance(t.mock.timers, 16);
+    assert.equal(isShown("late"), true);
+  });
+
+  test("con observarCambios suma los elementos insertados y suelta los quitados", async () => {
+    animations = new ScrollAnimations({ observarCambios: true });
+
+    const added = document.createElement("p");
+    added.className = "js-scroll";
+    document.body.appendChild(added);
+    const item = document.createElement("li");
+    byId("grid").appendChild(item);
+    await flushPromises();
+
+    assert.ok(animations.elementos.includes(added));
+    assert.equal(item.dataset.scrollAnimation, "zoom");
+    assert.equal(animations.opciones.get(item).delay, 300);
+
+    added.remove();
+    await flushPromises();
+    assert.equal(animations.elementos.includes(added), false);
+  });
+
+  test("refresh no repite animaciones ya terminadas", () => {
+    animations = new ScrollAnimations();
+    intersect(byId("title"));
+    animations.refresh();
+
+    const observed = window.IntersectionObserver.instances.some((observer) => observer.targets.has(byId("title")));
+    assert.equal(isShown("title"), true);
+    assert.equal(observed, false);
+  });
+
+  test("destroy desconecta los observers y limpia will-change", () => {
+    animations = new ScrollAnimations();
+    animations.destroy();
+
+    assert.ok(window.IntersectionObserver.instances.every((observer) => observer.targets.size === 0));
+    assert.equal(byId("title").style.willChange, "");
+    assert.deepEqual(animations.elementos, []);
+  });
+});
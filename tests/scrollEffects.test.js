@@ -0,0 +1,119 @@
+import { describe, test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { setupDom, mockMatchMedia } from "./helpers/dom.js";
+
+setupDom();
+
+const { scrollEffects } = await import("../scripts/components/scrollEffects.js");
+
+const html = `
+  <div class="reading-progress"></div>
+  <section id="progress" data-scroll-progress></section>
+  <section id="parallax" data-parallax="0.3"></section>`;
+
+const $ = (id) => document.getElementById(id);
+const property = (el, name) => el.style.getPropertyValue(name);
+
+// Posición del elemento respecto de la ventana (jsdom no hace layout)
+function place(el, top, height) {
+  el.getBoundingClientRect = () => ({ top, height, bottom: top + height });
+}
+
+function scrollTo(y) {
+  Object.defineProperty(window, "scrollY", { value: y, configurable: true });
+  window.dispatchEvent(new Event("scroll"));
+}
+
+describe("scrollEffects", () => {
+  let effects;
+
+  beforeEach((t) => {
+    t.mock.timers.enable({ apis: ["setTimeout"] });
+    document.body.innerHTML = html;
+    document.documentElement.removeAttribute("style");
+    Object.defineProperty(window, "innerHeight", { value: 800, configurable: true });
+    Object.defineProperty(document.documentElement, "scrollHeight", { value: 2800, configurable: true });
+    Object.defineProperty(window, "scrollY", { value: 0, configurable: true });
+    mockMatchMedia();
+    delete window.ScrollTimeline;
+    place($("progress"), 800, 400);
+    place($("parallax"), 0, 400);
+  });
+
+  afterEach(() => {
+    effects?.destroy();
+    effects = null;
+  });
+
+  test("calcula --scroll-progress de cada elemento y de la página al iniciar", () => {
+    effects = scrollEffects();
+
+    // Borde superior justo en el fondo de la ventana: 0
+    assert.equal(property($("progress"), "--scroll-progress"), "0.0000");
+    // (800 - 0) / (800 + 400)
+    assert.equal(property($("parallax"), "--scroll-progress"), "0.6667");
+    assert.equal(property(document.documentElement, "--scroll-progress"), "0.0000");
+    assert.equal(property($("parallax"), "--parallax-speed"), "0.3");
+  });
+
+  test("el scroll se agrupa en un solo cuadro de animación", (t) => {
+    effects = scrollEffects();
+    place($("progress"), -400, 400);
+
+    scrollTo(500);
+    scrollTo(1000);
+    assert.equal(property($("progress"), "--scroll-progress"), "0.0000");
+
+    t.mock.timers.tick(16);
+    // El borde inferior ya salió por arriba: 1
+    assert.equal(property($("progress"), "--scroll-progress"), "1.0000");
+    // 1000 / (2800 - 800)
+    assert.equal(property(document.documentElement, "--scroll-progress"), "0.5000");
+  });
+
+  test("con prefers-reduced-motion no hay parallax, pero sí progreso", () => {
+    mockMatchMedia({ "(prefers-reduced-motion: reduce)": true });
+    effects = scrollEffects();
+
+    assert.equal(property($("parallax"), "--parallax-speed"), "");
+    assert.equal(property($("parallax"), "--scroll-progress"), "0.6667");
+  });
+
+  test("con ScrollTimeline deja el trabajo al CSS y no escucha el scroll", (t) => {
+    window.ScrollTimeline = function ScrollTimeline() {};
+    window.CSS = { supports: (query) => query === "animation-timeline: view()" };
+    t.after(() => delete window.CSS);
+    effects = scrollEffects();
+
+    assert.equal(document.documentElement.classList.contains("has-scroll-timeline"), true);
+    assert.equal(property($("progress"), "--scroll-progress"), "");
+
+    scrollTo(1000);
+    t.mock.timers.tick(16);
+    assert.equal(property(document.documentElement, "--scroll-progress"), "");
+
+    effects.destroy();
+    assert.equal(document.documentElement.classList.contains("has-scroll-timeline"), false);
+    effects = null;
+  });
+
+  test("destroy cancela el cuadro pendiente y limpia las variables", (t) => {
+    effects = scrollEffects();
+    scrollTo(1000);
+    effects.destroy();
+    t.mock.timers.tick(16);
+
+    assert.equal(property($("progress"), "--scroll-progress"), "");
+    assert.equal(property($("parallax"), "--parallax-speed"), "");
+    assert.equal(property(document.documentElement, "--scroll-progress"), "");
+    effects = null;
+  });
+
+  test("sin elementos que seguir no hace nada", () => {
+    document.body.innerHTML = "<p>Nothing</p>";
+    effects = scrollEffects();
+    scrollTo(1000);
+
+    assert.equal(property(document.documentElement, "--scroll-progress"), "");
+  });
+});
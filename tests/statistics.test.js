@@ -0,0 +1,369 @@
+import { describe, test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { setupDom, statisticsHtml, fakeSource, flushPromises } from "./helpers/dom.js";
+
+setupDom({ html: statisticsHtml, url: "https://www.flareinitiative.org/statistics/" });
+
+const {
+  parseCsv,
+  normalizeRecords,
+  getYears,
+  filterRecords,
+  resolveThreshold,
+  suppressRecords,
+  summarize,
+  loadStatistics,
+  SECTORS,
+  PROVINCES,
+} = await import("../scripts/utils/statistics.js");
+const { statisticsDashboard } = await import("../scripts/components/statisticsDashboard.js");
+const { setLanguage } = await import("../scripts/utils/i18n.js");
+
+const shippedCsv = readFileSync(new URL("../scripts/data/statistics.csv", import.meta.url), "utf8");
+
+// Datos de prueba, no cifras reales. Suprimidas con el umbral de 5:
+// AB/2022/ems, AB/2023/ems y AB/2024/police
+const fixtureCsv = [
+  "year,province,sector,count",
+  "2022,ON,police,12",
+  "2022,ON,fire,7",
+  "2022,AB,ems,3",
+  "2023,ON,police,9",
+  "2023,QC,fire,6",
+  "2023,AB,ems,2",
+  "2023,AB,fire,8",
+  "2024,ON,police,11",
+  "2024,QC,corrections,8",
+  "2024,AB,police,3",
+  "2024,AB,fire,17",
+].join("\n");
+
+describe("parseCsv y normalizeRecords", () => {
+  test("lee comillas, comillas dobles escapadas y saltos CRLF", () => {
+    const rows = parseCsv('Year,Note\r\n2024,"uno, ""dos"""\r\n\r\n2023,tres');
+
+    assert.deepEqual(rows, [
+      { year: "2024", note: 'uno, "dos"' },
+      { year: "2023", note: "tres" },
+    ]);
+  });
+
+  test("el CSV publicado solo trae el encabezado", () => {
+    assert.deepEqual(parseCsv(shippedCsv), []);
+  });
+
+  test("descarta filas incompletas, negativas o con valores desconocidos", () => {
+    const records = normalizeRecords([
+      { year: "2024", province: "on", sector: "Police", count: "12" },
+      { year: "2024", province: "XX", sector: "police", count: "3" },
+      { year: "2024", province: "ON", sector: "army", count: "3" },
+      { year: "2024", province: "ON", sector: "fire", count: "-1" },
+      { year: "", province: "ON", sector: "fire", count: "4" },
+      { year: "2024", province: "ON", sector: "fire", count: "2.5" },
+      { year: "2024", province: "ON", sector: "fire", count: "" },
+    ]);
+
+    assert.deepEqual(records, [{ year: 2024, province: "ON", sector: "police", count: 12 }]);
+  });
+
+  test("loadStatistics acepta también JSON con { records }", async () => {
+    const records = [{ year: 2024, province: "NS", sector: "dispatch", count: 6 }];
+    assert.deepEqual(await loadStatistics(fakeSource("statistics", { records }, { extension: ".json" })), records);
+  });
+});
+
+describe("consultas", () => {
+  const records = normalizeRecords(parseCsv(fixtureCsv));
+
+  test("getYears cubre el rango completo, aunque falte algún año", () => {
+    assert.deepEqual(getYears([{ year: 2019 }, { year: 2022 }]), [2019, 2020, 2021, 2022]);
+    assert.deepEqual(getYears([]), []);
+  });
+
+  test("filterRecords combina años, sectores y provincias; vacío es sin filtro", () => {
+    assert.equal(filterRecords(records, {}).length, records.length);
+    assert.equal(filterRecords(records, { sectors: [], provinces: [] }).length, records.length);
+    assert.deepEqual(
+      filterRecords(records, { from: 2023, to: 2024, sectors: ["police"], provinces: ["ON"] }).map((r) => r.count),
+      [9, 11]
+    );
+  });
+
+  test("el umbral se puede subir pero nunca bajar de 5", () => {
+    assert.equal(resolveThreshold(), 5);
+    assert.equal(resolveThreshold(2), 5);
+    assert.equal(resolveThreshold("10"), 10);
+    assert.equal(resolveThreshold("abc"), 5);
+  });
+});
+
+describe("suppressRecords y summarize", () => {
+  const records = normalizeRecords(parseCsv(fixtureCsv));
+  const counts = (summary) => summary.cells.map((cell) => cell.count);
+
+  test("suprime cada fila menor que el umbral, ceros incluidos, y borra su conteo", () => {
+    const rows = suppressRecords([
+      { year: 2024, province: "AB", sector: "police", count: 0 },
+      { year: 2024, province: "AB", sector: "fire", count: 4 },
+      { year: 2024, province: "AB", sector: "ems", count: 5 },
+    ]);
+
+    assert.deepEqual(
+      rows.map((row) => [row.count, row.suppressed]),
+      [
+        [null, true],
+        [null, true],
+        [5, false],
+      ]
+    );
+    assert.deepEqual(suppressRecords(rows), rows);
+  });
+
+  test("suma solo las filas visibles y marca como parcial lo que deja afuera alguna", () => {
+    const summary = summarize(records, "sector", SECTORS);
+
+    assert.deepEqual(counts(summary), [32, 38, null, 8, null]);
+    assert.deepEqual(
+      summary.cells.map((cell) => cell.partial),
+      [true, false, false, false, false]
+    );
+    assert.deepEqual(summary.total, { count: 78, suppressed: false, partial: true });
+  });
+
+  test("sin filas visibles la celda queda suprimida", () => {
+    const summary = summarize(filterRecords(records, { sectors: ["ems"] }), "province", ["AB", "NU"]);
+
+    assert.deepEqual(summary.cells, [
+      { key: "AB", count: null, suppressed: true, partial: false },
+      { key: "NU", count: null, suppressed: true, partial: false },
+    ]);
+    assert.equal(summary.total.suppressed, true);
+  });
+
+  test("respeta un umbral más alto", () => {
+    assert.deepEqual(counts(summarize(records, "province", ["ON", "QC", "AB"], { threshold: 10 })), [23, null, 17]);
+  });
+
+  test("ninguna cifra cambia si cambian los conteos suprimidos", () => {
+    // Mismos datos con cada fila suprimida en 0 y en 4: si una vista o la
+    // diferencia entre dos dependiera de ellas, algún resultado cambiaría
+    const variant = (count) => records.map((record) => (record.count < 5 ? { ...record, count } : record));
+    const views = [
+      {},
+      { provinces: ["AB"] },
+      { provinces: ["AB"], from: 2023, to: 2024 },
+      { provinces: ["AB"], sectors: ["fire", "ems", "corrections", "dispatch"] },
+      { sectors: ["police"] },
+      { from: 2024, to: 2024 },
+    ];
+    const keys = { year: [2022, 2023, 2024], sector: SECTORS, province: PROVINCES };
+    const all = (rows) =>
+      views.flatMap((filters) =>
+        Object.entries(keys).map(([by, list]) => summarize(filterRecords(rows, filters), by, list))
+      );
+
+    assert.deepEqual(all(variant(0)), all(records));
+    assert.deepEqual(all(variant(4)), all(records));
+  });
+});
+
+describe("statisticsDashboard", () => {
+  let dashboard;
+  const root = () => document.querySelector(".statistics");
+  const status = () => root().querySelector(".statistics__status");
+  const form = () => root().querySelector(".statistics__filters");
+  const figure = (by) => root().querySelector(`[data-statistics-chart="${by}"]`);
+  const tableRows = (by) =>
+    [...figure(by).querySelectorAll("tbody tr")].map((tr) => [tr.cells[0].textContent, tr.cells[1].textContent]);
+
+  async function mount(body, options = {}) {
+    dashboard = statisticsDashboard({ ...fakeSource("statistics", body, options.response), ...options });
+    await flushPromises();
+    await flushPromises();
+    return dashboard;
+  }
+
+  function change(name, value) {
+    form().elements.namedItem(name).value = value;
+    form().dispatchEvent(new window.Event("change", { bubbles: true }));
+  }
+
+  beforeEach(async () => {
+    await setLanguage("en");
+    document.body.innerHTML = new window.DOMParser().parseFromString(statisticsHtml, "text/html").body.innerHTML;
+  });
+
+  afterEach(() => {
+    dashboard?.destroy();
+    dashboard = null;
+  });
+
+  test("dibuja los tres gráficos con su tabla y llena los filtros", async () => {
+    await mount(fixtureCsv);
+
+    assert.equal(status().hidden, true);
+    assert.equal(form().hidden, false);
+    assert.equal(root().querySelector(".statistics__charts").hidden, false);
+    assert.equal(root().hasAttribute("aria-busy"), false);
+
+    const svg = figure("year").querySelector("svg");
+    assert.equal(svg.getAttribute("role"), "img");
+    assert.equal(svg.querySelector("title").textContent, "By year");
+    assert.equal(svg.querySelector("desc").textContent, "Total: 78+");
+    assert.equal(figure("sector").querySelector("svg").querySelectorAll(".chart__bar").length, 5);
+    assert.equal(figure("province").querySelector("svg").querySelectorAll(".chart__bar").length, 13);
+
+    assert.deepEqual(tableRows("year"), [
+      ["2022", "At least 19"],
+      ["2023", "At least 23"],
+      ["2024", "At least 36"],
+    ]);
+    assert.equal(figure("year").querySelector("tfoot td").textContent, "At least 78");
+
+    assert.deepEqual(
+      [...form().elements.namedItem("from").options].map((option) => option.value),
+      ["2022", "2023", "2024"]
+    );
+    assert.equal(form().elements.namedItem("to").value, "2024");
+    assert.equal(form().querySelectorAll('input[name="sector"]:checked').length, 5);
+    assert.equal(form().elements.namedItem("province").options.length, 14);
+  });
+
+  test("ningún conteo suprimido aparece en el gráfico ni en la tabla", async () => {
+    await mount(fixtureCsv);
+
+    const sector = figure("sector");
+    const value = (label) =>
+      [...sector.querySelectorAll(".chart__item")]
+        .find((item) => item.querySelector(".chart__label").textContent === label)
+        .querySelector(".chart__value").textContent;
+    assert.equal(value("Police"), "32+");
+    assert.equal(value("Paramedics (EMS)"), "–");
+    assert.equal(sector.querySelectorAll(".chart__bar--suppressed").length, 2);
+
+    assert.deepEqual(tableRows("sector"), [
+      ["Police", "At least 32"],
+      ["Fire", "38"],
+      ["Paramedics (EMS)", "Not shown"],
+      ["Corrections", "8"],
+      ["Dispatch", "Not shown"],
+    ]);
+    assert.equal(sector.querySelectorAll('td[data-suppressed=""]').length, 2);
+    assert.equal(sector.querySelectorAll('td[data-partial=""]').length, 2);
+
+    assert.match(
+      root().querySelector(".statistics__note").textContent,
+      /^To protect the privacy of families, any count below 5 .* is left out of every figure on this page\./
+    );
+  });
+
+  test("restar dos vistas no despeja un conteo suprimido", async () => {
+    await mount(fixtureCsv);
+    const number = (text) => Number(text.replace(/\D/g, ""));
+
+    // AB/2024/police (3) está suprimida: con y sin policía, 2024 da lo mismo
+    change("province", "AB");
+    change("from", "2023");
+    const withPolice = Object.fromEntries(tableRows("year"));
+    form().querySelector('input[value="police"]').checked = false;
+    change("to", "2024");
+    const withoutPolice = Object.fromEntries(tableRows("year"));
+
+    assert.equal(withPolice["2024"], "At least 17");
+    assert.equal(withoutPolice["2024"], "17");
+    assert.equal(number(withPolice["2024"]) - number(withoutPolice["2024"]), 0);
+    assert.equal(number(withPolice["2023"]) - number(withoutPolice["2023"]), 0);
+  });
+
+  test("los filtros vuelven a dibujar y reset restaura todo", async () => {
+    await mount(fixtureCsv);
+
+    change("from", "2023");
+    assert.deepEqual(
+      tableRows("year").map(([year]) => year),
+      ["2023", "2024"]
+    );
+
+    change("province", "ON");
+    assert.deepEqual(tableRows("province"), [["Ontario", "20"]]);
+
+    form().querySelector('input[value="police"]').checked = false;
+    change("to", "2024");
+    assert.equal(Object.fromEntries(tableRows("sector")).Police, undefined);
+
+    form().dispatchEvent(new window.Event("reset", { cancelable: true }));
+    assert.equal(form().elements.namedItem("from").value, "2022");
+    assert.equal(form().elements.namedItem("province").value, "");
+    assert.equal(tableRows("province").length, 13);
+    assert.equal(tableRows("sector").length, 5);
+  });
+
+  test("el botón muestra y oculta la tabla", async () => {
+    await mount(fixtureCsv);
+    const toggle = figure("year").querySelector("[data-statistics-table-toggle]");
+    const table = figure("year").querySelector("table");
+
+    assert.equal(toggle.getAttribute("aria-controls"), table.id);
+    assert.equal(table.classList.contains("sr-only"), true);
+
+    toggle.click();
+    assert.equal(toggle.getAttribute("aria-expanded"), "true");
+    assert.equal(toggle.textContent, "Hide data table");
+    assert.equal(table.classList.contains("sr-only"), false);
+
+    toggle.click();
+    assert.equal(table.classList.contains("sr-only"), true);
+  });
+
+  test("sin formulario de filtros muestra todos los datos", async () => {
+    form().remove();
+    await mount(fixtureCsv);
+
+    assert.equal(status().hidden, true);
+    assert.equal(root().querySelector(".statistics__charts").hidden, false);
+    assert.equal(figure("year").querySelector("tfoot td").textContent, "At least 78");
+    assert.equal(figure("sector").querySelectorAll("tbody tr").length, 5);
+  });
+
+  test("data-threshold solo puede subir el umbral", async () => {
+    assert.equal((await mount(fixtureCsv, { threshold: 2 })).getThreshold(), 5);
+    dashboard.destroy();
+
+    await mount(fixtureCsv, { threshold: 10 });
+    const rows = Object.fromEntries(tableRows("province"));
+    assert.equal(rows.Quebec, "Not shown");
+    assert.equal(rows.Ontario, "At least 23");
+    assert.match(root().querySelector(".statistics__note").textContent, /below 10/);
+  });
+
+  test("sin datos publicados muestra el estado vacío", async () => {
+    await mount(shippedCsv);
+
+    assert.equal(status().dataset.state, "empty");
+    assert.equal(status().hidden, false);
+    assert.equal(form().hidden, true);
+    assert.equal(root().querySelector(".statistics__charts").hidden, true);
+  });
+
+  test("si los datos no cargan lo dice", async (t) => {
+    const error = t.mock.method(console, "error", () => {});
+    await mount("", { response: { status: 404 } });
+
+    assert.equal(status().dataset.state, "error");
+    assert.equal(error.mock.callCount(), 1);
+    assert.equal(root().hasAttribute("aria-busy"), false);
+  });
+
+  test("traduce etiquetas y números, conservando los filtros elegidos", async () => {
+    await mount(fixtureCsv);
+    change("from", "2023");
+    await setLanguage("fr");
+
+    assert.equal(form().elements.namedItem("from").value, "2023");
+    assert.equal(figure("year").querySelector("svg title").textContent, "Par année");
+    assert.equal(Object.fromEntries(tableRows("province")).Alberta, "Au moins 25");
+    assert.equal(Object.fromEntries(tableRows("province")).Manitoba, "Non affiché");
+    assert.equal(form().querySelector('input[value="fire"]').parentElement.textContent.trim(), "Pompiers");
+  });
+});
@@ -0,0 +1,154 @@
+import { describe, test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { setupDom, mockMatchMedia, advance, flushPromises } from "./helpers/dom.js";
+
+setupDom();
+
+const { typewriter } = await import("../scripts/components/typewriter.js");
+
+const options = { typingSpeed: 10, deletingSpeed: 5, pauseAfterTyping: 100, pauseAfterDeleting: 50 };
+
+describe("typewriter", () => {
+  let element;
+
+  beforeEach((t) => {
+    t.mock.timers.enable({ apis: ["setTimeout"] });
+    t.mock.method(console, "warn", () => {});
+    mockMatchMedia();
+    document.body.innerHTML = '<p><span class="type"></span></p>';
+    element = document.querySelector(".type");
+  });
+
+  test("escribe, borra y pasa a la palabra siguiente", (t) => {
+    typewriter(element, ["Police", "Fire"], options);
+
+    assert.equal(element.textContent, "P");
+    advance(t.mock.timers, 10 * 5);
+    assert.equal(element.textContent, "Police");
+
+    // Pausa al terminar y borrado letra por letra
+    advance(t.mock.timers, 100 + 5 * 6);
+    assert.equal(element.textContent, "");
+
+    advance(t.mock.timers, 50 + 10 * 3);
+    assert.equal(element.textContent, "Fire");
+  });
+
+  test("respeta las velocidades de cada palabra", (t) => {
+    typewriter(element, [{ text: "Slow", typingSpeed: 200 }], options);
+
+    advance(t.mock.timers, 10 * 3);
+    assert.equal(element.textContent, "S");
+    advance(t.mock.timers, 200 * 3);
+    assert.equal(element.textContent, "Slow");
+  });
+
+  test("con loops termina en la última palabra y llama a onComplete", (t) => {
+    const completed = [];
+    const onComplete = t.mock.fn();
+    typewriter(element, ["Go", "Up"], {
+      ...options,
+      loops: 1,
+      onWordComplete: (word) => completed.push(word),
+      onComplete,
+    });
+
+    advance(t.mock.timers, 10_000);
+    assert.equal(element.textContent, "Up");
+    assert.deepEqual(completed, ["Go", "Up"]);
+    assert.equal(onComplete.mock.callCount(), 1);
+  });
+
+  test("al terminar deja de escuchar la visibilidad y start() vuelve a empezar", (t) => {
+    const onComplete = t.mock.fn();
+    const listeners = t.mock.method(document, "removeEventListener");
+    const instance = typewriter(element, ["Go", "Up"], { ...options, loops: 1, onComplete });
+
+    advance(t.mock.timers, 10_000);
+    assert.equal(listeners.mock.calls.filter(({ arguments: [type] }) => type === "visibilitychange").length, 1);
+
+    instance.start();
+    assert.equal(element.textContent, "G");
+    advance(t.mock.timers, 10_000);
+    assert.equal(element.textContent, "Up");
+    assert.equal(onComplete.mock.callCount(), 2);
+  });
+
+  test("pause congela el texto y resume sigue desde ahí", (t) => {
+    const instance = typewriter(element, ["Police"], options);
+    advance(t.mock.timers, 10 * 2);
+    instance.pause();
+    const paused = element.textContent;
+
+    advance(t.mock.timers, 1000);
+    assert.equal(element.textContent, paused);
+
+    instance.resume();
+    advance(t.mock.timers, 10 * 3);
+    assert.equal(element.textContent, "Police");
+  });
+
+  test("stop lo detiene y quita el texto accesible", (t) => {
+    const instance = typewriter(element, ["Police"], options);
+    assert.equal(element.getAttribute("aria-hidden"), "true");
+    assert.equal(element.nextElementSibling.className, "sr-only");
+    assert.equal(element.nextElementSibling.textContent, "Police");
+
+    instance.stop();
+    const text = element.textContent;
+    advance(t.mock.timers, 1000);
+
+    assert.equal(element.textContent, text);
+    assert.equal(element.hasAttribute("aria-hidden"), false);
+    assert.equal(document.querySelector(".sr-only"), null);
+  });
+
+  test("se pausa con la pestaña oculta", (t) => {
+    typewriter(element, ["Police"], options);
+    Object.defineProperty(document, "hidden", { value: true, configurable: true });
+    document.dispatchEvent(new Event("visibilitychange"));
+
+    advance(t.mock.timers, 1000);
+    assert.equal(element.textContent, "P");
+
+    Object.defineProperty(document, "hidden", { value: false, configurable: true });
+    document.dispatchEvent(new Event("visibilitychange"));
+    advance(t.mock.timers, 10 * 5);
+    assert.equal(element.textContent, "Police");
+  });
+
+  test("con prefers-reduced-motion muestra la primera palabra sin animar", (t) => {
+    mockMatchMedia({ "(prefers-reduced-motion: reduce)": true });
+    typewriter(element, ["Police", "Fire"], options);
+
+    assert.equal(element.textContent, "Police");
+    advance(t.mock.timers, 10_000);
+    assert.equal(element.textContent, "Police");
+  });
+
+  test("sin palabras no falla y devuelve controles vacíos", () => {
+    const instance = typewriter(element, undefined, options);
+
+    assert.equal(element.textContent, "");
+    assert.doesNotThrow(() => instance.stop());
+    assert.equal(console.warn.mock.callCount(), 1);
+  });
+});
+
+describe("typewriter desde data-component", () => {
+  test("una clave de traducción inexistente no monta nada ni rompe la página", async (t) => {
+    t.mock.method(console, "warn", () => {});
+    document.body.innerHTML = '<span data-component="typewriter" data-words-key="hero.jobs"></span>';
+
+    await import("../scripts/components/index.js");
+    const { mountComponents, getComponent } = await import("../scripts/utils/components.js");
+    const { setLanguage } = await import("../scripts/utils/i18n.js");
+    await setLanguage("en");
+    await flushPromises();
+
+    const element = document.querySelector("[data-component]");
+    assert.doesNotThrow(() => mountComponents(document));
+    assert.equal(getComponent(element, "typewriter"), null);
+    assert.equal(element.textContent, "");
+  });
+});
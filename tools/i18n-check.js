@@ -0,0 +1,303 @@
+#!/usr/bin/env node
+/**
+ * Verifica que las traducciones estén completas y sean consistentes.
+ *
+ *   npm run i18n:check            -> reporte legible
+ *   npm run i18n:check -- --json  -> reporte en JSON
+ *
+ * Revisa:
+ *   - claves usadas en el HTML (data-i18n, data-i18n-attr), en los scripts
+ *     (t("...")) o por las campañas del popup que faltan en algún idioma
+ *   - claves que existen en un idioma pero no en otro
+ *   - claves que nadie usa
+ *   - textos con HTML usados en elementos sin data-html
+ *
+ * Sale con código 1 si hay claves faltantes, inconsistentes o HTML sin
+ * data-html. Las claves sin uso solo se informan.
+ */
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { locales, availableLanguages } from "../scripts/data/locales.js";
+import { campaigns } from "../scripts/data/campaigns.js";
+import { eventTemplateFields } from "../scripts/utils/events.js";
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const ignoredDirs = new Set(["node_modules", "dist", ".git", "coverage"]);
+
+// --- Lectura de archivos ---
+
+function listFiles(dir, extension) {
+  const result = [];
+
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (ignoredDirs.has(entry.name)) continue;
+    const fullPath = path.join(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      result.push(...listFiles(fullPath, extension));
+    } else if (entry.name.endsWith(extension)) {
+      result.push(fullPath);
+    }
+  }
+
+  return result;
+}
+
+function parseAttributes(tag) {
+  const attrs = {};
+  const attrRegex = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  // Saltear el nombre de la etiqueta
+  const body = tag.replace(/^<[^\s>]+/, "").replace(/\/?>$/, "");
+  let match;
+
+  while ((match = attrRegex.exec(body))) {
+    attrs[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4] ?? "";
+  }
+
+  return attrs;
+}
+
+// Devuelve cada uso de una clave: { key, file, line, html }
+function findHtmlUsages(file) {
+  const source = fs.readFileSync(file, "utf8");
+  const usages = [];
+  const tagRegex = /<[a-zA-Z][^>]*\bdata-i18n(?:-attr)?\s*=[^>]*>/g;
+  let match;
+
+  while ((match = tagRegex.exec(source))) {
+    const attrs = parseAttributes(match[0]);
+    const line = source.slice(0, match.index).split("\n").length;
+    const html = "data-html" in attrs;
+
+    if (attrs["data-i18n"]) {
+      usages.push({ key: attrs["data-i18n"], file, line, html });
+    }
+
+    if (attrs["data-i18n-attr"]) {
+      const [, key] = attrs["data-i18n-attr"].split(":");
+      // Los atributos siempre son texto plano
+      if (key) usages.push({ key, file, line, html: false });
+    }
+  }
+
+  return usages;
+}
+
+// Borra los comentarios sin mover las líneas, para que un ejemplo como
+// t("clave") en un JSDoc no cuente como uso. Los strings quedan intactos.
+function stripComments(source) {
+  const tokenRegex = /("(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|`(?:\\.|[^`\\])*`)|\/\*[\s\S]*?\*\/|\/\/[^\n]*/g;
+  return source.replace(tokenRegex, (match, string) => string ?? match.replace(/[^\n]/g, " "));
+}
+
+function findScriptUsages(file) {
+  const source = stripComments(fs.readFileSync(file, "utf8"));
+  const usages = [];
+  const callRegex = /\bt\(\s*["'`]([\w.-]+)["'`]/g;
+  let match;
+
+  while ((match = callRegex.exec(source))) {
+    const line = source.slice(0, match.index).split("\n").length;
+    // Desde los scripts no se sabe cómo se inserta el texto
+    usages.push({ key: match[1], file, line, html: true });
+  }
+
+  // Claves armadas en tiempo de ejecución: t(`greeting.${periodo}`)
+  const prefixRegex = /\bt\(\s*`([\w.-]+\.)\$\{/g;
+
+  while ((match = prefixRegex.exec(source))) {
+    const line = source.slice(0, match.index).split("\n").length;
+    usages.push({ prefix: match[1], file, line, html: true });
+  }
+
+  return usages;
+}
+
+// Claves que arma popup.js al rellenar el <template> de cada campaña
+function findCampaignUsages(htmlFiles) {
+  const usages = [];
+
+  for (const file of htmlFiles) {
+    const source = fs.readFileSync(file, "utf8");
+    const templateRegex = /<template[^>]*\bid="([^"]+)"[^>]*>([\s\S]*?)<\/template>/g;
+    let match;
+
+    while ((match = templateRegex.exec(source))) {
+      const [, templateId, content] = match;
+      const line = source.slice(0, match.index).split("\n").length;
+      const texts = [...content.matchAll(/data-campaign-text="([^"]+)"/g)].map((m) => m[1]);
+      const lists = [...content.matchAll(/data-campaign-list="([^"]+)"/g)].map((m) => m[1]);
+
+      campaigns
+        .filter((c) => (c.template || "campaign-popup-template") === templateId)
+        .forEach((campaign) => {
+          const prefix = campaign.i18nKey || `campaigns.${campaign.id}`;
+          // Con campaign.event esos campos salen de events.json, no de las traducciones
+          const fromEvent = (group, name) => Boolean(campaign.event && eventTemplateFields[group][name]);
+          const keys = [
+            ...texts.filter((text) => !fromEvent("texts", text)),
+            ...lists
+              .filter((list) => !fromEvent("lists", list))
+              .flatMap((list) => (campaign.lists || {})[list] || []),
+          ];
+          keys.forEach((key) => usages.push({ key: `${prefix}.${key}`, file, line, html: false }));
+        });
+    }
+  }
+
+  return usages;
+}
+
+// --- Traducciones ---
+
+function flatten(obj, prefix = "", result = {}) {
+  for (const [key, value] of Object.entries(obj)) {
+    const fullKey = prefix ? `${prefix}.${key}` : key;
+
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      flatten(value, fullKey, result);
+    } else {
+      result[fullKey] = value;
+    }
+  }
+
+  return result;
+}
+
+// La clave existe como texto o como objeto con claves anidadas
+function hasKey(flat, key) {
+  return key in flat || Object.keys(flat).some((k) => k.startsWith(`${key}.`));
+}
+
+function containsHtml(value) {
+  return typeof value === "string" && /<[a-z/][^>]*>|&[a-z0-9#]+;/i.test(value);
+}
+
+async function loadTranslations() {
+  const result = {};
+
+  for (const lang of availableLanguages) {
+    const module = await locales[lang]();
+    result[lang] = flatten(module.default);
+  }
+
+  return result;
+}
+
+// --- Reporte ---
+
+export async function checkTranslations() {
+  const translations = await loadTranslations();
+
+  const htmlFiles = listFiles(root, ".html");
+  const scriptFiles = listFiles(path.join(root, "scripts"), ".js").filter(
+    (file) => !file.includes(`${path.sep}data${path.sep}`)
+  );
+
+  const usages = [
+    ...htmlFiles.flatMap(findHtmlUsages),
+    ...scriptFiles.flatMap(findScriptUsages),
+    ...findCampaignUsages(htmlFiles),
+  ];
+  const allKeys = new Set(
+    Object.values(translations).flatMap((flat) => Object.keys(flat))
+  );
+  const usedKeys = new Set(usages.filter((usage) => usage.key).map((usage) => usage.key));
+  // Con un prefijo dinámico, o al pedir un objeto entero (t("greeting.hours")),
+  // se da por usada cualquier clave que empiece igual
+  const usedPrefixes = [
+    ...usages.filter((usage) => usage.prefix).map((usage) => usage.prefix),
+    ...[...usedKeys].map((key) => `${key}.`),
+  ];
+  allKeys.forEach((key) => {
+    if (usedPrefixes.some((prefix) => key.startsWith(prefix))) usedKeys.add(key);
+  });
+
+  const report = {
+    missing: {},
+    inconsistent: {},
+    unused: [...allKeys].filter((key) => !usedKeys.has(key)).sort(),
+    htmlWithoutFlag: [],
+  };
+
+  for (const lang of availableLanguages) {
+    const flat = translations[lang];
+
+    const missing = [...usedKeys].filter((key) => !hasKey(flat, key)).sort();
+    if (missing.length) report.missing[lang] = missing;
+
+    // Claves definidas en otro idioma pero no en este; las usadas ya están en missing
+    const onlyElsewhere = [...allKeys]
+      .filter((key) => !(key in flat) && !usedKeys.has(key))
+      .sort();
+    if (onlyElsewhere.length) report.inconsistent[lang] = onlyElsewhere;
+  }
+
+  for (const usage of usages) {
+    if (usage.html || !usage.key) continue;
+
+    for (const lang of availableLanguages) {
+      if (containsHtml(translations[lang][usage.key])) {
+        report.htmlWithoutFlag.push({
+          key: usage.key,
+          lang,
+          file: path.relative(root, usage.file),
+          line: usage.line,
+        });
+      }
+    }
+  }
+
+  return report;
+}
+
+function printList(title, items) {
+  if (!items.length) return;
+  console.log(`\n${title} (${items.length})`);
+  items.forEach((item) => console.log(`  - ${item}`));
+}
+
+function printReport(report) {
+  console.log(`Languages: ${availableLanguages.join(", ")}`);
+
+  for (const [lang, keys] of Object.entries(report.missing)) {
+    printList(`[${lang}] Missing keys used by the site`, keys);
+  }
+
+  for (const [lang, keys] of Object.entries(report.inconsistent)) {
+    printList(`[${lang}] Keys defined in another language but not here`, keys);
+  }
+
+  printList(
+    "Values with HTML on elements without data-html",
+    report.htmlWithoutFlag.map(
+      ({ key, lang, file, line }) => `${key} [${lang}] at ${file}:${line}`
+    )
+  );
+
+  printList("Unused keys (warning)", report.unused);
+}
+
+function hasErrors(report) {
+  return (
+    Object.keys(report.missing).length > 0 ||
+    Object.keys(report.inconsistent).length > 0 ||
+    report.htmlWithoutFlag.length > 0
+  );
+}
+
+const isCli = process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
+
+if (isCli) {
+  const report = await checkTranslations();
+
+  if (process.argv.includes("--json")) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+    console.log(hasErrors(report) ? "\n✗ Translations need attention." : "\n✓ Translations OK.");
+  }
+
+  process.exitCode = hasErrors(report) ? 1 : 0;
+}
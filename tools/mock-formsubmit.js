@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+/**
+ * Imita el endpoint AJAX de FormSubmit para probar el formulario de contacto
+ * sin enviar correos reales.
+ *
+ *   npm run mock:form
+ *   npm run mock:form -- --port=8787 --delay=800 --fail
+ *
+ * Acepta POST /ajax/<id> con JSON y responde como FormSubmit:
+ *   { "success": "true", "message": "..." }
+ * Con --fail responde { "success": "false" } para probar el estado de error.
+ *
+ * En index.html, apuntar el formulario al mock con
+ *   data-endpoint="http://localhost:8787/ajax/test"
+ */
+import http from "node:http";
+
+const args = process.argv.slice(2);
+const getArg = (name, fallback) => {
+  const arg = args.find((a) => a.startsWith(`--${name}=`));
+  return arg ? arg.split("=")[1] : fallback;
+};
+
+const port = Number(getArg("port", 8787));
+const delay = Number(getArg("delay", 600));
+const fail = args.includes("--fail");
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Accept",
+};
+
+function send(res, status, body) {
+  res.writeHead(status, { ...corsHeaders, "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, corsHeaders);
+    res.end();
+    return;
+  }
+
+  if (req.method !== "POST" || !req.url.startsWith("/ajax/")) {
+    send(res, 404, { success: "false", message: "Not found" });
+    return;
+  }
+
+  let raw = "";
+  req.on("data", (chunk) => {
+    raw += chunk;
+  });
+  req.on("end", () => {
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch {
+      send(res, 400, { success: "false", message: "Invalid JSON" });
+      return;
+    }
+
+    console.log(`[${new Date().toISOString()}] ${req.url}`, data);
+
+    setTimeout(() => {
+      if (fail) {
+        send(res, 200, { success: "false", message: "Mock failure (--fail)" });
+      } else {
+        send(res, 200, { success: "true", message: "The form was submitted successfully." });
+      }
+    }, delay);
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Mock FormSubmit en http://localhost:${port}/ajax/<id>${fail ? " (respondiendo errores)" : ""}`);
+});
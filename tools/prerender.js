@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+/**
+ * Genera una versión estática y ya traducida de cada página por idioma.
+ *
+ *   npm run prerender
+ *   npm run prerender -- --base-url=https://www.flareinitiative.org/
+ *
+ * Resultado en dist/:
+ *   dist/<lang>/index.html  -> página traducida (data-i18n y data-i18n-attr
+ *                              aplicados, lang, canonical y hreflang)
+ *   dist/index.html         -> copia en el idioma por defecto, con las URLs
+ *                              sin prefijo (?lang=) que usa languageUrl.js
+ *   dist/assets, scripts, styles/css, ... -> archivos estáticos del sitio
+ *
+ * Cada página queda marcada con data-i18n-prerendered="<lang>" para que
+ * i18n.js no vuelva a reescribir el DOM al cargar.
+ */
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { JSDOM } from "jsdom";
+import {
+  locales,
+  availableLanguages,
+  defaultLanguage,
+  formatLocales,
+} from "../scripts/data/locales.js";
+import { resolveTranslation, applyTranslations } from "../scripts/utils/i18nCore.js";
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const outDir = path.join(root, "dist");
+
+// Páginas que usan data-i18n
+const pages = ["index.html"];
+
+// Se copian tal cual para que dist/ se pueda publicar directamente
+const staticFiles = [
+  "assets",
+  "scripts",
+  "styles/css",
+  "favicon.ico",
+  "CNAME",
+  "event",
+  "statistics",
+  "pitch-deck",
+  "pages",
+];
+
+function getArg(name) {
+  const prefix = `--${name}=`;
+  const arg = process.argv.find((a) => a.startsWith(prefix));
+  return arg ? arg.slice(prefix.length) : null;
+}
+
+async function loadTables() {
+  const tables = {};
+  for (const lang of availableLanguages) {
+    tables[lang] = (await locales[lang]()).default;
+  }
+  return tables;
+}
+
+// "./styles/main.css" -> "../styles/main.css" según la profundidad de la página
+function rewriteRelativeUrls(doc, depth) {
+  if (depth === 0) return;
+  const prefix = "../".repeat(depth);
+  const isRelative = (value) => value && !/^([a-z][a-z0-9+.-]*:|\/|#|\?)/i.test(value);
+
+  doc.querySelectorAll("[src], [href]").forEach((el) => {
+    ["src", "href"].forEach((attr) => {
+      const value = el.getAttribute(attr);
+      if (isRelative(value)) el.setAttribute(attr, prefix + value.replace(/^\.\//, ""));
+    });
+  });
+}
+
+function setHeadElement(doc, selector, tagName, attributes) {
+  let el = doc.head.querySelector(selector);
+  if (!el) {
+    el = doc.createElement(tagName);
+    doc.head.appendChild(el);
+  }
+  Object.entries(attributes).forEach(([name, value]) => el.setAttribute(name, value));
+}
+
+function toOgLocale(lang) {
+  return (formatLocales[lang] || lang).replace("-", "_");
+}
+
+/**
+ * Mismos metadatos que languageUrl.js mantiene en el navegador. Como allí,
+ * una página con prefijo de idioma (dist/fr/) enlaza a las demás por
+ * prefijo, y la copia de la raíz usa ?lang= salvo para el idioma por defecto.
+ */
+function updateMetadata(doc, lang, baseUrl, page, { withPrefix = true } = {}) {
+  const pagePath = page === "index.html" ? "" : page;
+  const urlFor = (l) => {
+    if (withPrefix) return new URL(`${l}/${pagePath}`, baseUrl).href;
+    const url = new URL(pagePath, baseUrl);
+    if (l !== defaultLanguage) url.searchParams.set("lang", l);
+    return url.href;
+  };
+
+  setHeadElement(doc, 'link[rel="canonical"]', "link", { rel: "canonical", href: urlFor(lang) });
+  setHeadElement(doc, 'meta[property="og:url"]', "meta", { property: "og:url", content: urlFor(lang) });
+  setHeadElement(doc, 'meta[property="og:locale"]', "meta", {
+    property: "og:locale",
+    content: toOgLocale(lang),
+  });
+
+  doc.head
+    .querySelectorAll('link[rel="alternate"][hreflang], meta[property="og:locale:alternate"]')
+    .forEach((el) => el.remove());
+
+  [...availableLanguages, "x-default"].forEach((hreflang) => {
+    const link = doc.createElement("link");
+    link.rel = "alternate";
+    link.hreflang = hreflang;
+    link.href = urlFor(hreflang === "x-default" ? defaultLanguage : hreflang);
+    doc.head.appendChild(link);
+  });
+
+  availableLanguages
+    .filter((l) => l !== lang)
+    .forEach((l) => {
+      const meta = doc.createElement("meta");
+      meta.setAttribute("property", "og:locale:alternate");
+      meta.setAttribute("content", toOgLocale(l));
+      doc.head.appendChild(meta);
+    });
+}
+
+function renderPage(source, { tables, lang, page, depth, baseUrl, withPrefix }) {
+  const dom = new JSDOM(source);
+  const doc = dom.window.document;
+  const missing = new Set();
+
+  applyTranslations(doc, lang, (key, _source, args) => {
+    const { value } = resolveTranslation(tables, lang, key, args);
+    if (value == null) missing.add(key);
+    return value;
+  });
+
+  doc.documentElement.setAttribute("data-i18n-prerendered", lang);
+  updateMetadata(doc, lang, baseUrl, page, { withPrefix });
+  rewriteRelativeUrls(doc, depth);
+
+  if (missing.size) {
+    console.warn(`  [${lang}] ${page}: sin traducción para ${[...missing].join(", ")}`);
+  }
+
+  return dom.serialize();
+}
+
+function writeFile(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+async function prerender() {
+  const tables = await loadTables();
+
+  fs.rmSync(outDir, { recursive: true, force: true });
+
+  for (const page of pages) {
+    const source = fs.readFileSync(path.join(root, page), "utf8");
+    const ogUrl = source.match(/property="og:url"\s+content="([^"]+)"/);
+    const baseUrl = getArg("base-url") || (ogUrl ? ogUrl[1] : "https://flareinitiative.org/");
+    const depth = page.split("/").length;
+
+    for (const lang of availableLanguages) {
+      const html = renderPage(source, { tables, lang, page, depth, baseUrl });
+      writeFile(path.join(outDir, lang, page), html);
+      console.log(`✓ dist/${lang}/${page}`);
+    }
+
+    const html = renderPage(source, {
+      tables,
+      lang: defaultLanguage,
+      page,
+      depth: depth - 1,
+      baseUrl,
+      withPrefix: false,
+    });
+    writeFile(path.join(outDir, page), html);
+    console.log(`✓ dist/${page}`);
+  }
+
+  staticFiles.forEach((file) => {
+    const from = path.join(root, file);
+    if (fs.existsSync(from)) {
+      fs.cpSync(from, path.join(outDir, file), { recursive: true });
+    }
+  });
+}
+
+await prerender();